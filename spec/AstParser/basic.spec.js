@@ -223,7 +223,8 @@ local var1 = @{val};
                 "_line": 2,
                 "type": "output",
                 "value": "val",
-                "computed": false
+                "computed": false,
+                "_length": 6
             },
             {
                 "_line": 2,
@@ -237,7 +238,8 @@ local var1 = @{val};
         "_line": 4,
         "type": "output",
         "value": "set('{}')",
-        "computed": false
+        "computed": false,
+        "_length": 12
     },
     {
         "_line": 4,
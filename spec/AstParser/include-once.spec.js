@@ -45,4 +45,34 @@ describe('AstParser', () => {
     // console.error(JSON.stringify(r, null, '  ').replace(/\'/g, '\''));
   });
 
+  it('should parse include integrity', () => {
+    const r = p.parse(`@include once "a integrity b.nut"  integrity "sha256-" + HASH // comment\n@include integrity`);
+
+    expect(r).toEqual([
+      {
+        '_line': 1,
+        'type': 'include',
+        'value': '"a integrity b.nut"',
+        'once': true,
+        'integrity': '"sha256-" + HASH'
+      },
+      {
+        '_line': 2,
+        'type': 'include',
+        'value': 'integrity',
+        'once': false
+      }
+    ]);
+  });
+
+  it('should not parse variables named integrity as include integrity', () => {
+    const r = p.parse(`@include base + integrity\n@include f(a, integrity) integrity SRI\n@include ok ? integrity : base`);
+
+    expect(r).toEqual([
+      {'_line': 1, 'type': 'include', 'value': 'base + integrity', 'once': false},
+      {'_line': 2, 'type': 'include', 'value': 'f(a, integrity)', 'once': false, 'integrity': 'SRI'},
+      {'_line': 3, 'type': 'include', 'value': 'ok ? integrity : base', 'once': false}
+    ]);
+  });
+
 });
@@ -77,6 +77,15 @@ describe('Tokenizer', () => {
     }
   });
 
+  it('should detect incorrect @include integrity syntax', () => {
+    try {
+      parser.parse(`@include "a.nut" integrity `);
+      fail();
+    } catch (e) {
+      expect(e.message).toBe('Syntax error in @include (main:1)');
+    }
+  });
+
   it('should detect incorrect @error syntax', () => {
     try {
       parser.parse(`@error`);
@@ -326,4 +335,84 @@ describe('Parser', () => {
       expect(e.message).toEqual('Unclosed @while statement (main:3)');
     }
   });
+
+  it('should fail on incorrect @foreach syntax #1', () => {
+    try {
+      parser.parse(`@foreach`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Syntax error in @foreach (main:1)');
+    }
+  });
+
+  it('should fail on incorrect @foreach syntax #2', () => {
+    try {
+      parser.parse(`@foreach a, b, c in items\n@endforeach`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Syntax error in @foreach (main:1)');
+    }
+  });
+
+  it('should fail on incorrect @foreach syntax #3', () => {
+    try {
+      parser.parse(`@foreach item in items\n`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Unclosed @foreach statement (main:1)');
+    }
+  });
+
+  it('should detect unexpected @endforeach', () => {
+    try {
+      parser.parse(`@repeat 3\n@endforeach`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Unexpected @endforeach (main:2)');
+    }
+  });
+
+  it('should detect @break outside of a loop', () => {
+    try {
+      parser.parse(`@if 1\n@break\n@endif`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Unexpected @break outside of a loop (main:2)');
+    }
+  });
+
+  it('should detect @continue outside of a loop', () => {
+    try {
+      parser.parse(`@repeat 1\n@end\n@continue if true`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Unexpected @continue outside of a loop (main:3)');
+    }
+  });
+
+  it('should detect @break across macro boundary', () => {
+    try {
+      parser.parse(`@while true\n@macro m()\n@break\n@endmacro\n@endwhile`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('@break is not allowed across macro boundary (main:3)');
+    }
+  });
+
+  it('should fail on incorrect @break syntax', () => {
+    try {
+      parser.parse(`@repeat 1\n@break 1\n@end`);
+      fail();
+    } catch (e) {
+      expect(e instanceof AstParser.Errors.SyntaxError).toBeTruthy();
+      expect(e.message).toEqual('Syntax error in @break (main:2)');
+    }
+  });
 });
@@ -40,7 +40,8 @@ describe('AstParser', () => {
           '_line': 2,
           'type': 'output',
           'value': 'expr1',
-          'computed': false
+          'computed': false,
+          '_length': 8
         },
         {
           '_line': 2,
@@ -52,7 +53,8 @@ describe('AstParser', () => {
           '_line': 2,
           'type': 'output',
           'value': '',
-          'computed': false
+          'computed': false,
+          '_length': 3
         },
         {
           '_line': 2,
@@ -65,4 +67,11 @@ describe('AstParser', () => {
 
     // console.error(JSON.stringify(r, null, '    ').replace(/\"/g, '\''));
   });
+
+  it('should detect inline expressions with object literals', () => {
+    const r = p.parse('a @{ {b: "}", c: {d: 1}}.c.d } {e}\n');
+
+    expect(r.map(v => v.value)).toEqual(['a ', ' {b: "}", c: {d: 1}}.c.d ', ' {e}\n']);
+    expect(r[1]._length).toBe('@{ {b: "}", c: {d: 1}}.c.d }'.length);
+  });
 });
@@ -70,4 +70,105 @@ describe('AstParser', () => {
     // console.error(JSON.stringify(r, null, '  ').replace(/\'/g, '\''));
   });
 
+  it('should parse @foreach', () => {
+    const e = [
+      {
+        '_line': 1,
+        'type': 'loop',
+        'foreach': 'items',
+        'value': 'item',
+        'body': [
+          {
+            '_line': 2,
+            'type': 'output',
+            'value': '...\n',
+            'computed': true
+          }
+        ]
+      }
+    ];
+
+    const r = p.parse(
+`@foreach item in items
+...
+@endforeach`
+);
+    expect(r).toEqual(e);
+  });
+
+  it('should parse @foreach with a key', () => {
+    const e = [
+      {
+        '_line': 1,
+        'type': 'loop',
+        'foreach': '[1, 2, 3]',
+        'value': 'v',
+        'key': 'k',
+        'body': [
+          {
+            '_line': 2,
+            'type': 'output',
+            'value': '...\n',
+            'computed': true
+          }
+        ]
+      }
+    ];
+
+    const r = p.parse(
+`@foreach k, v in [1, 2, 3]
+...
+@end`
+);
+    expect(r).toEqual(e);
+  });
+
+  it('should parse @foreach with "$" in the names', () => {
+    const e = [
+      {
+        '_line': 1,
+        'type': 'loop',
+        'foreach': 'list',
+        'value': 'a$b',
+        'key': '$k$',
+        'body': []
+      }
+    ];
+
+    const r = p.parse(
+`@foreach $k$, a$b in list
+@end`
+);
+    expect(r).toEqual(e);
+  });
+
+  it('should parse @break and @continue', () => {
+    const e = [
+      {
+        '_line': 1,
+        'type': 'loop',
+        'repeat': '5',
+        'body': [
+          {
+            '_line': 2,
+            'type': 'continue',
+            'test': 'loop.index == 1'
+          },
+          {
+            '_line': 3,
+            'type': 'break'
+          }
+        ]
+      }
+    ];
+
+    const r = p.parse(
+`@repeat 5
+@continue if loop.index == 1
+@break
+@endrepeat`
+);
+    expect(r).toEqual(e);
+  });
+
 });
@@ -0,0 +1,53 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const DependencyGraph = require('../src/DependencyGraph');
+
+describe('DependencyGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new DependencyGraph();
+    graph.add({source: 'a.nut', type: 'file', location: '/src/a.nut', includedFrom: {file: 'main', line: 1}});
+    graph.add({source: 'github:u/r/b.nut', type: 'github', location: 'github:u/r/b.nut', includedFrom: {file: '/src/a.nut', line: 3}});
+    graph.add({source: 'my lib.nut', type: 'file', location: '/src/my lib.nut', includedFrom: {file: '/src/a.nut', line: 5}});
+    graph.add({source: 'a.nut', type: 'file', location: '/src/a.nut', includedFrom: {file: '/src/my lib.nut', line: 1}});
+  });
+
+  it('should list unique locations', () => {
+    expect(graph.getLocations()).toEqual(['/src/a.nut', 'github:u/r/b.nut', '/src/my lib.nut']);
+    expect(graph.getLocations('github')).toEqual(['github:u/r/b.nut']);
+  });
+
+  it('should generate JSON include graph', () => {
+    const json = JSON.parse(JSON.stringify(graph));
+    expect(json.sources).toEqual([
+      {location: '/src/a.nut', type: 'file'},
+      {location: 'github:u/r/b.nut', type: 'github'},
+      {location: '/src/my lib.nut', type: 'file'}
+    ]);
+    expect(json.includes.length).toBe(4);
+    expect(json.includes[1]).toEqual({
+      source: 'github:u/r/b.nut',
+      type: 'github',
+      location: 'github:u/r/b.nut',
+      includedFrom: {file: '/src/a.nut', line: 3}
+    });
+  });
+
+  it('should generate Makefile rules for local files', () => {
+    expect(graph.toMakefile('out/$device.nut')).toBe(
+      'out/$$device.nut: \\\n' +
+      '  /src/a.nut \\\n' +
+      '  /src/my\\ lib.nut\n' +
+      '\n' +
+      '/src/a.nut:\n' +
+      '\n' +
+      '/src/my\\ lib.nut:\n'
+    );
+  });
+
+});
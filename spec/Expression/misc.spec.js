@@ -96,6 +96,29 @@ describe('Expression', () => {
     expect(res).toEqual([1, 2, 3]);
   });
 
+  it('should support object expressions', () => {
+    context.k = 'key';
+    context.rate = 9600;
+
+    expect(expression.evaluate('{}', context)).toEqual({});
+    expect(expression.evaluate('{rate: rate, pins: [1,2], "quoted key": "}", 10: true,}', context))
+      .toEqual({rate: 9600, pins: [1, 2], 'quoted key': '}', '10': true});
+    expect(expression.evaluate('{[k + 1]: {nested: {value: rate > 0 ? "on" : "off"}}}', context))
+      .toEqual({key1: {nested: {value: 'on'}}});
+    expect(expression.evaluate('([{a: 1}, {b: 2}])[1].b', context)).toBe(2);
+    expect(expression.evaluate('{a: {b: [1, 2]}}.a.b[1]', context)).toBe(2);
+    expect(expression.evaluate('max({x: 5}.x, 3)', context)).toBe(5);
+    expect(expression.evaluate('{"__proto__": 1}', context).__proto__).toBe(1);
+  });
+
+  it('should fail on incorrect object expressions', () => {
+    expect(() => expression.evaluate('{a}')).toThrowError(Expression.Errors.ExpressionError, 'Expected "key: value" in object literal, got "a"');
+    expect(() => expression.evaluate('{a: 1')).toThrowError(Expression.Errors.ExpressionError, 'Unclosed "{" at character 0');
+    expect(() => expression.evaluate('{a: 1]')).toThrowError(Expression.Errors.ExpressionError, 'Unexpected "]" at character 5');
+    expect(() => expression.evaluate('{a + b: 1}')).toThrowError(Expression.Errors.ExpressionError, 'Invalid object literal key "a + b"');
+    expect(() => expression.evaluate('{a: }')).toThrowError(Expression.Errors.ExpressionError);
+  });
+
   it('should support member expressions', () => {
     let res;
     res = expression.evaluate('([1,2,3])[1]', context);
@@ -282,4 +305,17 @@ describe('Expression', () => {
       expect(e.message).toBe('Wrong number of arguments for abs()');
     }
   });
+
+  it('should detect constant expressions', () => {
+    expect(expression.isConstant('"github:a/b/c.nut"')).toBe(true);
+    expect(expression.isConstant('"http://" + "example.com/" + 1 + ".nut"')).toBe(true);
+    expect(expression.isConstant('true ? "a.nut" : "b.nut"')).toBe(true);
+    expect(expression.isConstant('[1, -2]')).toBe(true);
+    expect(expression.isConstant('{path: "a.nut", ["b" + 1]: [2]}')).toBe(true);
+    expect(expression.isConstant('{path: HOST}')).toBe(false);
+    expect(expression.isConstant('"http://" + HOST')).toBe(false);
+    expect(expression.isConstant('"a.nut" | lower')).toBe(false);
+    expect(expression.isConstant('macro(1)')).toBe(false);
+    expect(expression.isConstant('"unclosed')).toBe(false);
+  });
 });
@@ -0,0 +1,136 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const FileLock = require('../src/FileLock');
+const FileCache = require('../src/FileCache');
+
+describe('FileLock', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `builder-filelock-${process.pid}`);
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  it('should write files atomically', () => {
+    const file = path.join(dir, 'sub', 'file.txt');
+
+    FileLock.writeFileAtomic(file, 'first');
+    FileLock.writeFileAtomic(file, 'second');
+
+    expect(fs.readFileSync(file, 'utf-8')).toBe('second');
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['file.txt']);
+  });
+
+  it('should detect temporary files', () => {
+    const file = path.join(dir, `file.txt.${process.pid}.1f2e.tmp`);
+    fs.outputFileSync(file, '');
+    expect(FileLock.isActiveTempFile(file)).toBe(true);
+
+    fs.utimesSync(file, 0, 0);
+    expect(FileLock.isActiveTempFile(file)).toBe(false);
+
+    fs.outputFileSync(path.join(dir, 'file.tmp'), '');
+    expect(FileLock.isActiveTempFile(path.join(dir, 'file.tmp'))).toBe(false);
+  });
+
+  it('should be reentrant', () => {
+    const lock = new FileLock(path.join(dir, '.lock'));
+
+    const res = lock.run(() => {
+      expect(fs.readFileSync(lock.file, 'utf-8')).toBe(String(process.pid));
+      return lock.run(() => 'nested');
+    });
+
+    expect(res).toBe('nested');
+    expect(fs.existsSync(lock.file)).toBe(false);
+  });
+
+  it('should release lock on errors', () => {
+    const lock = new FileLock(path.join(dir, '.lock'));
+    expect(() => lock.run(() => {
+      throw new Error('failed');
+    })).toThrowError('failed');
+    expect(fs.existsSync(lock.file)).toBe(false);
+  });
+
+  it('should take over stale locks', () => {
+    const lock = new FileLock(path.join(dir, '.lock'));
+
+    fs.outputFileSync(lock.file, '1');
+    fs.utimesSync(lock.file, 0, 0);
+
+    lock.acquire();
+    expect(fs.readFileSync(lock.file, 'utf-8')).toBe(String(process.pid));
+    expect(fs.readdirSync(dir)).toEqual(['.lock']);
+    lock.release();
+  });
+
+  it('should not take over locks acquired after the staleness check', () => {
+    const lock = new FileLock(path.join(dir, '.lock'));
+
+    // another process took over the stale lock meanwhile
+    fs.outputFileSync(lock.file, '1');
+
+    expect(lock._takeOver()).toBe(false);
+    expect(fs.readFileSync(lock.file, 'utf-8')).toBe('1');
+    expect(fs.readdirSync(dir)).toEqual(['.lock']);
+  });
+
+  it('should refresh held locks', () => {
+    const lock = new FileLock(path.join(dir, '.lock'));
+
+    lock.run(() => {
+      fs.utimesSync(lock.file, 0, 0);
+      lock.run(() => null);
+      expect(lock._isStale(lock.file)).toBe(false);
+    });
+  });
+
+  it('should not remove locks taken over by other processes', () => {
+    const lock = new FileLock(path.join(dir, '.lock'));
+
+    lock.run(() => fs.writeFileSync(lock.file, '1'));
+    expect(fs.readFileSync(lock.file, 'utf-8')).toBe('1');
+  });
+
+  it('should share cache index between processes', (done) => {
+    const processes = 2;
+    const hits = 20;
+
+    // each process registers hits of the same source
+    const script = `
+      const FileCache = require(${JSON.stringify(path.resolve('src/FileCache'))});
+      const fileCache = new FileCache(null);
+      fileCache.cacheDir = ${JSON.stringify(dir)};
+      for (let i = 0; i < ${hits}; i++) fileCache._registerHit('http://example.com/a.nut');
+      fileCache.flush();
+    `;
+
+    let running = processes;
+
+    for (let i = 0; i < processes; i++) {
+      childProcess.execFile(process.execPath, ['-e', script], (error) => {
+        expect(error).toBe(null);
+
+        if (0 === --running) {
+          const fileCache = new FileCache(null);
+          fileCache.cacheDir = dir;
+          expect(fileCache._getIndex().get('http://example.com/a.nut').hits).toBe(processes * hits);
+          expect(fs.readdirSync(dir)).toEqual(['index.json']);
+          done();
+        }
+      });
+    }
+  });
+});
@@ -0,0 +1,208 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const Log = require('log');
+const path = require('path');
+const childProcess = require('child_process');
+const GitReader = require('../src/Readers/GitReader');
+const AbstractReader = require('../src/Readers/AbstractReader');
+const init = require('./Machine/init')('main');
+
+describe('GitReader', () => {
+  const dir = path.join(os.tmpdir(), `builder-git-${process.pid}`);
+  const repo = path.join(dir, 'lib.git');
+  const url = `git+file://${repo.replace(/\\/g, '/')}`;
+  let reader;
+
+  /**
+   * Run git in the work tree
+   * @param {string[]} args
+   * @return {string}
+   */
+  function git(args) {
+    return childProcess.execFileSync('git', ['-c', 'user.name=Builder', '-c', 'user.email=builder@example.com'].concat(args), {
+      cwd: path.join(dir, 'work'),
+      encoding: 'utf-8'
+    }).trim();
+  }
+
+  /**
+   * Commit file and push to the bare repository
+   * @param {string} content
+   */
+  function commit(content) {
+    fs.outputFileSync(path.join(dir, 'work', 'lib', 'a.nut'), content);
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', content]);
+    git(['push', '-q', repo, 'master']);
+  }
+
+  beforeAll(() => {
+    fs.mkdirsSync(path.join(dir, 'work'));
+    git(['init', '-q', '--bare', repo]);
+    git(['-c', 'init.defaultBranch=master', 'init', '-q']);
+    commit('a = 1\n');
+    git(['tag', 'v1.0']);
+    git(['push', '-q', repo, 'v1.0']);
+    commit('a = 2\n');
+  });
+
+  afterAll(() => {
+    fs.removeSync(dir);
+  });
+
+  beforeEach(() => {
+    reader = new GitReader();
+    reader.cacheDir = path.join(dir, 'cache');
+    reader.logger = new Log(process.env.SPEC_LOGLEVEL || 'error');
+  });
+
+  afterEach(() => {
+    fs.removeSync(path.join(dir, 'cache'));
+  });
+
+  it('should parse git sources', () => {
+    expect(GitReader.parseUrl('git+ssh://git@example.com/org/repo.git/lib/a.nut@feature/x')).toEqual({
+      url: 'ssh://git@example.com/org/repo.git',
+      path: 'lib/a.nut',
+      ref: 'feature/x'
+    });
+    expect(GitReader.parseUrl('git+https://example.com/repo.git/a.nut')).toEqual({url: 'https://example.com/repo.git', path: 'a.nut'});
+    expect(GitReader.parseUrl('git+https://example.com/repo/a.nut')).toBe(false);
+    expect(GitReader.parseUrl('https://example.com/repo.git/a.nut')).toBe(false);
+
+    expect(reader.parsePath('git+https://example.com/repo.git/lib/a.nut@v1')).toEqual({
+      __FILE__: 'a.nut',
+      __PATH__: 'git+https://example.com/repo.git/lib'
+    });
+  });
+
+  it('should read files at refs', () => {
+    const sha = git(['rev-parse', 'v1.0']);
+    const head = git(['show', 'HEAD:lib/a.nut']) + '\n';
+
+    expect(reader.read(`${url}/lib/a.nut`)).toBe(head);
+    expect(reader.read(`${url}/lib/a.nut@master`)).toBe(head);
+    expect(reader.read(`${url}/lib/a.nut@v1.0`)).toBe('a = 1\n');
+    expect(reader.read(`${url}/lib/a.nut@${sha.substr(0, 10)}`)).toBe('a = 1\n');
+    expect(fs.readdirSync(reader.cacheDir)).toEqual([jasmine.stringMatching(/^lib-[0-9a-f]{12}\.git$/)]);
+  });
+
+  it('should fetch repository once per reader', () => {
+    const head = git(['show', 'HEAD:lib/a.nut']) + '\n';
+
+    expect(reader.read(`${url}/lib/a.nut`)).toBe(head);
+    commit('a = 3\n');
+    expect(reader.read(`${url}/lib/a.nut`)).toBe(head);
+
+    const other = new GitReader();
+    other.cacheDir = reader.cacheDir;
+    other.logger = reader.logger;
+    expect(other.read(`${url}/lib/a.nut`)).toBe('a = 3\n');
+  });
+
+  it('should not fetch commits that are already in the mirror', (done) => {
+    const sha = git(['rev-parse', 'v1.0']);
+
+    reader.read(`${url}/lib/a.nut`);
+    commit('a = 4\n');
+
+    const other = new GitReader();
+    other.cacheDir = reader.cacheDir;
+    other.logger = reader.logger;
+    spyOn(other, '_run').and.callThrough();
+    spyOn(other, '_runAsync').and.callThrough();
+    const fetches = spy => spy.calls.allArgs().filter(args => args[1].indexOf('fetch') !== -1).length;
+
+    expect(other.read(`${url}/lib/a.nut@${sha}`)).toBe('a = 1\n');
+    expect(fetches(other._run)).toBe(0);
+
+    other.readAsync(`${url}/lib/a.nut@${sha}`)
+      .then((content) => {
+        expect(content).toBe('a = 1\n');
+        expect(fetches(other._runAsync)).toBe(0);
+        return other.readAsync(`${url}/lib/a.nut@master`);
+      })
+      .then((content) => {
+        expect(content).toBe('a = 4\n');
+        expect(fetches(other._runAsync)).toBe(1);
+        done();
+      })
+      .catch(done.fail);
+  });
+
+  it('should read cloned repositories in offline mode', () => {
+    const remote = 'git+https://example.com/lib.git';
+    childProcess.execFileSync('git', ['clone', '-q', '--mirror', repo, reader._getMirrorDir('https://example.com/lib.git')]);
+    reader.offline = true;
+    spyOn(reader, '_run').and.callThrough();
+
+    expect(reader.isLocal(`${remote}/lib/a.nut`)).toBe(true);
+    expect(reader.isLocal('git+https://example.com/missing.git/a.nut')).toBe(false);
+    expect(reader.read(`${remote}/lib/a.nut@v1.0`)).toBe('a = 1\n');
+    expect(reader._run.calls.count()).toBe(1);
+    expect(() => reader.read('git+https://example.com/missing.git/a.nut'))
+      .toThrowError(AbstractReader.Errors.SourceReadingError, 'Repository "https://example.com/missing.git" is not available offline: it has not been cloned');
+
+    const machine = init.createMachine();
+    machine.readerRegistry.get('git').cacheDir = reader.cacheDir;
+    machine.offline = true;
+
+    expect(machine.readerRegistry.get('git').offline).toBe(true);
+    expect(machine.execute(`@include "${remote}/lib/a.nut@v1.0"`)).toBe('a = 1\n');
+  });
+
+  it('should read files asynchronously', (done) => {
+    const sha = git(['rev-parse', 'v1.0']);
+
+    Promise.all([reader.readAsync(`${url}/lib/a.nut@v1.0`), reader.readAsync(`${url}/lib/a.nut@${sha}`)])
+      .then((contents) => {
+        expect(contents).toEqual(['a = 1\n', 'a = 1\n']);
+        return reader.readAsync(`${url}/lib/missing.nut`);
+      })
+      .then(() => done.fail('missing file was read'), (e) => {
+        expect(e instanceof AbstractReader.Errors.SourceReadingError).toBeTruthy();
+        expect(e.message).toMatch(/^Failed to read git source ".*\/lib\/missing\.nut": /);
+        done();
+      })
+      .catch(done.fail);
+  });
+
+  it('should retry failed asynchronous fetches', (done) => {
+    const other = path.join(dir, 'other.git');
+    const source = `git+file://${other.replace(/\\/g, '/')}/lib/a.nut@v1.0`;
+
+    reader.readAsync(source)
+      .then(() => done.fail('missing repository was read'), (e) => {
+        expect(e.message).toMatch(/does not appear to be a git repository$/);
+        childProcess.execFileSync('git', ['clone', '-q', '--bare', repo, other]);
+        return reader.readAsync(source);
+      })
+      .then((content) => {
+        expect(content).toBe('a = 1\n');
+        done();
+      })
+      .catch(done.fail);
+  });
+
+  it('should report reading errors', () => {
+    expect(() => reader.read(`${url}/lib/a.nut@v9`))
+      .toThrowError(AbstractReader.Errors.SourceReadingError, /^Failed to read git source ".*@v9": /);
+    expect(() => reader.read(`git+file://${dir}/missing.git/a.nut`))
+      .toThrowError(AbstractReader.Errors.SourceReadingError, /^Failed to read git source ".*missing\.git\/a\.nut": .*does not appear to be a git repository$/);
+  });
+
+  it('should include sources from git repositories', () => {
+    const machine = init.createMachine();
+    machine.readers.git.cacheDir = reader.cacheDir;
+
+    expect(machine._getReader('git+https://github.com/electricimp/Builder.git/README.md')).toBe(machine.readers.git);
+    expect(machine.execute(`@include "${url}/lib/a.nut@v1.0"\n@{__FILE__}`)).toBe('a = 1\nmain');
+    expect(machine.dependencies.includes[0].type).toBe('git');
+  });
+});
@@ -0,0 +1,98 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Lockfile = require('../src/Lockfile');
+
+describe('Lockfile', () => {
+  let file, lockfile;
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `builder-lockfile-${process.pid}.json`);
+    lockfile = new Lockfile(file);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should calculate content hash', () => {
+    expect(Lockfile.hash('abc')).toBe('sha256-ungWv48Bz+pBQUDeXa4iI7ADYaOWF3qctBD/YfIAFa0=');
+  });
+
+  it('should record and save sources', () => {
+    lockfile.load();
+    expect(lockfile.getSha('github:u/r/b.nut')).toBe(null);
+    lockfile.verify('github:u/r/b.nut', 'sha-b', 'b');
+    lockfile.verify('github:u/r/a.nut@v1', 'sha-a', 'a');
+    expect(lockfile.save()).toBe(true);
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual({
+      lockfileVersion: 1,
+      sources: {
+        'github:u/r/a.nut@v1': {sha: 'sha-a', integrity: Lockfile.hash('a')},
+        'github:u/r/b.nut': {sha: 'sha-b', integrity: Lockfile.hash('b')}
+      }
+    });
+
+    // nothing changed
+    expect(lockfile.save()).toBe(false);
+
+    const loaded = new Lockfile(file);
+    loaded.load();
+    expect(loaded.getSha('github:u/r/b.nut')).toBe('sha-b');
+  });
+
+  it('should detect content mismatch', () => {
+    lockfile.verify('github:u/r/b.nut', 'sha-b', 'b');
+
+    try {
+      lockfile.verify('github:u/r/b.nut', 'sha-b', 'changed');
+      fail();
+    } catch (e) {
+      expect(e instanceof Lockfile.Errors.LockfileError).toBeTruthy();
+      expect(e.message).toBe(`Content of "github:u/r/b.nut" doesn't match lockfile "${file}"`);
+    }
+  });
+
+  it('should fail on missing sources in frozen mode', () => {
+    lockfile.frozen = true;
+
+    try {
+      lockfile.load();
+      fail();
+    } catch (e) {
+      expect(e.message).toBe(`Lockfile "${file}" does not exist`);
+    }
+
+    try {
+      lockfile.getSha('github:u/r/b.nut');
+      fail();
+    } catch (e) {
+      expect(e.message).toBe(`Source "github:u/r/b.nut" is missing in lockfile "${file}"`);
+    }
+  });
+
+  it('should resolve all sources and remove unused ones in update mode', () => {
+    lockfile.verify('github:u/r/a.nut', 'sha-a', 'a');
+    lockfile.verify('github:u/r/b.nut', 'sha-b', 'b');
+    lockfile.save();
+
+    const updated = new Lockfile(file);
+    updated.update = true;
+    updated.load();
+    expect(updated.getSha('github:u/r/b.nut')).toBe(null);
+    updated.verify('github:u/r/b.nut', 'sha-b2', 'b2');
+    expect(updated.save()).toBe(true);
+
+    expect(Object.keys(updated.toJSON().sources)).toEqual(['github:u/r/b.nut']);
+    expect(updated.get('github:u/r/b.nut')).toEqual({sha: 'sha-b2', integrity: Lockfile.hash('b2')});
+  });
+});
@@ -0,0 +1,115 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs-extra');
+const path = require('path');
+const init = require('./init')('main');
+const AstCache = require('../../src/AstCache');
+
+describe('AstCache', () => {
+  let machine, sources;
+
+  /**
+   * Create machine serving remote sources from the sources map
+   * @return {Machine}
+   */
+  function createMachine() {
+    const res = init.createMachine();
+    res.fileCache.cacheDir = './test-cache';
+    res.readers.http.read = url => sources[url];
+    res.readers.http.readConditional = url => ({notModified: false, content: sources[url], etag: null, lastModified: null});
+    spyOn(res.parser, 'parse').and.callThrough();
+    return res;
+  }
+
+  /**
+   * @return {string[]} stored ASTs
+   */
+  function storedAsts() {
+    const dir = AstCache.getDir('./test-cache');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  }
+
+  beforeEach(() => {
+    sources = {
+      'http://example.com/lib.nut': '@macro greet(name)\nHello, @{name}!\n@endmacro\n',
+      'http://example.com/a.nut': 'File @{__FILE__}\n',
+      'http://example.com/b.nut': 'File @{__FILE__}\n',
+      'http://example.com/broken.nut': '@if true\n'
+    };
+    machine = createMachine();
+  });
+
+  afterEach(() => {
+    fs.removeSync('./test-cache');
+  });
+
+  it('should parse the same content once', () => {
+    const res = machine.execute(
+      '@include "http://example.com/a.nut"\n' +
+      '@include "http://example.com/b.nut"\n' +
+      '@include "http://example.com/a.nut"'
+    );
+
+    expect(res).toBe('File a.nut\nFile b.nut\nFile a.nut\n');
+
+    // main source and one of the included sources
+    expect(machine.parser.parse.calls.count()).toBe(2);
+
+    machine.execute('@include "http://example.com/b.nut"');
+    expect(machine.parser.parse.calls.count()).toBe(3);
+    expect(storedAsts()).toEqual([]);
+  });
+
+  it('should report syntax errors in every included source', () => {
+    expect(() => machine.execute('@include "http://example.com/broken.nut"'))
+      .toThrowError('Unclosed @if statement (broken.nut:1)');
+
+    sources['http://example.com/other.nut'] = sources['http://example.com/broken.nut'];
+    expect(() => machine.execute('@include "http://example.com/other.nut"'))
+      .toThrowError('Unclosed @if statement (other.nut:1)');
+  });
+
+  it('should store ASTs in the cache directory', () => {
+    machine.useCache = true;
+    machine.execute('@include "http://example.com/lib.nut"');
+    expect(storedAsts().length).toBe(1);
+
+    const other = createMachine();
+    other.useCache = true;
+    expect(other.execute('@include "http://example.com/lib.nut"\n@{greet("cache")}')).toBe('Hello, cache!');
+
+    // main source only
+    expect(other.parser.parse.calls.count()).toBe(1);
+  });
+
+  it('should ignore ASTs stored by other versions', () => {
+    machine.useCache = true;
+    machine.execute('@include "http://example.com/lib.nut"');
+
+    const file = path.join(AstCache.getDir('./test-cache'), storedAsts()[0]);
+    fs.writeFileSync(file, JSON.stringify({version: '0.0.1', ast: []}));
+
+    const other = createMachine();
+    other.useCache = true;
+    expect(other.execute('@include "http://example.com/lib.nut"\n@{greet("again")}')).toBe('Hello, again!');
+    expect(other.parser.parse.calls.count()).toBe(2);
+  });
+
+  it('should prune stored ASTs', () => {
+    machine.useCache = true;
+    machine.execute('@include "http://example.com/lib.nut"');
+
+    const file = path.join(AstCache.getDir('./test-cache'), storedAsts()[0]);
+    expect(machine.fileCache.prune().map(entry => entry.file)).not.toContain(file);
+
+    fs.utimesSync(file, 0, 0);
+    expect(machine.fileCache.prune().map(entry => entry.file)).toContain(file);
+    expect(storedAsts()).toEqual([]);
+  });
+});
@@ -0,0 +1,186 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const http = require('http');
+const FILE = __dirname + '/../fixtures/sample-1/input.nut';
+const init = require('./init')(FILE);
+const Machine = require('../../src/Machine');
+
+describe('Machine', () => {
+  let machine, server, baseUrl, requests;
+
+  beforeAll((done) => {
+    // local HTTP server serving remote includes
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if ('/remote.nut' === req.url) {
+        res.end('remote @{__FILE__}:@{__LINE__}\n@include "inc-b.nut"');
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    requests = [];
+  });
+
+  it('should execute asynchronously', (done) => {
+    machine.executeAsync('@include "input.nut"')
+      .then((res) => {
+        expect(res).toBe(init.getResult());
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should read remote sources asynchronously', (done) => {
+    machine.readers.http.read = () => fail('synchronous read');
+
+    machine.executeAsync(`@include "${baseUrl}/remote.nut"`)
+      .then((res) => {
+        expect(res).toBe('remote remote.nut:1\n// included file b\n');
+        expect(requests).toEqual(['/remote.nut']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should report read errors with file and line', (done) => {
+    machine.executeAsync(`\n@include "${baseUrl}/missing.nut"`)
+      .then(() => fail('should not succeed'))
+      .catch((e) => {
+        expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+        expect(e.message).toBe(`Failed to fetch url "${baseUrl}/missing.nut": HTTP/404 (main:2)`);
+        done();
+      });
+  });
+
+  it('should reject on syntax errors', (done) => {
+    machine.executeAsync('@if')
+      .then(() => fail('should not succeed'))
+      .catch((e) => {
+        expect(e.message).toBe('Syntax error in @if (main:1)');
+        done();
+      });
+  });
+
+  it('should read prefetched sources included from expressions', (done) => {
+    machine.readers.http.read = () => fail('synchronous read');
+
+    machine.executeAsync(`@macro m()\n@{include("${baseUrl}/remote.nut")}\n@end\n[@{m()}]`)
+      .then((res) => {
+        expect(res).toBe('[remote remote.nut:1\n// included file b]');
+        expect(requests).toEqual(['/remote.nut']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should read sources included from expressions with dynamic paths asynchronously', (done) => {
+    machine.readers.http.read = () => fail('synchronous read');
+    machine.prefetchConcurrency = 0;
+
+    machine.executeAsync('@set URL = BASE_URL + "/remote.nut"\n[@{include(URL)}]', {BASE_URL: baseUrl})
+      .then((res) => {
+        expect(res).toBe('[remote remote.nut:1\n// included file b]');
+        expect(requests).toEqual(['/remote.nut']);
+        expect(machine.fileCache.isPrefetched(`${baseUrl}/remote.nut`)).toBe(false);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should report read errors of sources included from expressions', (done) => {
+    machine.prefetchConcurrency = 0;
+
+    machine.executeAsync(`\n@{include("${baseUrl}/missing.nut")}`)
+      .then(() => fail('should not succeed'))
+      .catch((e) => {
+        expect(e instanceof Machine.Errors.ExpressionEvaluationError).toBeTruthy();
+        expect(e.message).toBe(`Failed to fetch url "${baseUrl}/missing.nut": HTTP/404 (main:2)`);
+        expect(requests).toEqual(['/missing.nut']);
+        done();
+      });
+  });
+
+  it('should run plugin hooks and warnings once when execution is restarted', (done) => {
+    const calls = [];
+    machine.prefetchConcurrency = 0;
+    machine.plugins = [{
+      beforeInclude: path => calls.push(`beforeInclude ${path}`) && undefined,
+      afterRead: path => calls.push(`afterRead ${path}`) && undefined,
+      transformOutput: fragment => calls.push(`transformOutput ${fragment}`) && undefined
+    }];
+    spyOn(console, 'error');
+
+    machine.executeAsync('@warning "w"\nstart\n@set URL = BASE_URL + "/remote.nut"\n[@{include(URL)}]\n', {BASE_URL: baseUrl})
+      .then((res) => {
+        expect(res).toBe('start\n[remote remote.nut:1\n// included file b]\n');
+        expect(requests).toEqual(['/remote.nut']);
+        expect(console.error.calls.count()).toBe(1);
+        expect(calls).toEqual([
+          'transformOutput start\n',
+          'transformOutput [',
+          `beforeInclude ${baseUrl}/remote.nut`,
+          `afterRead ${baseUrl}/remote.nut`,
+          'beforeInclude inc-b.nut',
+          'afterRead inc-b.nut',
+          'transformOutput remote remote.nut:1\n// included file b',
+          'transformOutput ]\n'
+        ]);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should replay plugin hooks by position when the output changes after restart', (done) => {
+    const calls = [];
+    let counter = 0;
+    machine.prefetchConcurrency = 0;
+    machine.plugins = [{
+      transformOutput: fragment => calls.push(fragment) && fragment.toUpperCase()
+    }];
+
+    machine.executeAsync('count @{next()}\n[@{include(BASE_URL + "/remote.nut")}]\n', {BASE_URL: baseUrl, next: () => ++counter})
+      .then((res) => {
+        expect(counter).toBe(2);
+        expect(res).toBe('COUNT 1\n[REMOTE REMOTE.NUT:1\n// INCLUDED FILE B]\n');
+        expect(calls).toEqual(['count ', '1', '\n', '[', 'remote remote.nut:1\n// included file b', ']\n']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should not allow concurrent asynchronous executions', (done) => {
+    const first = machine.executeAsync('@include "input.nut"');
+
+    machine.executeAsync('abc')
+      .then(() => fail('should not succeed'))
+      .catch((e) => {
+        expect(e.message).toBe('Asynchronous execution is already in progress');
+        return first;
+      })
+      .then(() => machine.executeAsync('abc'))
+      .then((res) => {
+        expect(res).toBe('abc');
+        done();
+      })
+      .catch(fail);
+  });
+});
@@ -138,4 +138,18 @@ describe('Machine', () => {
       expect(e.message).toBe('Unexpected "~" at character 0 (main:1)');
     }
   });
+
+  it('should handle object literals', () => {
+    const src = `@set cfg = {rate: 9600, pins: [1, 2], uart: {name: "uart57"}}
+@macro open(options)
+@{options.uart.name}:@{options.rate}
+@endmacro
+@include open(cfg)
+@{open({rate: cfg.pins[1], uart: {name: "uart12"}})}
+@foreach key, value in {a: 1, b: 2}
+@{key}=@{value}
+@end`;
+
+    expect(machine.execute(src)).toBe('uart57:9600\nuart12:2\na=1\nb=2\n');
+  });
 });
@@ -0,0 +1,78 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs');
+const path = require('path');
+const Log = require('log');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+
+// run with SPEC_LOGLEVEL=info to see the timings
+const log = new Log(process.env.SPEC_LOGLEVEL || 'error');
+
+/**
+ * Measure execution time
+ * @param {function} fn
+ * @return {{result: *, time: number}} result and time in ms
+ */
+function measure(fn) {
+  const start = Date.now();
+  const result = fn();
+  return {result, time: Date.now() - start};
+}
+
+describe('Machine benchmark', () => {
+
+  // samples including remote sources depend on the network,
+  // JS libraries of the samples keep state between executions
+  const samples = fs.readdirSync(FIXTURES)
+    .filter(dir => /^sample-\d+$/.test(dir))
+    .map(dir => path.join(FIXTURES, dir, 'input.nut'))
+    .filter(file => fs.existsSync(file + '.out') && !fs.existsSync(path.join(path.dirname(file), 'libs')))
+    .filter(file => fs.readdirSync(path.dirname(file))
+      .filter(f => /\.nut$/.test(f))
+      .every(f => !/(github:|https?:\/\/)/.test(fs.readFileSync(path.join(path.dirname(file), f), 'utf-8'))));
+
+  for (const file of samples) {
+    it(`should produce the same output for ${path.basename(path.dirname(file))}`, () => {
+      const init = require('./init')(file);
+      const expected = init.getResult();
+
+      for (let i = 0; i < 5; i++) {
+        const machine = init.createMachine();
+        const res = measure(() => machine.execute('@include "input.nut"'));
+        expect(res.result).toBe(expected);
+        log.info(`${path.basename(path.dirname(file))}: ${res.time}ms`);
+      }
+    });
+  }
+
+  it('should execute large sources with large variables', () => {
+    const machine = require('./init')('main').createMachine();
+    const data = [];
+    let source = '';
+    let expected = '';
+
+    for (let i = 0; i < 2000; i++) {
+      data.push({id: i, name: `item${i}`, tags: ['a', 'b', 'c']});
+    }
+
+    for (let i = 0; i < 500; i++) {
+      source += `line ${i} @{DATA.length}\n`;
+      expected += `line ${i} 2000\n`;
+    }
+
+    source += '@foreach item in DATA\n@{item.id}\n@end\n';
+    expected += data.map(item => `${item.id}\n`).join('');
+
+    const res = measure(() => machine.execute(source, {DATA: data}));
+    log.info(`large source: ${res.time}ms`);
+
+    expect(res.result).toBe(expected);
+  });
+});
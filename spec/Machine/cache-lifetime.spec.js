@@ -0,0 +1,139 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs-extra');
+const http = require('http');
+const init = require('./init')('main');
+const FileCache = require('../../src/FileCache');
+
+describe('FileCache', () => {
+  let machine, server, baseUrl, requests, version;
+
+  beforeAll((done) => {
+    // serves "/source.nut" with ETag of the current version
+    server = http.createServer((req, res) => {
+      const etag = `"v${version}"`;
+      requests.push({url: req.url, etag: req.headers['if-none-match'] || null});
+
+      if (req.headers['if-none-match'] === etag) {
+        res.statusCode = 304;
+        res.end();
+      } else {
+        res.setHeader('ETag', etag);
+        res.end(`version ${version}`);
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    machine.fileCache.cacheDir = './test-cache';
+    machine.useCache = true;
+    requests = [];
+    version = 1;
+  });
+
+  afterEach(() => {
+    fs.removeSync('./test-cache');
+  });
+
+  /**
+   * Make cached file of the source outdated
+   * @param {string} link
+   */
+  function expire(link) {
+    fs.utimesSync(machine.fileCache._getCachedPath(link), 0, 0);
+  }
+
+  it('should revalidate outdated files', (done) => {
+    const link = `${baseUrl}/source.nut`;
+
+    machine.executeAsync(`@include "${link}"`)
+      .then((res) => {
+        expect(res).toBe('version 1\n');
+        expect(machine.fileCache._getIndex().get(link).etag).toBe('"v1"');
+        expire(link);
+        return machine.executeAsync(`@include "${link}"`);
+      })
+      .then((res) => {
+        expect(res).toBe('version 1\n');
+        expect(requests).toEqual([{url: '/source.nut', etag: null}, {url: '/source.nut', etag: '"v1"'}]);
+
+        // renewed
+        expect(machine.fileCache._isCacheFileOutdate(machine.fileCache._getCachedPath(link), link)).toBe(false);
+
+        version = 2;
+        expire(link);
+        return machine.executeAsync(`@include "${link}"`);
+      })
+      .then((res) => {
+        expect(res).toBe('version 2\n');
+        expect(machine.fileCache._getIndex().get(link).etag).toBe('"v2"');
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should revalidate outdated files synchronously', () => {
+    const link = 'http://example.com/source.nut';
+
+    machine.readers.http.readConditional = (url, validators) => {
+      requests.push(validators);
+      return validators ?
+        {notModified: true, content: null, etag: validators.etag, lastModified: validators.lastModified} :
+        {notModified: false, content: 'remote', etag: null, lastModified: 'Mon, 02 Jan 2017 00:00:00 GMT'};
+    };
+
+    expect(machine.execute(`@include "${link}"`)).toBe('remote\n');
+    expire(link);
+    expect(machine.execute(`@include "${link}"`)).toBe('remote\n');
+    expect(requests).toEqual([null, {etag: null, lastModified: 'Mon, 02 Jan 2017 00:00:00 GMT'}]);
+  });
+
+  it('should use cache lifetimes', () => {
+    const fileCache = machine.fileCache;
+    const github = machine.readers.github;
+
+    fileCache.cacheLifetime = 1000;
+    fileCache.cacheLifetimes = [
+      {pattern: 'github:electricimp/**', lifetime: 2000},
+      {pattern: 'https://example.com/**', lifetime: 3000}
+    ];
+
+    expect(fileCache._getCacheLifetime('github:electricimp/Promise/promise.nut@develop', github)).toBe(2000);
+    expect(fileCache._getCacheLifetime('github:other/repo/file.nut', github)).toBe(1000);
+    expect(fileCache._getCacheLifetime('https://example.com/a/b.nut', machine.readers.http)).toBe(3000);
+
+    // immutable refs
+    const sha = '9f3c2e1a4b5c6d7e8f9012345678901234567890';
+    expect(fileCache._getCacheLifetime(`github:other/repo/file.nut@${sha}`, github)).toBe(Infinity);
+    expect(fileCache._getCacheLifetime(`git+https://example.com/repo.git/file.nut@${sha}`, machine.readers.git))
+      .toBe(Infinity);
+    expect(fileCache._getCacheLifetime('github:electricimp/Promise/promise.nut@v3.0.1', github)).toBe(2000);
+    expect(fileCache._getCacheLifetime('github:other/repo/file.nut@2.1', github)).toBe(1000);
+    expect(fileCache._getCacheLifetime('github:other/repo/file.nut@9f3c2e1', github)).toBe(1000);
+    expect(fileCache._getCacheLifetime('github:other/repo/file.nut@release', github)).toBe(1000);
+    expect(fileCache._getCacheLifetime(`https://example.com/${sha}.nut`, machine.readers.http)).toBe(3000);
+  });
+
+  it('should parse durations', () => {
+    expect(FileCache.parseDuration('90')).toBe(90000);
+    expect(FileCache.parseDuration('15m')).toBe(900000);
+    expect(FileCache.parseDuration('1.5h')).toBe(5400000);
+    expect(FileCache.parseDuration('7d')).toBe(604800000);
+    expect(() => FileCache.parseDuration('7w')).toThrowError('Invalid duration "7w"');
+  });
+});
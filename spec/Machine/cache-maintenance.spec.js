@@ -0,0 +1,138 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs-extra');
+const init = require('./init')('main');
+const FileCache = require('../../src/FileCache');
+const CacheIndex = require('../../src/CacheIndex');
+
+describe('FileCache', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    machine.fileCache.cacheDir = './test-cache';
+    machine.useCache = true;
+
+    // remote sources contain their urls
+    machine.readers.http.readConditional = (url) => ({notModified: false, content: url, etag: null, lastModified: null});
+  });
+
+  afterEach(() => {
+    fs.removeSync('./test-cache');
+  });
+
+  /**
+   * Set cache times of the source
+   * @param {string} link
+   * @param {number} cachedAgo ms
+   * @param {number} usedAgo ms
+   */
+  function age(link, cachedAgo, usedAgo) {
+    machine.fileCache._getIndex().update(link, {cached: Date.now() - cachedAgo, used: Date.now() - usedAgo});
+  }
+
+  /**
+   * @return {string[]}
+   */
+  function cachedUrls() {
+    return machine.fileCache.getEntries().map(entry => entry.url).sort();
+  }
+
+  it('should list cached entries', () => {
+    const a = 'http://example.com/a.nut';
+    const b = 'http://example.com/dir/b.nut';
+
+    machine.execute(`@include "${a}"\n@include "${b}"`);
+    machine.execute(`@include "${a}"`);
+    machine.execute(`@include "${a}"`);
+
+    const entries = machine.fileCache.getEntries();
+    expect(entries.map(entry => [entry.url, entry.size, entry.hits])).toEqual([[a, a.length, 2], [b, b.length, 0]]);
+    expect(entries[0].age).toBeLessThan(60000);
+
+    // files removed outside of the builder
+    fs.removeSync(entries[1].file);
+    expect(cachedUrls()).toEqual([a]);
+  });
+
+  it('should save usage of the cached files once per build', () => {
+    const a = 'http://example.com/a.nut';
+    machine.execute(`@include "${a}"`);
+
+    spyOn(CacheIndex.prototype, '_save').and.callThrough();
+    machine.execute(`@include "${a}"\n@include "${a}"\n@include "${a}"`);
+
+    expect(CacheIndex.prototype._save.calls.count()).toBe(1);
+    expect(JSON.parse(fs.readFileSync(machine.fileCache._getIndex().file, 'utf-8'))[a].hits).toBe(3);
+  });
+
+  it('should prune outdated entries', () => {
+    machine.execute('@include "http://example.com/a.nut"\n@include "http://example.com/b.nut"');
+    age('http://example.com/a.nut', 2 * 86400000, 0);
+
+    const removed = machine.fileCache.prune();
+    expect(removed.map(entry => entry.url)).toEqual(['http://example.com/a.nut']);
+    expect(cachedUrls()).toEqual(['http://example.com/b.nut']);
+
+    age('http://example.com/b.nut', 3600000, 0);
+    expect(machine.fileCache.prune({maxAge: 1800000}).length).toBe(1);
+    expect(cachedUrls()).toEqual([]);
+  });
+
+  it('should prune least recently used entries over size budget', () => {
+    machine.execute('@include "http://example.com/a.nut"\n@include "http://example.com/b.nut"\n@include "http://example.com/c.nut"');
+    age('http://example.com/a.nut', 3000, 1000);
+    age('http://example.com/b.nut', 3000, 3000);
+    age('http://example.com/c.nut', 3000, 2000);
+
+    // each file is 25 bytes
+    const removed = machine.fileCache.prune({maxSize: 40});
+    expect(removed.map(entry => entry.url)).toEqual(['http://example.com/b.nut', 'http://example.com/c.nut']);
+    expect(cachedUrls()).toEqual(['http://example.com/a.nut']);
+  });
+
+  it('should prune files missing in the index', () => {
+    machine.execute('@include "http://example.com/a.nut"');
+    fs.outputFileSync('./test-cache/http#example.com-orphan.nut', 'data');
+
+    const removed = machine.fileCache.prune();
+    expect(removed.map(entry => entry.url)).toEqual([null]);
+    expect(fs.existsSync('./test-cache/http#example.com-orphan.nut')).toBe(false);
+    expect(fs.existsSync(machine.fileCache._getIndex().file)).toBe(true);
+    expect(cachedUrls()).toEqual(['http://example.com/a.nut']);
+  });
+
+  it('should keep files that don\'t belong to the cache', () => {
+    machine.execute('@include "http://example.com/a.nut"');
+    fs.outputFileSync('./test-cache/important.txt', 'data');
+    fs.outputFileSync('./test-cache/notes.md', 'data');
+
+    expect(machine.fileCache.prune()).toEqual([]);
+    expect(fs.readFileSync('./test-cache/important.txt', 'utf-8')).toBe('data');
+    expect(fs.existsSync('./test-cache/notes.md')).toBe(true);
+    expect(cachedUrls()).toEqual(['http://example.com/a.nut']);
+  });
+
+  it('should evict entries', () => {
+    machine.execute('@include "http://example.com/a.nut"\n@include "http://example.com/dir/b.nut"\n@include "http://example.com/dir/c.nut"');
+
+    expect(machine.fileCache.evict('http://example.com/a.nut').length).toBe(1);
+    expect(machine.fileCache.evict('http://example.com/dir/*').length).toBe(2);
+    expect(machine.fileCache.evict('http://example.com/*').length).toBe(0);
+    expect(cachedUrls()).toEqual([]);
+  });
+
+  it('should parse sizes', () => {
+    expect(FileCache.parseSize('100')).toBe(100);
+    expect(FileCache.parseSize('512K')).toBe(524288);
+    expect(FileCache.parseSize('1.5mb')).toBe(1572864);
+    expect(FileCache.parseSize('1G')).toBe(1073741824);
+    expect(() => FileCache.parseSize('1T')).toThrowError('Invalid size "1T"');
+  });
+});
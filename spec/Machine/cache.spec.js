@@ -32,6 +32,19 @@ describe('FileCache', () => {
     expect(machine.fileCache._findFile(link) ? true : false).toEqual(false);
   });
 
+  it('should keep files that don\'t belong to the cache when clearing it', () => {
+    const link = 'github:test/test1/test.txt';
+    machine.fileCache._cacheFile(link, 'hello');
+    fs.mkdirSync('./test-cache/ast');
+    fs.writeFileSync('./test-cache/ast/a.json', '{}');
+    fs.writeFileSync('./test-cache/notes.md', 'notes');
+
+    machine.clearCache();
+    expect(fs.readdirSync('./test-cache')).toEqual(['notes.md']);
+    fs.unlinkSync('./test-cache/notes.md');
+    fs.rmdirSync('./test-cache');
+  });
+
   it('should cache files', () => {
     const link = 'github:test/test1/test.txt';
     const ghRes = machine.fileCache._getCachedPath(link);
@@ -35,4 +35,82 @@ describe('Machine', () => {
 1 2 3
 `);
   });
+
+  it('should not see Object.prototype members as variables', () => {
+    expect(machine.execute('@{defined(toString)} @{constructor} @{hasOwnProperty}')).toBe('false null null');
+  });
+
+  it('should keep loop and macro variables in their scopes', () => {
+    const src = `@macro m(x)
+@{x}@{__LINE__}
+@endmacro
+@foreach x in [1, 2]
+@include m(x * 10)
+@end
+@{defined(x)} @{defined(loop)} @{__LINE__}`;
+
+    expect(machine.execute(src)).toBe('102\n202\nfalse false 7');
+  });
+
+  it('should expose context to functions', () => {
+    const data = {items: [1, 2, 3]};
+    machine.globals.count = function(value) {
+      return value.items.length + ' ' + this.globals.total + ' ' + this.__LINE__;
+    };
+
+    expect(machine.execute('@set total 6\n@{count(DATA)}', {DATA: data})).toBe('3 6 2');
+    expect(data).toEqual({items: [1, 2, 3]});
+  });
+
+  it('should pass context to functions as a plain object', () => {
+    machine.globals.inspect = function(name) {
+      return [this.hasOwnProperty(name), Object.keys(this).indexOf(name) !== -1, JSON.parse(JSON.stringify(this))[name]].join(' ');
+    };
+
+    const src = `@macro m(a)
+@{inspect("a")} @{inspect("b")}
+@endmacro
+@foreach i in [1]
+@include m(i + 1)
+@end`;
+
+    expect(machine.execute(src, {b: 'x'})).toBe('true true 2 true true x\n');
+  });
+
+  it('should not leak changes made through the function context', () => {
+    machine.globals.change = function() {
+      this.list.push(3);
+      this.data.nested.count++;
+      this.value = 'changed';
+      return this.list.length + ':' + this.data.nested.count;
+    };
+
+    const src = `@{change()} @{change()}
+@{list.length} @{data.nested.count} @{value}`;
+
+    expect(machine.execute(src, {list: [1, 2], data: {nested: {count: 0}}, value: 'kept'})).toBe('3:1 3:1\n2 0 kept');
+  });
+
+  it('should not leak changes of variables out of includes and macros', () => {
+    const data = {items: [1, 2], nested: {count: 0}};
+
+    machine.globals.add = (value) => {
+      value.items.push(value.items.length + 1);
+      value.nested.count++;
+      return value.items.length + ':' + value.nested.count;
+    };
+
+    machine.readers.http.read = () => '@{add(DATA)}';
+
+    const src = `@macro m(value)
+@{add(value)} @{add(DATA)}
+@endmacro
+@include m(DATA)
+@include "http://example.com/add.nut"
+@{m(DATA)}
+@{add(DATA)} @{add(DATA)}`;
+
+    expect(machine.execute(src, {DATA: data})).toBe('3:1 3:1\n3:1\n3:1 3:1\n3:1 4:2');
+    expect(data).toEqual({items: [1, 2], nested: {count: 0}});
+  });
 });
@@ -0,0 +1,157 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs-extra');
+const Builder = require('../../src');
+const Machine = require('../../src/Machine');
+const AstParser = require('../../src/AstParser');
+const init = require('./init')('main');
+
+describe('Machine', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+
+    // @times <count:number> ... @endtimes
+    machine.registerDirective('times', {
+      block: true,
+      parse: (arg) => {
+        if (!/^\d+$/.test(arg)) {
+          throw new Error('Expected number');
+        }
+        return parseInt(arg, 10);
+      },
+      execute: (directive) => {
+        for (let i = 0; i < directive.value; i++) {
+          directive.body({i});
+        }
+      }
+    });
+
+    // @upper ... @endupper
+    machine.registerDirective('upper', {
+      block: true,
+      execute: directive => directive.output(directive.render({suffix: '!'}).toUpperCase())
+    });
+
+    // @assert <condition:expression>
+    machine.registerDirective('assert', {
+      execute: (directive) => {
+        if (!directive.evaluate(directive.value)) {
+          throw new Error(`Assertion failed: ${directive.value}`);
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    fs.removeSync('./test-cache');
+  });
+
+  it('should parse custom directives', () => {
+    expect(machine.parser.parse('@times 2\nx\n@endtimes\n@assert true // comment')).toEqual([
+      {
+        _line: 1,
+        type: 'directive',
+        name: 'times',
+        value: 2,
+        body: [{_line: 2, type: 'output', value: 'x\n', computed: true}]
+      },
+      {_line: 4, type: 'directive', name: 'assert', value: 'true'}
+    ]);
+
+    // unregistered directives are output as is
+    expect(new AstParser().parse('@times 2\n')).toEqual([{_line: 1, type: 'output', value: '@times 2\n', computed: true}]);
+  });
+
+  it('should execute custom directives', () => {
+    const res = machine.execute(
+`@set a = 1
+@times 3
+@assert i < 3
+@if i != 1
+item @{i}
+@endif
+@end
+@upper
+@{a} @{suffix}
+@endupper
+`
+    );
+
+    expect(res).toBe('item 0\nitem 2\n1 !\n');
+  });
+
+  it('should report custom directive errors', () => {
+    expect(() => machine.execute('\n@times x\n@endtimes')).toThrowError(AstParser.Errors.SyntaxError, 'Expected number in @times (main:2)');
+    expect(() => machine.execute('@times 1\n')).toThrowError('Unclosed @times statement (main:1)');
+    expect(() => machine.execute('@upper\n@endtimes')).toThrowError('Unexpected @endtimes (main:2)');
+    expect(() => machine.execute('@while true\n@upper\n@break\n@endupper\n@endwhile'))
+      .toThrowError('@break is not allowed across @upper boundary (main:3)');
+    expect(() => machine.execute('@assert 1 > 2')).toThrowError(Machine.Errors.DirectiveError, 'Assertion failed: 1 > 2 in @assert (main:1)');
+    expect(() => machine.execute('@assert a.b')).toThrowError(Machine.Errors.ExpressionEvaluationError);
+  });
+
+  it('should validate custom directive names', () => {
+    expect(() => machine.registerDirective('include', {execute: () => null})).toThrowError('Directive "@include" is already defined');
+    expect(() => machine.registerDirective('times', {execute: () => null})).toThrowError('Directive "@times" is already defined');
+    expect(() => machine.registerDirective('endtimes', {execute: () => null})).toThrowError('Invalid directive name "endtimes"');
+    expect(() => machine.registerDirective('my-directive', {execute: () => null})).toThrowError('Invalid directive name "my-directive"');
+    expect(() => machine.registerDirective('noop', {})).toThrowError('Directive "@noop" requires execute() function');
+  });
+
+  it('should not reuse ASTs parsed without custom directives', () => {
+    const source = '@times 2\nx\n@endtimes\n';
+
+    const other = init.createMachine();
+    other.fileCache.cacheDir = machine.fileCache.cacheDir = './test-cache';
+    other.useCache = machine.useCache = true;
+    other.readers.http.read = machine.readers.http.read = () => source;
+    other.readers.http.readConditional = machine.readers.http.readConditional =
+      () => ({notModified: false, content: source, etag: null, lastModified: null});
+
+    expect(other.execute('@include "http://example.com/times.nut"')).toBe(source);
+    expect(machine.execute('@include "http://example.com/times.nut"')).toBe('x\nx\n');
+  });
+
+  it('should read remote includes of the bodies asynchronously', (done) => {
+    machine.readers.http.read = () => fail('synchronous read');
+    machine.readers.http.readAsync = source => Promise.resolve(`remote ${source}\n`);
+    machine.prefetchConcurrency = 0;
+
+    machine.executeAsync('@times 2\n@include "http://example.com/" + i + ".nut"\n@endtimes\n')
+      .then((res) => {
+        expect(res).toBe('remote http://example.com/0.nut\nremote http://example.com/1.nut\n');
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should register custom directives of plugins', () => {
+    const builder = new Builder({plugins: ['spec/fixtures/directives/plugin.js']});
+    expect(builder.machine.execute('@stamp "version " + 1')).toBe('// version 1\n');
+  });
+
+  it('should register custom directives with the builder', () => {
+    const builder = new Builder();
+    builder.registerDirective('stamp', {execute: directive => directive.output(`// ${directive.value}\n`)});
+    expect(builder.machine.execute('@stamp 1.0')).toBe('// 1.0\n');
+  });
+
+  it('should register custom directives from libraries', () => {
+    const builder = new Builder({libs: ['spec/fixtures/directives/lib.js']});
+    expect(builder.machine.execute('@stamp "version " + version()')).toBe('// version 1.0.0\n');
+    expect(builder.machine.globals.__DIRECTIVES__).toBeUndefined();
+  });
+
+  it('should keep "directives" exported by libraries as a global', () => {
+    const builder = new Builder({libs: ['spec/fixtures/directives/lib.js']});
+    expect(builder.machine.execute('@{directives[1]}')).toBe('times');
+  });
+});
@@ -0,0 +1,59 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const path = require('path');
+const FILE = __dirname + '/../fixtures/sample-1/input.nut';
+const init = require('./init')(FILE);
+
+describe('Machine', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+  });
+
+  it('should record included local files', () => {
+    machine.execute('@include "input.nut"');
+
+    const dir = path.resolve(path.dirname(FILE));
+    expect(machine.dependencies.getLocations()).toEqual([
+      path.join(dir, 'input.nut'),
+      path.join(dir, 'inc-a.nut'),
+      path.join(dir, 'inc-b.nut')
+    ]);
+
+    const includes = machine.dependencies.includes;
+    expect(includes[0].includedFrom).toEqual({file: 'main', line: 1});
+    expect(includes[1].source).toBe('inc-a.nut');
+    expect(includes[1].type).toBe('file');
+    expect(includes[1].includedFrom.file).toBe(path.join(dir, 'input.nut'));
+    expect(includes[2].includedFrom.file).toBe(path.join(dir, 'inc-a.nut'));
+  });
+
+  it('should record remote includes', () => {
+    machine.fileCache.read = () => ({
+      content: '\n',
+      includePathParsed: {__FILE__: 'lib.nut', __PATH__: 'github:user/repo'}
+    });
+
+    machine.execute('\n@include "github:user/repo/lib.nut@v1.0.0"');
+
+    expect(machine.dependencies.includes).toEqual([{
+      source: 'github:user/repo/lib.nut@v1.0.0',
+      type: 'github',
+      location: 'github:user/repo/lib.nut@v1.0.0',
+      includedFrom: {file: 'main', line: 2}
+    }]);
+  });
+
+  it('should reset dependencies on every execution', () => {
+    machine.execute('@include "inc-b.nut"');
+    machine.execute('');
+    expect(machine.dependencies.includes).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs');
+const crypto = require('crypto');
+const init = require('./init')('main');
+const Machine = require('../../src/Machine');
+
+const FILE = `${__dirname}/../fixtures/lib/a.builder`;
+
+/**
+ * Calculate SRI hash
+ * @param {string} algorithm
+ * @param {string} content
+ * @return {string}
+ */
+function hash(algorithm, content) {
+  return algorithm + '-' + crypto.createHash(algorithm).update(content).digest('base64');
+}
+
+describe('Machine', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(machine.fileCache.cacheDir)) {
+      machine.clearCache();
+    }
+  });
+
+  it('should check integrity of included sources', () => {
+    const integrity = hash('sha384', fs.readFileSync(FILE));
+
+    expect(machine.execute(`@include "${FILE}" integrity "${integrity}"`)).toBe('a.builder\n');
+    expect(machine.execute(`@set H = "${integrity}"\n@{include("${FILE}", "sha256-abc= " + H)}`)).toBe('a.builder');
+  });
+
+  it('should check sources as they were fetched', () => {
+    const link = 'http://example.com/a.nut';
+
+    machine.readers.http.read = () => 'remote';
+    expect(machine.execute(`@include "${link}" integrity "${hash('sha256', 'remote')}"`)).toBe('remote\n');
+
+    try {
+      machine.execute(`@include "${link}" integrity "${hash('sha256', 'remote\n')}"`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe(`Integrity check failed for source "${link}" (main:1)`);
+    }
+  });
+
+  it('should check sources read from the cache as they were fetched', () => {
+    const link = 'http://example.com/a.nut';
+    const integrity = hash('sha256', 'remote');
+
+    machine.fileCache.cacheDir = './test-cache';
+    machine.useCache = true;
+    machine.readers.http.readConditional = () => ({notModified: false, content: 'remote', etag: null, lastModified: null});
+    machine.execute(`@include "${link}" integrity "${integrity}"`);
+    machine.readers.http.readConditional = () => fail('cache is not used');
+
+    expect(machine.execute(`@include "${link}" integrity "${integrity}"`)).toBe('remote\n');
+  });
+
+  it('should only use hashes with the strongest algorithm', () => {
+    const content = fs.readFileSync(FILE);
+
+    expect(machine.execute(`@include "${FILE}" integrity "${hash('sha256', content)} sha512-abc ${hash('sha512', content)}"`))
+      .toBe('a.builder\n');
+
+    try {
+      machine.execute(`@include "${FILE}" integrity "${hash('sha256', content)} sha384-abc"`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe(`Integrity check failed for source "${FILE}" (main:1)`);
+    }
+  });
+
+  it('should check integrity of cached sources', () => {
+    const link = 'http://example.com/a.nut';
+
+    machine.fileCache.cacheDir = './test-cache';
+    machine.useCache = true;
+    machine.fileCache._cacheFile(link, 'tampered\n');
+    machine.readers.http.read = () => fail('cache is not used');
+
+    try {
+      machine.execute(`@include "${link}" integrity "${hash('sha256', 'remote\n')}"`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe(`Integrity check failed for source "${link}" (main:1)`);
+    }
+  });
+
+  it('should check integrity asynchronously', (done) => {
+    machine.executeAsync(`\n@include "${FILE}" integrity "sha512-abc"`)
+      .then(() => fail('should not succeed'))
+      .catch((e) => {
+        expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+        expect(e.message).toBe(`Integrity check failed for source "${FILE}" (main:2)`);
+        done();
+      });
+  });
+
+  it('should fail on invalid integrity', () => {
+    try {
+      machine.execute(`@include "${FILE}" integrity "md5-abc"`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe(`Invalid integrity "md5-abc" for source "${FILE}" (main:1)`);
+    }
+  });
+
+  it('should not allow integrity for macros', () => {
+    try {
+      machine.execute(`@macro m()\nm\n@end\n@include m() integrity "sha256-abc"`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe('Integrity can\'t be checked for macro "m" (main:4)');
+    }
+  });
+});
@@ -0,0 +1,102 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const init = require('./init')('main');
+const Machine = require('../../src/Machine');
+const Lockfile = require('../../src/Lockfile');
+
+// stubbed repository: ref -> commit, commit -> content
+const COMMITS = {master: 'sha-2', v1: 'sha-1'};
+const CONTENTS = {'sha-1': 'version 1', 'sha-2': 'version 2'};
+
+describe('Machine', () => {
+  let machine, reads, resolves;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    machine.lockfile = new Lockfile('unused.lock.json');
+    reads = [];
+    resolves = [];
+
+    const github = machine.readers.github;
+    const ref = (source) => (source.match(/@(.+)$/) || [null, 'master'])[1];
+
+    github.read = (source) => {
+      reads.push(source);
+      return CONTENTS[ref(source)];
+    };
+    github.readAsync = (source) => Promise.resolve(github.read(source));
+    github.getCommitSha = (source) => {
+      resolves.push(source);
+      return COMMITS[ref(source)];
+    };
+    github.getCommitShaAsync = (source) => Promise.resolve(github.getCommitSha(source));
+  });
+
+  it('should pin GitHub sources to commits', () => {
+    expect(machine.execute('@include "github:u/r/a.nut"\n@include "github:u/r/a.nut@v1"'))
+      .toBe('version 2\nversion 1\n');
+    expect(resolves).toEqual(['github:u/r/a.nut', 'github:u/r/a.nut@v1']);
+    expect(reads).toEqual(['github:u/r/a.nut@sha-2', 'github:u/r/a.nut@sha-1']);
+    expect(machine.lockfile.toJSON().sources).toEqual({
+      'github:u/r/a.nut': {sha: 'sha-2', integrity: Lockfile.hash('version 2\n')},
+      'github:u/r/a.nut@v1': {sha: 'sha-1', integrity: Lockfile.hash('version 1\n')}
+    });
+  });
+
+  it('should read locked commits', (done) => {
+    machine.lockfile.verify('github:u/r/a.nut', 'sha-1', 'version 1\n');
+
+    machine.executeAsync('@include "github:u/r/a.nut"')
+      .then((res) => {
+        expect(res).toBe('version 1\n');
+        expect(resolves).toEqual([]);
+        expect(reads).toEqual(['github:u/r/a.nut@sha-1']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should not lock prefetched sources that are not included', (done) => {
+    machine.executeAsync('@if DEBUG\n@include "github:u/r/b.nut"\n@endif\n@include "github:u/r/a.nut@v1"')
+      .then((res) => {
+        expect(res).toBe('version 1\n');
+        expect(reads).toContain('github:u/r/b.nut@sha-2');
+        expect(machine.lockfile.toJSON().sources).toEqual({
+          'github:u/r/a.nut@v1': {sha: 'sha-1', integrity: Lockfile.hash('version 1\n')}
+        });
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should fail on content mismatch', () => {
+    machine.lockfile.verify('github:u/r/a.nut', 'sha-1', 'original\n');
+
+    try {
+      machine.execute('@include "github:u/r/a.nut"');
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe('Content of "github:u/r/a.nut" doesn\'t match lockfile "unused.lock.json" (main:1)');
+    }
+  });
+
+  it('should fail on unlocked sources in frozen mode', () => {
+    machine.lockfile.frozen = true;
+
+    try {
+      machine.execute('@include "github:u/r/a.nut"');
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe('Source "github:u/r/a.nut" is missing in lockfile "unused.lock.json" (main:1)');
+      expect(reads).toEqual([]);
+    }
+  });
+});
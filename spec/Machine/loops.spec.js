@@ -6,6 +6,7 @@
 
 require('jasmine-expect');
 const init = require('./init')('main');
+const Machine = require('../../src/Machine');
 const jasmineDiffMatchers = require('jasmine-diff-matchers');
 
 describe('Machine', () => {
@@ -86,6 +87,151 @@ loop.iteration == 3
     loop.iteration == 1
     loop.iteration == 2
     loop.iteration == 3
+`
+    );
+  });
+
+  it('should handle @foreach over arrays correctly', () => {
+    const res = machine.execute(
+      `
+@set items = ["a", "b", "c"]
+@foreach item in items
+@{loop.index}/@{loop.iteration}/@{loop.length}: @{item}@{loop.first ? " first" : ""}@{loop.last ? " last" : ""}
+@endforeach
+`
+    );
+
+    expect(res).diffChars(
+      `
+0/1/3: a first
+1/2/3: b
+2/3/3: c last
+`
+    );
+  });
+
+  it('should handle @foreach over objects correctly', () => {
+    const res = machine.execute(
+      `
+@foreach key, value in config
+@{key} = @{value}
+@end
+`,
+      {config: {rate: 9600, pin: 'A'}}
+    );
+
+    expect(res).diffChars(
+      `
+rate = 9600
+pin = A
+`
+    );
+  });
+
+  it('should expose array indexes as @foreach keys', () => {
+    const res = machine.execute(
+      `
+@foreach i, v in [10, 20]
+@{i}:@{v}
+@end
+`
+    );
+
+    expect(res).diffChars(
+      `
+0:10
+1:20
+`
+    );
+  });
+
+  it('should handle nested @foreach loops correctly', () => {
+    const res = machine.execute(
+      `
+@foreach row in [[1, 2], [3]]
+@foreach cell in row
+@{loop.index}:@{cell}
+@end
+@end
+`
+    );
+
+    expect(res).diffChars(
+      `
+0:1
+1:2
+0:3
+`
+    );
+  });
+
+  it('should fail to iterate over non-iterable values with @foreach', () => {
+    try {
+      machine.execute(`@foreach item in 123\n@end`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.ExpressionEvaluationError).toBeTruthy();
+      expect(e.message).toEqual('@foreach can only iterate over arrays and objects (main:1)');
+    }
+  });
+
+  it('should handle @break in @while loops correctly', () => {
+    const res = machine.execute(
+      `
+@while true
+@{loop.iteration}
+@break if loop.iteration == 3
+@end
+`
+    );
+
+    expect(res).diffChars(
+      `
+1
+2
+3
+`
+    );
+  });
+
+  it('should handle @continue in @repeat loops correctly', () => {
+    const res = machine.execute(
+      `
+@repeat 4
+@if loop.index % 2
+@continue
+@endif
+@{loop.index}
+@end
+`
+    );
+
+    expect(res).diffChars(
+      `
+0
+2
+`
+    );
+  });
+
+  it('should handle @break and @continue in nested loops correctly', () => {
+    const res = machine.execute(
+      `
+@foreach row in [[1, 2, 3], [4, 5, 6]]
+@foreach cell in row
+@continue if cell == 2
+@break if cell == 5
+@{cell}
+@end
+@end
+`
+    );
+
+    expect(res).diffChars(
+      `
+1
+3
+4
 `
     );
   });
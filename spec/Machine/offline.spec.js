@@ -0,0 +1,121 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const init = require('./init')('main');
+const Machine = require('../../src/Machine');
+
+const LINK = 'http://example.com/lib/a.nut';
+
+describe('Machine', () => {
+  let machine, reads;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    machine.fileCache.cacheDir = './test-cache';
+    machine.vendorDir = './test-vendor';
+    reads = [];
+    machine.readers.http.read = (source) => {
+      reads.push(source);
+      return `remote @{__FILE__}`;
+    };
+  });
+
+  afterEach(() => {
+    fs.removeSync('./test-cache');
+    fs.removeSync('./test-vendor');
+  });
+
+  it('should vendor remote sources', () => {
+    machine.fileCache.updateVendor = true;
+    fs.outputFileSync('./test-vendor/unused.nut', 'unused');
+
+    expect(machine.execute(`@include "${LINK}"`)).toBe('remote a.nut\n');
+    expect(machine.fileCache.vendoredFiles).toEqual([machine.fileCache._getCachedPath(LINK, './test-vendor')]);
+    expect(machine.fileCache.pruneVendor()).toEqual([path.join('test-vendor', 'unused.nut')]);
+    expect(fs.readdirSync('./test-vendor').length).toBe(1);
+  });
+
+  it('should not vendor prefetched sources that are not included', (done) => {
+    machine.fileCache.updateVendor = true;
+    machine.readers.http.readAsync = source => Promise.resolve(machine.readers.http.read(source));
+
+    machine.executeAsync(`@if DEBUG\n@include "http://example.com/lib/b.nut"\n@endif\n@include "${LINK}"`)
+      .then((res) => {
+        expect(res).toBe('remote a.nut\n');
+        expect(reads).toContain('http://example.com/lib/b.nut');
+        expect(machine.fileCache.vendoredFiles).toEqual([machine.fileCache._getCachedPath(LINK, './test-vendor')]);
+        expect(fs.readdirSync('./test-vendor').length).toBe(1);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should read vendored sources first', () => {
+    machine.useCache = true;
+    machine.fileCache._cacheFile(LINK, 'cached', './test-vendor');
+    machine.fileCache._cacheFile(LINK, 'stale');
+
+    expect(machine.execute(`@include "${LINK}"\n@{__FILE__}`)).toBe('cached\nmain');
+    expect(reads).toEqual([]);
+  });
+
+  it('should read cached sources in offline mode', () => {
+    machine.offline = true;
+    machine.fileCache._cacheFile(LINK, 'cached');
+
+    // outdated
+    const cachedFile = machine.fileCache._getCachedPath(LINK);
+    fs.utimesSync(cachedFile, 0, 0);
+
+    expect(machine.execute(`@include "${LINK}"`)).toBe('cached\n');
+    expect(reads).toEqual([]);
+  });
+
+  it('should fail on missing sources in offline mode', () => {
+    machine.offline = true;
+
+    try {
+      machine.execute(`@include "${LINK}"`);
+      fail();
+    } catch (e) {
+      expect(e instanceof Machine.Errors.SourceInclusionError).toBeTruthy();
+      expect(e.message).toBe(`Source "${LINK}" is not available offline: not found in the vendor directory or the cache (main:1)`);
+      expect(reads).toEqual([]);
+    }
+  });
+
+  it('should read local git repositories in offline mode', () => {
+    const dir = path.join(os.tmpdir(), `builder-offline-${process.pid}`);
+    const repo = path.join(dir, 'lib.git');
+    const git = args => childProcess.execFileSync(
+      'git', ['-c', 'user.name=Builder', '-c', 'user.email=builder@example.com'].concat(args), {cwd: path.join(dir, 'work')}
+    );
+
+    try {
+      fs.outputFileSync(path.join(dir, 'work', 'a.nut'), 'local @{__FILE__}');
+      git(['init', '-q']);
+      git(['add', '-A']);
+      git(['commit', '-q', '-m', 'a']);
+      git(['clone', '-q', '--bare', '.', repo]);
+
+      machine.offline = true;
+      machine.useCache = true;
+      machine.readers.git.cacheDir = path.join(dir, 'cache');
+
+      expect(machine.execute(`@include "git+file://${repo.replace(/\\/g, '/')}/a.nut"`)).toBe('local a.nut\n');
+      expect(() => machine.execute('@include "git+https://example.com/lib.git/a.nut"'))
+        .toThrowError(/is not available offline: not found in the vendor directory or the cache/);
+    } finally {
+      fs.removeSync(dir);
+    }
+  });
+});
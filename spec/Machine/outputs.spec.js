@@ -0,0 +1,103 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+const init = require('./init')('main');
+
+describe('Machine', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+  });
+
+  it('should parse @output blocks', () => {
+    expect(machine.parser.parse('@output "agent.nut"\nagent\n@endoutput')).toEqual([
+      {
+        _line: 1,
+        type: 'named_output',
+        value: '"agent.nut"',
+        body: [{_line: 2, type: 'output', value: 'agent\n', computed: true}]
+      }
+    ]);
+  });
+
+  it('should send @output blocks to the named outputs', () => {
+    const res = machine.execute(
+`@set side = "device"
+shared
+@output "agent.nut"
+agent @{1 + 1}
+@endoutput
+@output side + ".nut"
+device
+@output "agent.nut"
+nested
+@end
+@endoutput
+@foreach item in [1, 2, 3]
+@output "agent.nut"
+item @{item}
+@break if item == 2
+@endoutput
+@endforeach
+end
+`
+    );
+
+    expect(res).toBe('shared\nend\n');
+    expect(machine.outputs).toEqual({
+      'agent.nut': 'agent 2\nnested\nitem 1\nitem 2\n',
+      'device.nut': 'device\n'
+    });
+
+    machine.execute('main\n');
+    expect(machine.outputs).toEqual({});
+  });
+
+  it('should return the named outputs', (done) => {
+    const src = 'main\n@output "agent.nut"\nagent\n@endoutput\n';
+    const res = machine.executeWithOutputs(src);
+
+    expect(res).toEqual({output: 'main\n', outputs: {'agent.nut': 'agent\n'}});
+
+    // returned outputs are not changed by the following executions
+    machine.execute('main\n');
+    expect(res.outputs).toEqual({'agent.nut': 'agent\n'});
+
+    machine.executeWithOutputsAsync(src)
+      .then((res) => {
+        expect(res).toEqual({output: 'main\n', outputs: {'agent.nut': 'agent\n'}});
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should generate line control statements in the named outputs', () => {
+    machine.generateLineControlStatements = true;
+
+    expect(machine.execute('main\n@output "a"\na\n@endoutput\n')).toBe('#line 1 "main"\nmain\n');
+    expect(machine.outputs).toEqual({a: '#line 3 "main"\na\n'});
+  });
+
+  it('should report incorrect @output blocks', () => {
+    expect(() => machine.execute('@output 1\nx\n@endoutput'))
+      .toThrowError('@output name must be a non-empty string (main:1)');
+    expect(() => machine.execute('@output "a"\nx\n'))
+      .toThrowError('Unclosed @output statement (main:2)');
+    expect(() => machine.execute('@endoutput'))
+      .toThrowError('Unexpected @endoutput (main:1)');
+    expect(() => machine.execute('@output\n@endoutput'))
+      .toThrowError('Syntax error in @output (main:1)');
+    expect(() => machine.execute('@output "../../.ssh/authorized_keys"\nx\n@endoutput'))
+      .toThrowError('@output name "../../.ssh/authorized_keys" must be a relative path without ".." (main:1)');
+    expect(() => machine.execute('@output "a/../../b"\nx\n@endoutput'))
+      .toThrowError('@output name "a/../../b" must be a relative path without ".." (main:1)');
+    expect(() => machine.execute('@output "/etc/passwd"\nx\n@endoutput'))
+      .toThrowError('@output name "/etc/passwd" must be a relative path without ".." (main:1)');
+    expect(machine.outputs).toEqual({});
+  });
+});
@@ -0,0 +1,127 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const Log = require('log');
+const Builder = require('../../src');
+const Machine = require('../../src/Machine');
+
+describe('Machine', () => {
+  let sources;
+
+  /**
+   * Create machine with the plugins serving remote sources from the sources map
+   * @param {[]} plugins
+   * @return {Machine}
+   */
+  function createMachine(plugins) {
+    const builder = new Builder({plugins});
+    builder.logger = new Log(process.env.SPEC_LOGLEVEL || 'error');
+    builder.machine.readers.http.read = url => sources[url];
+    builder.machine.readers.http.readConditional = url => ({notModified: false, content: sources[url], etag: null, lastModified: null});
+    return builder.machine;
+  }
+
+  beforeEach(() => {
+    sources = {
+      'http://example.com/a.nut': '// Copyright Example\na = @{a}\n',
+      'http://example.com/b.nut': 'b\n'
+    };
+  });
+
+  it('should call plugin hooks', () => {
+    const calls = [];
+
+    const machine = createMachine([{
+      beforeInclude: (path, context) => {
+        calls.push(`beforeInclude ${path} ${context.__FILE__}:${context.__LINE__}`);
+      },
+      afterRead: (path, content) => {
+        calls.push(`afterRead ${path} ${content.length}`);
+      },
+      transformOutput: (fragment) => {
+        calls.push(`transformOutput ${JSON.stringify(fragment)}`);
+      },
+      afterBuild: (output, outputs) => {
+        calls.push(`afterBuild ${JSON.stringify(output)} ${JSON.stringify(outputs)}`);
+      }
+    }]);
+
+    expect(machine.execute('@set a = 1\n@include "http://example.com/a.nut"\n@output "b.nut"\nb\n@endoutput'))
+      .toBe('// Copyright Example\na = 1\n');
+    expect(calls).toEqual([
+      'beforeInclude http://example.com/a.nut main:2',
+      'afterRead http://example.com/a.nut 30',
+      'transformOutput "// Copyright Example\\n"',
+      'transformOutput "a = "',
+      'transformOutput "1"',
+      'transformOutput "\\n"',
+      'transformOutput "b\\n"',
+      'afterBuild "// Copyright Example\\na = 1\\n" {"b.nut":"b\\n"}'
+    ]);
+  });
+
+  it('should chain values returned from plugin hooks', () => {
+    const machine = createMachine([
+      {
+        beforeInclude: path => path.replace('/a.nut', '/b.nut'),
+        transformOutput: fragment => fragment.toUpperCase()
+      },
+      {
+        afterRead: (path, content) => `// ${path}\n${content}@{upper("x")}\n`,
+        transformOutput: fragment => fragment.replace('B', 'b')
+      },
+      {
+        afterBuild: output => output + '// stamp\n'
+      }
+    ]);
+
+    machine.globals.upper = s => s.toUpperCase();
+
+    expect(machine.execute('@include "http://example.com/a.nut"'))
+      .toBe('// HTTP://EXAMPLE.COM/b.NUT\nb\nX\n// stamp\n');
+    expect(machine.dependencies.getLocations('http')).toEqual(['http://example.com/b.nut']);
+  });
+
+  it('should transform outputs of macros once', () => {
+    let count = 0;
+    const machine = createMachine([{
+      transformOutput: () => {
+        count++;
+      }
+    }]);
+
+    expect(machine.execute('@macro m()\nm\n@endmacro\n@{m()}')).toBe('m');
+    expect(count).toBe(1);
+  });
+
+  it('should report plugin errors', () => {
+    const machine = createMachine([{
+      name: 'license',
+      afterRead: (path, content) => {
+        if (!/^\/\/ Copyright/.test(content)) {
+          throw new Error(`Missing license header in "${path}"`);
+        }
+      }
+    }]);
+
+    expect(machine.execute('@include "http://example.com/a.nut"')).toBe('// Copyright Example\na = null\n');
+    expect(() => machine.execute('\n@include "http://example.com/b.nut"')).toThrow(new Machine.Errors.PluginError(
+      'Plugin "license" failed in afterRead(): Missing license header in "http://example.com/b.nut" (main:2)'
+    ));
+  });
+
+  it('should load plugins from modules', () => {
+    const machine = createMachine(['spec/fixtures/plugins/stamp.js', {}]);
+    expect(machine.execute('x\n')).toBe('x\n// built with 2 plugin(s)\n');
+
+    const banner = createMachine(['spec/fixtures/plugins/banner.js']);
+    expect(banner.execute('x\n')).toBe('// main\nx\n');
+
+    expect(() => createMachine([null])).toThrowError('Plugin must be an object with hook methods, got null');
+  });
+});
@@ -0,0 +1,150 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const http = require('http');
+const FILE = __dirname + '/../fixtures/sample-1/input.nut';
+const init = require('./init')(FILE);
+
+// remote sources served by the local HTTP server
+const SOURCES = {
+  '/a.nut': 'a\n@include "{BASE}/nested.nut"',
+  '/b.nut': 'b',
+  '/c.nut': 'c',
+  '/nested.nut': 'nested\n@include "inc-b.nut"',
+  '/dynamic.nut': 'dynamic'
+};
+
+describe('Machine', () => {
+  let machine, server, baseUrl, requests, active, maxActive;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      active++;
+      maxActive = Math.max(maxActive, active);
+
+      // delay responses to let fetches overlap
+      setTimeout(() => {
+        active--;
+        if (SOURCES.hasOwnProperty(req.url)) {
+          res.end(SOURCES[req.url].replace('{BASE}', baseUrl));
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      }, 50);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    requests = [];
+    active = 0;
+    maxActive = 0;
+  });
+
+  it('should prefetch static includes concurrently', (done) => {
+    const source =
+      `@include "${baseUrl}/a.nut"\n` +
+      `@if DEBUG\n@include "${baseUrl}" + "/b.nut"\n@else\n@include "${baseUrl}/c.nut"\n@endif\n` +
+      `@include "${baseUrl}/missing.nut"`;
+
+    machine.prefetchConcurrency = 2;
+
+    machine.prefetch(source)
+      .then(() => {
+        expect(requests.sort()).toEqual(['/a.nut', '/b.nut', '/c.nut', '/missing.nut', '/nested.nut']);
+        expect(maxActive).toBe(2);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should not prefetch branches with constant false conditions', (done) => {
+    const source =
+      `@if false\n@include "${baseUrl}/a.nut"\n@elseif DEBUG\n@include "${baseUrl}/b.nut"\n` +
+      `@else\n@include "${baseUrl}/c.nut"\n@endif\n` +
+      `@if 1 + 1 == 2\n@include "${baseUrl}/dynamic.nut"\n@elseif DEBUG\n@include "${baseUrl}/missing.nut"\n` +
+      `@else\n@include "${baseUrl}/missing.nut"\n@endif`;
+
+    machine.prefetch(source)
+      .then(() => {
+        expect(requests.sort()).toEqual(['/b.nut', '/c.nut', '/dynamic.nut']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should skip constant expressions failing to evaluate', (done) => {
+    const source =
+      `@include "${baseUrl}/a" + 1 % 0 + ".nut"\n@if 1 % 0\n@include "${baseUrl}/b.nut"\n@endif\n` +
+      `@include "${baseUrl}/c.nut"`;
+
+    machine.prefetch(source)
+      .then(() => {
+        expect(requests).toEqual(['/c.nut']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should use prefetched sources during execution', (done) => {
+    const source = `@include "${baseUrl}/a.nut"\n@include "${baseUrl}/c.nut"`;
+
+    machine.prefetch(source)
+      .then(() => {
+        machine.readers.http.read = () => fail('remote read after prefetch');
+        expect(machine.execute(source)).toBe('a\nnested\n// included file b\nc\n');
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should not prefetch dynamic includes', (done) => {
+    const source = `@set NAME = "dynamic"\n@include "${baseUrl}/" + NAME + ".nut"`;
+
+    machine.executeAsync(source)
+      .then((res) => {
+        expect(res).toBe('dynamic\n');
+        expect(requests).toEqual(['/dynamic.nut']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should prefetch before asynchronous execution', (done) => {
+    machine.executeAsync(`@include "${baseUrl}/a.nut"`)
+      .then((res) => {
+        expect(res).toBe('a\nnested\n// included file b\n');
+        expect(requests).toEqual(['/a.nut', '/nested.nut']);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should not prefetch when disabled', (done) => {
+    machine.prefetchConcurrency = 0;
+    spyOn(machine.fileCache, 'setPrefetched').and.callThrough();
+
+    machine.executeAsync(`@include "${baseUrl}/a.nut"`)
+      .then((res) => {
+        expect(res).toBe('a\nnested\n// included file b\n');
+        expect(machine.fileCache.setPrefetched).not.toHaveBeenCalled();
+        done();
+      })
+      .catch(fail);
+  });
+});
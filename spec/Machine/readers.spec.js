@@ -0,0 +1,156 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+
+const fs = require('fs-extra');
+const Log = require('log');
+const Builder = require('../../src');
+const AbstractReader = require('../../src/Readers/AbstractReader');
+const init = require('./init')('main');
+
+describe('Machine', () => {
+  let machine;
+  let reads;
+
+  /**
+   * Create reader serving sources from the map and counting reads
+   * @param {{}} sources
+   * @return {AbstractReader}
+   */
+  function createReader(sources) {
+    const reader = new AbstractReader();
+    reader.supports = source => sources.hasOwnProperty(source);
+    reader.read = (source) => {
+      reads.push(source);
+      return sources[source];
+    };
+    return reader;
+  }
+
+  /**
+   * Create builder with the custom readers
+   * @param {{}[]} readers
+   * @return {Builder}
+   */
+  function createBuilder(readers) {
+    const builder = new Builder({readers});
+    builder.logger = new Log(process.env.SPEC_LOGLEVEL || 'error');
+    return builder;
+  }
+
+  beforeEach(() => {
+    reads = [];
+    machine = init.createMachine();
+  });
+
+  afterEach(() => {
+    fs.removeSync('./test-cache');
+  });
+
+  it('should register built-in readers by priority', () => {
+    const registry = machine.readerRegistry;
+
+    expect(registry.names).toEqual(['git', 'github', 'gitlab', 'bitbucket', 'http', 'file']);
+    expect(Object.keys(machine.readers)).toEqual(['git', 'github', 'gitlab', 'bitbucket', 'http', 'file']);
+    expect(registry.find('github:user/repo/file.nut')).toBe(registry.get('github'));
+    expect(registry.find('https://example.com/file.nut')).toBe(registry.get('http'));
+    expect(registry.find('file.nut')).toBe(registry.get('file'));
+    expect(machine.readers.file).toBe(registry.get('file'));
+    expect(registry.isCacheable(registry.get('github'))).toBe(true);
+    expect(registry.isCacheable(registry.get('file'))).toBe(false);
+  });
+
+  it('should replace and unregister readers', () => {
+    const registry = machine.readerRegistry;
+    const github = createReader({'github:user/repo/a.nut': 'stubbed\n'});
+    registry.replace('github', github);
+
+    expect(registry.get('github')).toBe(github);
+    expect(registry.names).toEqual(['git', 'github', 'gitlab', 'bitbucket', 'http', 'file']);
+    expect(registry.isCacheable(github)).toBe(true);
+    expect(machine.execute('@include "github:user/repo/a.nut"')).toBe('stubbed\n');
+    expect(machine.dependencies.includes[0].type).toBe('github');
+
+    machine.registerReader('custom', createReader({'custom.nut': 'custom\n'}));
+    expect(registry.names).toEqual(['git', 'github', 'gitlab', 'bitbucket', 'http', 'custom', 'file']);
+    expect(machine.execute('@include "custom.nut"')).toBe('custom\n');
+
+    expect(registry.unregister('custom')).toBe(true);
+    expect(registry.get('custom')).toBe(null);
+    expect(() => registry.replace('http', {})).toThrowError('Reader "http" must implement read() and supports() methods');
+    expect(() => registry.replace('custom', github)).toThrowError('Reader "custom" is not registered');
+  });
+
+  it('should list readers in a read-only object', () => {
+    expect(Object.isFrozen(machine.readers)).toBe(true);
+    expect(() => { machine.readers.github = createReader({}); }).toThrowError(TypeError);
+    expect(() => { machine.readers = {}; }).toThrowError(TypeError);
+  });
+
+  it('should read sources with the URL schemes of the custom readers', () => {
+    machine.registerReader('artifacts', createReader({'ARTIFACT:lib/a.nut': 'a = @{__FILE__}\n'}), {schemes: ['artifact']});
+
+    expect(machine.execute('@include "ARTIFACT:lib/a.nut"')).toBe('a = a.nut\n');
+    expect(reads).toEqual(['ARTIFACT:lib/a.nut']);
+    expect(machine.dependencies.includes[0].type).toBe('artifacts');
+  });
+
+  it('should try readers in the order of priorities', () => {
+    const source = 'https://example.com/mirrored.nut';
+    machine.readers.http.read = () => 'http\n';
+    machine.readers.http.readConditional = () => ({notModified: false, content: 'http\n', etag: null, lastModified: null});
+
+    machine.registerReader('low', createReader({[source]: 'low\n'}));
+    expect(machine.execute(`@include "${source}"`)).toBe('http\n');
+
+    machine.registerReader('mirror', createReader({[source]: 'mirror\n'}), {priority: 50});
+    machine.registerReader('other', createReader({[source]: 'other\n'}), {priority: 50});
+    expect(machine.readerRegistry.names).toEqual(['mirror', 'other', 'git', 'github', 'gitlab', 'bitbucket', 'http', 'low', 'file']);
+    expect(machine.execute(`@include "${source}"`)).toBe('mirror\n');
+
+    expect(machine.readerRegistry.unregister('mirror')).toBe(true);
+    expect(machine.execute(`@include "${source}"`)).toBe('other\n');
+  });
+
+  it('should cache sources of the cacheable readers only', () => {
+    machine.fileCache.cacheDir = './test-cache';
+    machine.useCache = true;
+    machine.registerReader('store', createReader({'store:lib.nut': 'lib\n'}), {schemes: ['store'], cacheable: true});
+    machine.registerReader('volatile', createReader({'volatile:lib.nut': 'lib\n'}), {schemes: ['volatile']});
+
+    for (let i = 0; i < 2; i++) {
+      expect(machine.execute('@include "store:lib.nut"\n@include "volatile:lib.nut"')).toBe('lib\nlib\n');
+    }
+
+    expect(reads).toEqual(['store:lib.nut', 'volatile:lib.nut', 'volatile:lib.nut']);
+    expect(machine.fileCache._findFile('store:lib.nut')).toEndWith('store#lib.nut');
+  });
+
+  it('should validate readers', () => {
+    const reader = createReader({});
+
+    expect(() => machine.registerReader('file', reader)).toThrowError('Reader "file" is already registered');
+    expect(() => machine.registerReader('my reader', reader)).toThrowError('Invalid reader name "my reader"');
+    expect(() => machine.registerReader('custom', {})).toThrowError('Reader "custom" must implement read() and supports() methods');
+    expect(() => machine.registerReader('custom', reader, {priority: 'high'})).toThrowError('Invalid priority of reader "custom"');
+    expect(() => machine.registerReader('custom', reader, {schemes: ['s3:']})).toThrowError('Invalid URL scheme "s3:" of reader "custom"');
+  });
+
+  it('should load reader modules', () => {
+    const builder = createBuilder([{name: 'artifacts', reader: 'spec/fixtures/readers/artifacts.js', schemes: ['artifact']}]);
+
+    expect(builder.machine.execute('@include "artifact:version.nut"')).toBe('const VERSION = "1.0.0";\n');
+    expect(() => builder.machine.execute('@include "artifact:missing.nut"')).toThrowError('Artifact "artifact:missing.nut" is not found (main:1)');
+    expect(builder.readerFiles).toEqual([require.resolve('../fixtures/readers/artifacts.js')]);
+
+    // factory functions are called with the builder
+    const factory = b => createReader({'x.nut': `${b.machine.readerRegistry.names.length} readers\n`});
+    expect(createBuilder([{name: 'x', reader: factory, priority: 1}]).machine.execute('@include "x.nut"')).toBe('6 readers\n');
+
+    expect(() => createBuilder([{name: 'x', reader: 'missing.js'}])).toThrowError('Reader module "missing.js" is not found');
+  });
+});
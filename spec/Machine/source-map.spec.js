@@ -0,0 +1,82 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+require('jasmine-expect');
+const path = require('path');
+
+const FILE = __dirname + '/../fixtures/sample-1/input.nut';
+const init = require('./init')(FILE);
+
+describe('Machine', () => {
+  let machine;
+
+  beforeEach(() => {
+    machine = init.createMachine();
+    machine.generateSourceMap = true;
+    machine.sourceMapDir = path.dirname(FILE);
+  });
+
+  it('should not generate source map by default', () => {
+    machine.generateSourceMap = false;
+    machine.execute('abc');
+    expect(machine.sourceMap).toBe(null);
+  });
+
+  it('should map output fragments to the original lines and columns', () => {
+    const res = machine.execute('a @{1+1} b\n@include "inc-a.nut"\nend\n');
+
+    expect(res).toBe('a 2 b\n// included file a\n// included file b\nend\n');
+    expect(machine.sourceMap).toEqual({
+      version: 3,
+      sources: ['main', 'inc-a.nut', 'inc-b.nut'],
+      sourcesContent: [
+        'a @{1+1} b\n@include "inc-a.nut"\nend\n',
+        '// included file a\n@include "inc-b.nut"\n',
+        '// included file b\n'
+      ],
+      names: [],
+      mappings: 'AAAA,EAAE,CAAM;ACAR;ACAA;AFEA'
+    });
+  });
+
+  it('should map output following inline expressions to their end in the source', () => {
+    expect(machine.execute('a @{ "}" + 1 } b\n')).toBe('a }1 b\n');
+    // " b" starts at column 14
+    expect(machine.sourceMap.mappings).toBe('AAAA,EAAE,EAAY');
+  });
+
+  it('should account for line control statements', () => {
+    machine.generateLineControlStatements = true;
+    machine.sourceMapFile = 'out.nut';
+    machine.execute('@include "inc-b.nut"');
+
+    expect(machine.sourceMap.file).toBe('out.nut');
+    expect(machine.sourceMap.sources).toEqual(['inc-b.nut']);
+    expect(machine.sourceMap.mappings).toBe(';AAAA');
+  });
+
+  it('should use paths relative to the source map directory as sources', () => {
+    // inc-b.nut is found in the search dir, the map is written to another directory
+    machine.sourceMapDir = path.join(path.dirname(FILE), '../sample-2/map');
+    machine.execute('@include "inc-b.nut"');
+
+    expect(machine.sourceMap.sources).toEqual(['../../sample-1/inc-b.nut']);
+    expect(machine.sourceMap.sourcesContent).toEqual(['// included file b\n']);
+  });
+
+  it('should use URLs as sources for remote includes', () => {
+    machine.fileCache.read = () => ({
+      content: 'remote\n',
+      includePathParsed: {__FILE__: 'lib.nut', __PATH__: 'github:user/repo/dir'}
+    });
+
+    machine.execute('@include "github:user/repo/dir/lib.nut"');
+
+    expect(machine.sourceMap.sources).toEqual(['github:user/repo/dir/lib.nut']);
+    expect(machine.sourceMap.sourcesContent).toEqual(['remote\n']);
+    expect(machine.sourceMap.mappings).toBe('AAAA');
+  });
+});
@@ -0,0 +1,135 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const Log = require('log');
+const childProcess = require('child_process');
+const GitlabReader = require('../src/Readers/GitlabReader');
+const BitbucketReader = require('../src/Readers/BitbucketReader');
+const AbstractReader = require('../src/Readers/AbstractReader');
+const Lockfile = require('../src/Lockfile');
+const init = require('./Machine/init')('main');
+
+describe('GitlabReader and BitbucketReader', () => {
+  let server, baseUrl, sha, gitlab, bitbucket;
+
+  beforeAll((done) => {
+    // API stub runs in another process, as the synchronous reads block this one
+    server = childProcess.fork(`${__dirname}/fixtures/repositories/server.js`);
+    server.on('message', (message) => {
+      baseUrl = `http://127.0.0.1:${message.port}`;
+      sha = message.sha;
+      done();
+    });
+  });
+
+  afterAll(() => {
+    server.disconnect();
+  });
+
+  beforeEach(() => {
+    const logger = new Log(process.env.SPEC_LOGLEVEL || 'error');
+
+    gitlab = new GitlabReader();
+    gitlab.baseUrl = baseUrl;
+    gitlab.logger = logger;
+
+    bitbucket = new BitbucketReader();
+    bitbucket.baseUrl = baseUrl;
+    bitbucket.logger = logger;
+  });
+
+  it('should parse GitLab and Bitbucket references', () => {
+    expect(GitlabReader.parseUrl('gitlab:group/project/lib/a.nut@v1.0')).toEqual({user: 'group', repo: 'project', path: 'lib/a.nut', ref: 'v1.0'});
+    expect(GitlabReader.parseUrl('gitlab:group/sub/project/-/lib/a.nut')).toEqual({user: 'group/sub', repo: 'project', path: 'lib/a.nut'});
+    expect(GitlabReader.parseUrl('github:group/project/a.nut')).toBe(false);
+    expect(GitlabReader.pin('gitlab:group/sub/project/-/lib/a.nut@master', sha)).toBe(`gitlab:group/sub/project/-/lib/a.nut@${sha}`);
+    expect(gitlab.parsePath('gitlab:group/sub/project/-/lib/a.nut')).toEqual({__FILE__: 'a.nut', __PATH__: 'gitlab:group/sub/project/-/lib'});
+
+    expect(BitbucketReader.parseUrl('bitbucket:~user/repo/a.nut@feature/x')).toEqual({user: '~user', repo: 'repo', path: 'a.nut', ref: 'feature/x'});
+    expect(BitbucketReader.pin('bitbucket:PRJ/lib/lib/a.nut', sha)).toBe(`bitbucket:PRJ/lib/lib/a.nut@${sha}`);
+    expect(bitbucket.parsePath('bitbucket:PRJ/lib/lib/a.nut@v1.0')).toEqual({__FILE__: 'a.nut', __PATH__: 'bitbucket:PRJ/lib/lib'});
+  });
+
+  it('should read files at refs', () => {
+    expect(gitlab.read('gitlab:group/project/lib/a.nut')).toBe('gitlab @{__FILE__}\n');
+    expect(gitlab.read('gitlab:group/project/lib/a.nut@v1.0')).toBe('gitlab v1.0\n');
+    expect(gitlab.read('gitlab:group/sub/project/-/a.nut')).toBe('gitlab subgroup\n');
+    expect(gitlab.getCommitSha('gitlab:group/project/lib/a.nut')).toBe(sha);
+
+    expect(bitbucket.read('bitbucket:PRJ/lib/lib/a.nut')).toBe('bitbucket @{__FILE__}\n');
+    expect(bitbucket.read('bitbucket:PRJ/lib/lib/a.nut@v1.0')).toBe('bitbucket v1.0\n');
+    expect(bitbucket.getCommitSha('bitbucket:PRJ/lib/lib/a.nut@develop')).toBe(sha);
+  });
+
+  it('should read files asynchronously', (done) => {
+    Promise.all([
+      gitlab.readAsync('gitlab:group/project/lib/a.nut@v1.0'),
+      gitlab.getCommitShaAsync('gitlab:group/project/lib/a.nut'),
+      bitbucket.readAsync('bitbucket:PRJ/lib/lib/a.nut@v1.0'),
+      bitbucket.getCommitShaAsync('bitbucket:PRJ/lib/lib/a.nut@develop')
+    ])
+      .then((res) => {
+        expect(res).toEqual(['gitlab v1.0\n', sha, 'bitbucket v1.0\n', sha]);
+        done();
+      })
+      .catch(done.fail);
+  });
+
+  it('should authenticate with tokens', () => {
+    expect(() => gitlab.read('gitlab:group/private/a.nut'))
+      .toThrowError(AbstractReader.Errors.SourceReadingError, 'Failed to get source "gitlab:group/private/a.nut" from GitLab: 401 Unauthorized');
+
+    gitlab.token = 'secret';
+    expect(gitlab.read('gitlab:group/private/a.nut')).toBe('gitlab private\n');
+
+    bitbucket.token = 'secret';
+    expect(bitbucket.read('bitbucket:~user/private/a.nut')).toBe('bitbucket private\n');
+  });
+
+  it('should report errors like GitHub reader', (done) => {
+    expect(() => gitlab.read('gitlab:group/project/missing.nut'))
+      .toThrowError('Failed to get source "gitlab:group/project/missing.nut" from GitLab: 404 File Not Found');
+    expect(() => bitbucket.read('bitbucket:PRJ/lib/a.nut'))
+      .toThrowError('Failed to get source "bitbucket:PRJ/lib/a.nut" from Bitbucket: The path "a.nut" does not exist at revision "master"');
+    expect(() => gitlab.read('gitlab:group/limited/a.nut')).toThrowError('GitLab API rate limit exceeded');
+    expect(() => bitbucket.read('bitbucket:PRJ/limited/a.nut')).toThrowError('Bitbucket API rate limit exceeded');
+    expect(() => gitlab.read('gitlab:group/project/forbidden.nut@v1.0')).toThrowError('GitLab API rate limit exceeded');
+
+    expect(() => gitlab.getCommitSha('gitlab:group/project/a.nut@maintenance')).toThrowError(
+      AbstractReader.Errors.SourceReadingError,
+      `Failed to get source "gitlab:group/project/a.nut@maintenance" from GitLab: invalid JSON response from "${baseUrl}/api/v4/projects/group%2Fproject/repository/commits/maintenance"`
+    );
+
+    // the last request allowed in the rate limit window succeeds
+    expect(gitlab.read('gitlab:group/project/last.nut@v1.0')).toBe('gitlab last\n');
+
+    bitbucket.baseUrl = null;
+    expect(() => bitbucket.read('bitbucket:PRJ/lib/a.nut'))
+      .toThrowError('Failed to get source "bitbucket:PRJ/lib/a.nut" from Bitbucket: server URL is not set');
+
+    gitlab.readAsync('gitlab:group/limited/a.nut')
+      .then(() => done.fail('rate limit error expected'), (e) => {
+        expect(e.message).toBe('GitLab API rate limit exceeded');
+        done();
+      });
+  });
+
+  it('should include and pin GitLab and Bitbucket sources', () => {
+    const machine = init.createMachine();
+    machine.readers.gitlab.baseUrl = machine.readers.bitbucket.baseUrl = baseUrl;
+
+    expect(machine.execute('@include "gitlab:group/project/lib/a.nut"\n@include "bitbucket:PRJ/lib/lib/a.nut"'))
+      .toBe('gitlab a.nut\nbitbucket a.nut\n');
+    expect(machine.dependencies.getLocations('gitlab')).toEqual(['gitlab:group/project/lib/a.nut']);
+    expect(machine.dependencies.getLocations('bitbucket')).toEqual(['bitbucket:PRJ/lib/lib/a.nut']);
+
+    machine.lockfile = new Lockfile('unused.lock.json');
+    expect(machine.execute('@include "gitlab:group/project/lib/a.nut"\n@include "bitbucket:PRJ/lib/lib/a.nut"'))
+      .toBe('gitlab pinned\nbitbucket pinned\n');
+    expect(Object.keys(machine.lockfile.toJSON().sources)).toEqual(['bitbucket:PRJ/lib/lib/a.nut', 'gitlab:group/project/lib/a.nut']);
+    expect(machine.lockfile.get('gitlab:group/project/lib/a.nut').sha).toBe(sha);
+  });
+});
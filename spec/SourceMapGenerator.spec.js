@@ -0,0 +1,37 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const SourceMapGenerator = require('../src/SourceMapGenerator');
+
+describe('SourceMapGenerator', () => {
+
+  it('should encode VLQ values', () => {
+    expect(SourceMapGenerator.encodeVLQ(0)).toBe('A');
+    expect(SourceMapGenerator.encodeVLQ(1)).toBe('C');
+    expect(SourceMapGenerator.encodeVLQ(-1)).toBe('D');
+    expect(SourceMapGenerator.encodeVLQ(16)).toBe('gB');
+    expect(SourceMapGenerator.encodeVLQ(1000)).toBe('w+B');
+  });
+
+  it('should generate source map', () => {
+    const generator = new SourceMapGenerator('out.nut');
+
+    generator.addMapping({generated: {line: 0, column: 0}, source: 'a.nut', original: {line: 0, column: 0}});
+    generator.addMapping({generated: {line: 0, column: 4}, source: 'a.nut', original: {line: 0, column: 6}});
+    generator.addMapping({generated: {line: 2, column: 0}, source: 'b.nut', original: {line: 3, column: 0}});
+    generator.setSourceContent('b.nut', 'content');
+
+    expect(generator.toJSON()).toEqual({
+      version: 3,
+      file: 'out.nut',
+      sources: ['a.nut', 'b.nut'],
+      sourcesContent: [null, 'content'],
+      names: [],
+      mappings: 'AAAA,IAAM;;ACGN'
+    });
+  });
+
+});
@@ -0,0 +1,184 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const Watcher = require('../src/Watcher');
+
+describe('Watcher', () => {
+  let watchers, timers, builds, files, results, watcher;
+
+  /**
+   * Report change of the watched file
+   * @param {string} file
+   * @param {string=} event
+   */
+  function change(file, event) {
+    watchers.filter(w => w.file === file && !w.closed).forEach(w => w.listener(event || 'change'));
+  }
+
+  /**
+   * Fire pending timers
+   * @return {Promise} resolved when the started builds are finished
+   */
+  function tick() {
+    const pending = timers.filter(t => !t.cleared && !t.fired);
+    pending.forEach(t => {
+      t.fired = true;
+      t.result = t.fn();
+    });
+    return Promise.all(pending.map(t => t.result));
+  }
+
+  beforeEach(() => {
+    watchers = [];
+    timers = [];
+    builds = 0;
+    files = ['a.nut', 'b.nut'];
+    results = [];
+
+    const build = () => {
+      builds++;
+      const result = results.shift();
+      return result instanceof Error ? Promise.reject(result) : Promise.resolve();
+    };
+
+    watcher = new Watcher(build, () => files.slice(), {
+      watch: (file, listener) => {
+        const w = {file, listener, close: () => w.closed = true};
+        watchers.push(w);
+        return w;
+      },
+      setTimeout: (fn) => {
+        const t = {fn};
+        timers.push(t);
+        return t;
+      },
+      clearTimeout: (t) => {
+        if (t) {
+          t.cleared = true;
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    watcher.close();
+  });
+
+  it('should rebuild on a dependency change', (done) => {
+    watcher.start()
+      .then(() => {
+        expect(builds).toBe(1);
+        expect(watcher.files).toEqual(['a.nut', 'b.nut']);
+
+        change('b.nut');
+        expect(builds).toBe(1);
+        return tick();
+      })
+      .then(() => {
+        expect(builds).toBe(2);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should coalesce bursts of changes', (done) => {
+    watcher.start()
+      .then(() => {
+        change('a.nut');
+        change('b.nut');
+        change('a.nut');
+        return tick();
+      })
+      .then(() => {
+        expect(builds).toBe(2);
+        expect(timers.filter(t => t.fired).length).toBe(1);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should rebuild once more on changes made during the build', (done) => {
+    let finish;
+    watcher._build = () => {
+      builds++;
+      return new Promise(resolve => finish = resolve);
+    };
+
+    const first = watcher.start();
+    finish();
+
+    first
+      .then(() => {
+        change('a.nut');
+        const second = tick();
+        expect(builds).toBe(2);
+
+        // the build is not finished
+        change('b.nut');
+        expect(timers.filter(t => !t.fired).length).toBe(0);
+        finish();
+        return second;
+      })
+      .then(() => {
+        const third = tick();
+        expect(builds).toBe(3);
+        finish();
+        return third;
+      })
+      .then(() => {
+        expect(timers.filter(t => !t.fired).length).toBe(0);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should follow the dependencies', (done) => {
+    watcher.start()
+      .then(() => {
+        files = ['a.nut', 'c.nut'];
+        change('a.nut');
+        return tick();
+      })
+      .then(() => {
+        expect(watcher.files).toEqual(['a.nut', 'c.nut']);
+        expect(watchers.find(w => 'b.nut' === w.file).closed).toBe(true);
+
+        // replaced files are watched again
+        change('c.nut', 'rename');
+        return tick();
+      })
+      .then(() => {
+        expect(watchers.filter(w => 'c.nut' === w.file).length).toBe(2);
+        done();
+      })
+      .catch(fail);
+  });
+
+  it('should recover after a failing build', (done) => {
+    watcher.start()
+      .then(() => {
+        results.push(new Error('syntax error'));
+        // the failed build only reaches a.nut
+        files = ['a.nut'];
+        change('b.nut');
+        return tick();
+      })
+      .then(() => {
+        expect(builds).toBe(2);
+        expect(watcher.files).toEqual(['a.nut', 'b.nut']);
+
+        // fixing the file rebuilds
+        files = ['a.nut', 'b.nut'];
+        change('b.nut');
+        return tick();
+      })
+      .then(() => {
+        expect(builds).toBe(3);
+        done();
+      })
+      .catch(fail);
+  });
+});
@@ -0,0 +1,189 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+
+describe('config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `builder-config-${process.pid}`);
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  /**
+   * Write config file
+   * @param {string} name
+   * @param {{}|string} content
+   * @return {string} path
+   */
+  function write(name, content) {
+    const file = path.join(dir, name);
+    fs.outputFileSync(file, 'string' === typeof content ? content : JSON.stringify(content));
+    return file;
+  }
+
+  it('should find config file in parent directories', () => {
+    const file = write('builder.config.json', {});
+    fs.mkdirsSync(path.join(dir, 'src', 'lib'));
+
+    expect(config.find(path.join(dir, 'src', 'lib'))).toBe(file);
+    expect(config.find(dir)).toBe(file);
+
+    const rc = write('src/.builderrc', {});
+    expect(config.find(path.join(dir, 'src', 'lib'))).toBe(rc);
+
+    // builder.config.json takes precedence over .builderrc
+    const json = write('src/builder.config.json', {});
+    expect(config.find(path.join(dir, 'src'))).toBe(json);
+  });
+
+  it('should load settings', () => {
+    const file = write('builder.config.json', {
+      searchDirs: ['src', '/usr/share/squirrel'],
+      libs: 'builder-libs/*.js',
+      defines: {DEBUG: false, VERSION: '1.0'},
+      definesFiles: ['env/common.yaml'],
+      cache: {enabled: true, dir: '.cache', excludeList: 'cache.exclude', ttl: {'github:org/*': '7d', 'https://*': 3600, '*': 1.5}},
+      github: {user: 'user', token: 'token'},
+      gitlab: {url: 'https://gitlab.example.com', token: 'gl-token'},
+      bitbucket: {url: 'https://bitbucket.example.com', token: 'bb-token'},
+      timeouts: {http: '10s', github: 60, git: '2m', gitlab: 2.5, bitbucket: '0.5'}
+    });
+
+    const settings = config.load(file);
+
+    expect(settings.file).toBe(file);
+    expect(settings.searchDirs).toEqual([path.join(dir, 'src'), '/usr/share/squirrel']);
+    expect(settings.libs).toEqual([path.join(dir, 'builder-libs/*.js')]);
+    expect(settings.defines).toEqual({DEBUG: false, VERSION: '1.0'});
+    expect(settings.definesFiles).toEqual([path.join(dir, 'env/common.yaml')]);
+    expect(settings.cache).toEqual({
+      enabled: true,
+      dir: path.join(dir, '.cache'),
+      excludeList: path.join(dir, 'cache.exclude'),
+      lifetime: null,
+      lifetimes: [
+        {pattern: 'github:org/*', lifetime: 7 * 86400000},
+        {pattern: 'https://*', lifetime: 3600000},
+        {pattern: '*', lifetime: 1500}
+      ]
+    });
+    expect(settings.github).toEqual({user: 'user', token: 'token'});
+    expect(settings.gitlab).toEqual({url: 'https://gitlab.example.com', token: 'gl-token'});
+    expect(settings.bitbucket).toEqual({url: 'https://bitbucket.example.com', user: null, token: 'bb-token'});
+    expect(settings.timeouts).toEqual({http: 10000, github: 60000, git: 120000, gitlab: 2500, bitbucket: 500});
+  });
+
+  it('should use defaults for missing settings', () => {
+    expect(config.load(write('.builderrc', '{}'))).toEqual({
+      file: path.join(dir, '.builderrc'),
+      searchDirs: [],
+      libs: [],
+      plugins: [],
+      readers: [],
+      defines: {},
+      definesFiles: [],
+      cache: {enabled: null, dir: null, excludeList: null, lifetime: null, lifetimes: []},
+      github: {user: null, token: null},
+      gitlab: {url: null, token: null},
+      bitbucket: {url: null, user: null, token: null},
+      timeouts: {http: null, github: null, git: null, gitlab: null, bitbucket: null},
+      targets: []
+    });
+  });
+
+  it('should apply profiles', () => {
+    const file = write('builder.config.json', {
+      libs: ['libs/dev.js'],
+      defines: {DEBUG: true, ENDPOINT: 'http://localhost'},
+      cache: {enabled: false, ttl: '1h'},
+      profiles: {
+        production: {
+          libs: ['libs/prod.js'],
+          defines: {DEBUG: false},
+          cache: {enabled: true}
+        }
+      }
+    });
+
+    const settings = config.load(file, 'production');
+    expect(settings.libs).toEqual([path.join(dir, 'libs/prod.js')]);
+    expect(settings.defines).toEqual({DEBUG: false, ENDPOINT: 'http://localhost'});
+    expect(settings.cache.enabled).toBe(true);
+    expect(settings.cache.lifetime).toBe(3600000);
+
+    expect(config.load(file).defines.DEBUG).toBe(true);
+    expect(() => config.load(file, 'staging'))
+      .toThrowError(`Invalid config file "${file}": unknown profile "staging"`);
+  });
+
+  it('should load build targets', () => {
+    let file = write('builder.config.json', {
+      targets: {
+        agent: {input: 'src/agent.nut', output: 'build/agent.nut', defines: {SIDE: 'agent'}},
+        device: {input: 'src/device.nut', output: 'build/device.nut', definesFiles: 'env/device.env', sourceMap: 'build/device.map'}
+      }
+    });
+
+    expect(config.load(file).targets).toEqual([
+      {
+        name: 'agent', input: path.join(dir, 'src/agent.nut'), output: path.join(dir, 'build/agent.nut'),
+        defines: {SIDE: 'agent'}, definesFiles: [], sourceMap: null, deps: null, depsTarget: null
+      },
+      {
+        name: 'device', input: path.join(dir, 'src/device.nut'), output: path.join(dir, 'build/device.nut'),
+        defines: {}, definesFiles: [path.join(dir, 'env/device.env')], sourceMap: path.join(dir, 'build/device.map'), deps: null, depsTarget: null
+      }
+    ]);
+
+    file = write('builder.config.json', {targets: {agent: {input: 'src/agent.nut'}}});
+    expect(() => config.load(file)).toThrowError(`Invalid config file "${file}": expected input and output files in target "agent"`);
+  });
+
+  it('should load reader modules', () => {
+    let file = write('builder.config.json', {
+      readers: {
+        artifacts: {module: 'readers/artifacts.js', priority: 50, schemes: ['artifact'], cacheable: true},
+        mirror: 'readers/mirror.js'
+      }
+    });
+
+    expect(config.load(file).readers).toEqual([
+      {name: 'artifacts', reader: path.join(dir, 'readers/artifacts.js'), priority: 50, schemes: ['artifact'], cacheable: true},
+      {name: 'mirror', reader: path.join(dir, 'readers/mirror.js'), priority: null, schemes: [], cacheable: false}
+    ]);
+
+    file = write('builder.config.json', {readers: {artifacts: {schemes: ['artifact']}}});
+    expect(() => config.load(file)).toThrowError(`Invalid config file "${file}": expected module path in reader "artifacts"`);
+  });
+
+  it('should report invalid config files', () => {
+    let file = write('builder.config.json', '{"libs": ');
+    expect(() => config.load(file)).toThrowError(/^Failed to load config file ".*builder\.config\.json": Unexpected end of JSON input/);
+
+    file = write('builder.config.json', {lib: 'a.js'});
+    expect(() => config.load(file)).toThrowError(`Invalid config file "${file}": unknown setting "lib" in config`);
+
+    file = write('builder.config.json', {cache: {ttl: 'week'}});
+    expect(() => config.load(file)).toThrowError(`Invalid config file "${file}": Invalid duration "week"`);
+
+    file = write('builder.config.json', {searchDirs: [1]});
+    expect(() => config.load(file)).toThrowError(`Invalid config file "${file}": expected paths in searchDirs`);
+
+    file = write('builder.config.json', {profiles: {production: {profiles: {}}}});
+    expect(() => config.load(file, 'production'))
+      .toThrowError(`Invalid config file "${file}": unknown setting "profiles" in profile "production"`);
+
+    expect(() => config.load(path.join(dir, 'missing.json'))).toThrowError(/^Failed to load config file ".*missing\.json": ENOENT/);
+  });
+});
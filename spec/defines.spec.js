@@ -0,0 +1,102 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const defines = require('../src/defines');
+
+describe('defines', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(os.tmpdir(), `builder-defines-${process.pid}`);
+  });
+
+  afterEach(() => {
+    fs.removeSync(dir);
+  });
+
+  /**
+   * Write defines file
+   * @param {string} name
+   * @param {string} content
+   * @return {string} path
+   */
+  function write(name, content) {
+    const file = path.join(dir, name);
+    fs.outputFileSync(file, content);
+    return file;
+  }
+
+  it('should convert command line values', () => {
+    expect(defines.parseValue('42')).toBe(42);
+    expect(defines.parseValue('-1.5')).toBe(-1.5);
+    expect(defines.parseValue('true')).toBe(true);
+    expect(defines.parseValue('false')).toBe(false);
+    expect(defines.parseValue('null')).toBe(null);
+    expect(defines.parseValue('[1, "a"]')).toEqual([1, 'a']);
+    expect(defines.parseValue('{"a": {"b": 1}}')).toEqual({a: {b: 1}});
+  });
+
+  it('should keep other values as strings', () => {
+    expect(defines.parseValue('abc')).toBe('abc');
+    expect(defines.parseValue('010')).toBe('010');
+    expect(defines.parseValue('0x10')).toBe('0x10');
+    expect(defines.parseValue('1.0')).toBe('1.0');
+    expect(defines.parseValue('1.10')).toBe('1.10');
+    expect(defines.parseValue('-1.5e3')).toBe('-1.5e3');
+    expect(defines.parseValue('Infinity')).toBe('Infinity');
+    expect(defines.parseValue(' 1')).toBe(' 1');
+    expect(defines.parseValue('True')).toBe('True');
+    expect(defines.parseValue('"quoted"')).toBe('"quoted"');
+    expect(defines.parseValue('[a-z]')).toBe('[a-z]');
+    expect(defines.parseValue('')).toBe('');
+  });
+
+  it('should parse .env files', () => {
+    expect(defines.parseEnv([
+      '# comment',
+      '',
+      'A=1',
+      'export B = true # inline comment',
+      'C="line\\nbreak # not a comment"',
+      'D=\'1\'',
+      'E=',
+      'F=a=b'
+    ].join('\n'))).toEqual({A: 1, B: true, C: 'line\nbreak # not a comment', D: '1', E: '', F: 'a=b'});
+
+    expect(defines.parseEnv([
+      'A="C:\\path\\to\\dir"',
+      'B="C:\\\\new"',
+      'C="say \\"hi\\"\\t"'
+    ].join('\n'))).toEqual({A: 'C:\\path\\to\\dir', B: 'C:\\new', C: 'say "hi"\\t'});
+
+    expect(() => defines.parseEnv('A=1\nnot a variable')).toThrowError('Invalid line 2: "not a variable"');
+  });
+
+  it('should load files', () => {
+    expect(defines.load(write('d.json', '{"A": 1, "B": [true]}'))).toEqual({A: 1, B: [true]});
+    expect(defines.load(write('d.yaml', 'A: 1\nB:\n  - true\nC: text\n'))).toEqual({A: 1, B: [true], C: 'text'});
+    expect(defines.load(write('d.yml', 'A: {b: null}'))).toEqual({A: {b: null}});
+    expect(defines.load(write('.env', 'A=1'))).toEqual({A: 1});
+    expect(defines.load(write('prod.env', 'A=2'))).toEqual({A: 2});
+  });
+
+  it('should fail on invalid files', () => {
+    const txt = write('d.txt', 'A=1');
+    expect(() => defines.load(txt))
+      .toThrowError(`Failed to load defines file "${txt}": Unsupported file type, expected .json, .yaml, .yml or .env`);
+
+    const list = write('list.json', '[1]');
+    expect(() => defines.load(list)).toThrowError(`Failed to load defines file "${list}": expected variable names and values`);
+
+    const broken = write('broken.yaml', 'a: [');
+    expect(() => defines.load(broken)).toThrowError(new RegExp(`^Failed to load defines file "${broken.replace(/\\/g, '\\\\')}": `));
+
+    expect(() => defines.load(path.join(dir, 'missing.json'))).toThrowError(/ENOENT/);
+  });
+});
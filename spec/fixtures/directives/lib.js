@@ -0,0 +1,19 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+module.exports = {
+  version: () => '1.0.0',
+
+  // global named like the plugin property
+  directives: ['stamp', 'times'],
+
+  __DIRECTIVES__: {
+    // @stamp <label:expression>
+    stamp: {
+      execute: (directive) => directive.output(`// ${directive.evaluate(directive.value)}\n`)
+    }
+  }
+};
@@ -0,0 +1,16 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+module.exports = {
+  name: 'directives',
+
+  directives: {
+    // @stamp <label:expression>
+    stamp: {
+      execute: (directive) => directive.output(`// ${directive.evaluate(directive.value)}\n`)
+    }
+  }
+};
@@ -0,0 +1,20 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+// prepends the banner to the output
+class BannerPlugin {
+
+  constructor(builder) {
+    this.name = 'banner';
+    this._builder = builder;
+  }
+
+  afterBuild(output) {
+    return `// ${this._builder.machine.file}\n` + output;
+  }
+}
+
+module.exports = BannerPlugin;
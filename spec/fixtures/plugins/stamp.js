@@ -0,0 +1,11 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+// appends the build stamp to the output
+module.exports = (builder) => ({
+  name: 'stamp',
+  afterBuild: (output) => output + `// built with ${builder.machine.plugins.length} plugin(s)\n`
+});
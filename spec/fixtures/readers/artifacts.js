@@ -0,0 +1,26 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+const AbstractReader = require('../../../src/Readers/AbstractReader');
+
+// serves "artifact:<name>" sources from memory
+class ArtifactReader extends AbstractReader {
+
+  constructor() {
+    super();
+    this.artifacts = {'artifact:version.nut': 'const VERSION = "1.0.0";\n'};
+  }
+
+  read(source) {
+    if (!this.artifacts.hasOwnProperty(source)) {
+      throw new AbstractReader.Errors.SourceReadingError(`Artifact "${source}" is not found`);
+    }
+
+    return this.artifacts[source];
+  }
+}
+
+module.exports = ArtifactReader;
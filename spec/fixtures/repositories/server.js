@@ -0,0 +1,63 @@
+// Copyright (c) 2016-2017 Electric Imp
+// This file is licensed under the MIT License
+// http://opensource.org/licenses/MIT
+
+'use strict';
+
+// GitLab and Bitbucket Server API stub, runs in a separate process to serve synchronous reads
+const http = require('http');
+
+const SHA = '0123456789abcdef0123456789abcdef01234567';
+
+const GITLAB = '/api/v4/projects';
+const BITBUCKET = '/rest/api/1.0/projects';
+
+// url -> response
+const responses = {
+  [`${GITLAB}/group%2Fproject`]: JSON.stringify({default_branch: 'main'}),
+  [`${GITLAB}/group%2Fsub%2Fproject`]: JSON.stringify({default_branch: 'main'}),
+  [`${GITLAB}/group%2Fprivate`]: {token: 'secret', body: JSON.stringify({default_branch: 'main'})},
+  [`${GITLAB}/group%2Fproject/repository/files/lib%2Fa.nut/raw?ref=main`]: 'gitlab @{__FILE__}\n',
+  [`${GITLAB}/group%2Fproject/repository/files/lib%2Fa.nut/raw?ref=v1.0`]: 'gitlab v1.0\n',
+  [`${GITLAB}/group%2Fproject/repository/files/lib%2Fa.nut/raw?ref=${SHA}`]: 'gitlab pinned\n',
+  [`${GITLAB}/group%2Fsub%2Fproject/repository/files/a.nut/raw?ref=main`]: 'gitlab subgroup\n',
+  [`${GITLAB}/group%2Fprivate/repository/files/a.nut/raw?ref=main`]: {token: 'secret', body: 'gitlab private\n'},
+  [`${GITLAB}/group%2Fproject/repository/commits/main`]: JSON.stringify({id: SHA}),
+  [`${GITLAB}/group%2Fproject/repository/commits/maintenance`]: '<html>Down for maintenance</html>',
+  [`${GITLAB}/group%2Fproject/repository/files/last.nut/raw?ref=v1.0`]: {remaining: '0', body: 'gitlab last\n'},
+  [`${GITLAB}/group%2Fproject/repository/files/forbidden.nut/raw?ref=v1.0`]: {remaining: '0', status: 403, body: '{}'},
+  [`${BITBUCKET}/PRJ/repos/lib/raw/lib/a.nut`]: 'bitbucket @{__FILE__}\n',
+  [`${BITBUCKET}/PRJ/repos/lib/raw/lib/a.nut?at=v1.0`]: 'bitbucket v1.0\n',
+  [`${BITBUCKET}/PRJ/repos/lib/raw/lib/a.nut?at=${SHA}`]: 'bitbucket pinned\n',
+  [`${BITBUCKET}/~user/repos/private/raw/a.nut`]: {token: 'secret', body: 'bitbucket private\n'},
+  [`${BITBUCKET}/PRJ/repos/lib/commits?limit=1`]: JSON.stringify({values: [{id: SHA}]}),
+  [`${BITBUCKET}/PRJ/repos/lib/commits?limit=1&until=develop`]: JSON.stringify({values: [{id: SHA}]})
+};
+
+const server = http.createServer((req, res) => {
+  const response = responses[req.url];
+  const token = req.headers['private-token'] || (req.headers['authorization'] || '').replace(/^Bearer /, '');
+
+  if (response && response.remaining) {
+    res.statusCode = response.status || 200;
+    res.setHeader('ratelimit-remaining', response.remaining);
+    res.end(response.body);
+  } else if (/limited/.test(req.url)) {
+    res.statusCode = 429;
+    res.end();
+  } else if (undefined === response) {
+    res.statusCode = 404;
+    res.end(req.url.indexOf(GITLAB) === 0 ?
+      JSON.stringify({message: '404 File Not Found'}) :
+      JSON.stringify({errors: [{message: 'The path "a.nut" does not exist at revision "master"'}]})
+    );
+  } else if ('object' === typeof response && token !== response.token) {
+    res.statusCode = 401;
+    res.end(JSON.stringify({message: '401 Unauthorized'}));
+  } else {
+    res.end('object' === typeof response ? response.body : response);
+  }
+});
+
+server.listen(0, '127.0.0.1', () => process.send({port: server.address().port, sha: SHA}));
+process.on('disconnect', () => process.exit());
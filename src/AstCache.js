@@ -0,0 +1,195 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const XXHash = require('xxhashjs');
+const FileLock = require('./FileLock');
+
+// ASTs are stored in this subfolder of the cache directory
+const DIR_NAME = 'ast';
+
+// ASTs are reused only by the same Builder version, as the parser may change
+const VERSION = require('../package.json').version;
+
+const HASH_SEED = 0xA57CAC4E;
+
+// maximum number of ASTs kept in memory
+const MAX_ENTRIES = 1000;
+
+/**
+ * Cache of the parsed sources keyed by content hash
+ * ASTs are kept in memory and, when the file cache is enabled, stored in the cache directory.
+ * Parsed ASTs are never modified by the machine, so they are shared by all the inclusions.
+ */
+class AstCache {
+
+  /**
+   * @param {FileCache} fileCache
+   */
+  constructor(fileCache) {
+    this._fileCache = fileCache;
+    this._entries = new Map(); // hash -> AST
+  }
+
+  /**
+   * Get AST of the source, parsing it only if it's not cached
+   * @param {string} content
+   * @param {function(string):[]} parse
+   * @param {string=} variant - parser configuration producing different ASTs for the same content
+   * @return {[]}
+   */
+  parse(content, parse, variant) {
+    const hash = XXHash.h64(content, HASH_SEED).toString(16) + '-' + content.length +
+      (variant ? '-' + XXHash.h64(variant, HASH_SEED).toString(16) : '');
+    let ast = this._entries.get(hash);
+
+    if (ast) {
+      // keep recently used ASTs
+      this._entries.delete(hash);
+    } else {
+      ast = this._read(hash);
+
+      if (!ast) {
+        ast = parse(content);
+        this._write(hash, ast);
+      }
+    }
+
+    this._entries.set(hash, ast);
+
+    if (this._entries.size > MAX_ENTRIES) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+
+    return ast;
+  }
+
+  /**
+   * Drop ASTs kept in memory
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * Read AST stored on disk
+   * @param {string} hash
+   * @return {[]|null}
+   * @private
+   */
+  _read(hash) {
+    const file = this._getFile(hash);
+
+    if (!file || !fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+      if (VERSION !== data.version) {
+        return null;
+      }
+
+      // mark as used
+      const now = new Date();
+      fs.utimesSync(file, now, now);
+
+      return data.ast;
+    } catch (e) {
+      // broken or concurrently removed file is parsed again
+      return null;
+    }
+  }
+
+  /**
+   * Store AST on disk
+   * @param {string} hash
+   * @param {[]} ast
+   * @private
+   */
+  _write(hash, ast) {
+    const file = this._getFile(hash);
+
+    if (file) {
+      try {
+        FileLock.writeFileAtomic(file, JSON.stringify({version: VERSION, ast}));
+      } catch (e) {
+        // AST cache is optional
+      }
+    }
+  }
+
+  /**
+   * Path to the stored AST, null if the file cache is disabled
+   * @param {string} hash
+   * @return {string|null}
+   * @private
+   */
+  _getFile(hash) {
+    return this._fileCache.useCache ? path.join(AstCache.getDir(this._fileCache.cacheDir), hash + '.json') : null;
+  }
+
+  /**
+   * Directory with stored ASTs
+   * @param {string} cacheDir
+   * @return {string}
+   */
+  static getDir(cacheDir) {
+    return path.join(cacheDir, DIR_NAME);
+  }
+
+  /**
+   * Remove stored ASTs not used for a while
+   * @param {string} cacheDir
+   * @param {number} maxAge ms
+   * @return {{url: null, file: string, size: number}[]} removed files
+   */
+  static prune(cacheDir, maxAge) {
+    const dir = AstCache.getDir(cacheDir);
+    const removed = [];
+
+    if (!fs.existsSync(dir)) {
+      return removed;
+    }
+
+    for (const file of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, file);
+      const stat = fs.statSync(filePath);
+
+      if (Date.now() - stat.mtime > maxAge && !FileLock.isActiveTempFile(filePath)) {
+        fs.removeSync(filePath);
+        removed.push({url: null, file: filePath, size: stat.size});
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = AstCache;
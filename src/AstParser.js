@@ -26,6 +26,7 @@
 
 const jsep = require('jsep');
 const decomment = require('decomment');
+const parseExpression = require('./parseExpression');
 // instruction types
 const INSTRUCTIONS = require('./Machine').INSTRUCTIONS;
 
@@ -34,7 +35,10 @@ const STATES = {
   OK: 'ok',
   MACRO: 'macro',
   WHILE: 'while',
+  OUTPUT: 'output',
   REPEAT: 'repeat',
+  FOREACH: 'foreach',
+  DIRECTIVE: 'directive',
   IF_ELSEIF: 'if_elseif',
   IF_ALTERNATE: 'if_alternate',
   IF_CONSEQUENT: 'if_consequent'
@@ -46,15 +50,23 @@ const TOKENS = {
   END: 'end',
   SET: 'set',
   ELSE: 'else',
+  BREAK: 'break',
   MACRO: 'macro',
   WHILE: 'while',
   ENDIF: 'endif',
+  OUTPUT: 'output',
   REPEAT: 'repeat',
   ELSEIF: 'elseif',
+  FOREACH: 'foreach',
   INCLUDE: 'include',
   ENDWHILE: 'endwhile',
   ENDMACRO: 'endmacro',
+  ENDOUTPUT: 'endoutput',
+  CONTINUE: 'continue',
   ENDREPEAT: 'endrepeat',
+  ENDFOREACH: 'endforeach',
+  DIRECTIVE: 'directive',
+  ENDDIRECTIVE: 'enddirective',
   SOURCE_FRAGMENT: 'source_fragment',
   INLINE_EXPRESSION: 'inline_expression',
   WARNING: 'warning',
@@ -64,7 +76,10 @@ const TOKENS = {
 const LINES = /(.*(?:\r\n|\n)?)/g;
 
 // regex to detect if fragment is a directive
-const DIRECTIVE = /^\s*@(include|set|if|else|elseif|endif|error|macro|endmacro|end|while|endwhile|repeat|endrepeat|warning)\b(.*?)\s*$/;
+const DIRECTIVE = /^\s*@(include|set|if|else|elseif|endif|error|macro|endmacro|end|while|endwhile|repeat|endrepeat|foreach|endforeach|break|continue|warning|output|endoutput)\b(.*?)\s*$/;
+
+// regex to detect custom directives
+const CUSTOM_DIRECTIVE = /^\s*@([_A-Za-z][_A-Za-z0-9]*)\b(.*?)\s*$/;
 
 // @-style comments regex
 const COMMENT = /^\s*@\s/;
@@ -81,9 +96,19 @@ const Errors = {
 class AstParser {
 
   constructor() {
+    this.directives = new Map();
     this._initParser();
   }
 
+  /**
+   * Check if the directive is built in
+   * @param {string} name
+   * @return {boolean}
+   */
+  static isBuiltinDirective(name) {
+    return DIRECTIVE.test('@' + name);
+  }
+
   /**
    * Parse source into AST
    *
@@ -91,6 +116,10 @@ class AstParser {
    * @return [] Root-level base block
    */
   parse(source) {
+    // loop nesting levels, a new level is started by every macro and custom directive body
+    this._loopDepths = [0];
+    this._loopBoundaries = [null]; // what started the level
+
     return this._parse(
       this._tokenize(source), [], STATES.OK
     );
@@ -144,6 +173,15 @@ class AstParser {
               arg = arg.substr(5).trim();
             }
 
+            // detect integrity
+            const integrityPosition = this._findKeyword(arg, 'integrity');
+
+            if (-1 !== integrityPosition) {
+              token.integrity = arg.substr(integrityPosition + 1 + 'integrity'.length).trim();
+              arg = arg.substr(0, integrityPosition).trim();
+              this._checkArgumentIsNonempty(type, token.integrity, token._line);
+            }
+
             this._checkArgumentIsNonempty(type, arg, token._line);
             token.type = TOKENS.INCLUDE;
             token.args.push(arg);
@@ -207,6 +245,17 @@ class AstParser {
             token.type = TOKENS.ENDMACRO;
             break;
 
+          case 'output':
+            this._checkArgumentIsNonempty(type, arg, token._line);
+            token.type = TOKENS.OUTPUT;
+            token.args.push(arg);
+            break;
+
+          case 'endoutput':
+            this._checkArgumentIsEmpty(type, arg, token._line);
+            token.type = TOKENS.ENDOUTPUT;
+            break;
+
           case 'end':
             this._checkArgumentIsEmpty(type, arg, token._line);
             token.type = TOKENS.END;
@@ -234,11 +283,61 @@ class AstParser {
             token.type = TOKENS.ENDREPEAT;
             break;
 
+          case 'foreach':
+            // split arg into [key,] value and iterable
+            matches = arg.match(/^([_$A-Za-z][_$A-Za-z0-9]*)(?:\s*,\s*([_$A-Za-z][_$A-Za-z0-9]*))?\s+in\s+(.+)$/);
+
+            if (!matches) {
+              throw new Errors.SyntaxError(`Syntax error in @foreach (${this.file}:${token._line})`);
+            }
+
+            if (undefined !== matches[2]) {
+              // @foreach <key>, <value> in <iterable>
+              token.args.push(matches[2]);
+              token.args.push(matches[1]);
+            } else {
+              // @foreach <value> in <iterable>
+              token.args.push(matches[1]);
+              token.args.push(null);
+            }
+
+            token.args.push(matches[3]);
+            token.type = TOKENS.FOREACH;
+            break;
+
+          case 'endforeach':
+            this._checkArgumentIsEmpty(type, arg, token._line);
+            token.type = TOKENS.ENDFOREACH;
+            break;
+
+          case 'break':
+          case 'continue':
+            // optional condition: @break if <test:expression>
+            if ('' !== arg) {
+              matches = arg.match(/^if\s+(.+)$/);
+
+              if (!matches) {
+                throw new Errors.SyntaxError(`Syntax error in @${type} (${this.file}:${token._line})`);
+              }
+
+              token.args.push(matches[1]);
+            }
+
+            token.type = 'break' === type ? TOKENS.BREAK : TOKENS.CONTINUE;
+            break;
+
           default:
             throw new Errors.SyntaxError(`Unsupported directive "${type}" (${this.file}:${token.line})`);
         }
 
         yield token;
+      } else if (matches = this._matchCustomDirective(text, 1 + i)) {
+        yield {
+          _line: 1 + i,
+          type: matches.end ? TOKENS.ENDDIRECTIVE : TOKENS.DIRECTIVE,
+          name: matches.name,
+          args: [decomment.text(matches.arg.trim()).trim()]
+        };
       } else if (text.match(COMMENT)) {
         // do nothing
       } else {
@@ -248,6 +347,34 @@ class AstParser {
     }
   }
 
+  /**
+   * Match line with registered custom directive or the end of block one
+   * @param {string} text
+   * @param {number} line
+   * @return {{name: string, arg: string, end: boolean}|null}
+   * @private
+   */
+  _matchCustomDirective(text, line) {
+    const matches = this.directives.size ? text.match(CUSTOM_DIRECTIVE) : null;
+
+    if (!matches) {
+      return null;
+    }
+
+    const name = matches[1];
+
+    if (this.directives.has(name)) {
+      return {name, arg: matches[2], end: false};
+    }
+
+    if (/^end/.test(name) && this.directives.has(name.substr(3)) && this.directives.get(name.substr(3)).block) {
+      this._checkArgumentIsEmpty(name, matches[2].trim(), line);
+      return {name: name.substr(3), arg: '', end: true};
+    }
+
+    return null;
+  }
+
   /**
    * Split source fragment into computed/uncomputed chunks
    * @param {string} fragment
@@ -269,7 +396,7 @@ class AstParser {
       while (argLen >= 0) {
         try {
           expArg = fragment.substr(matches.index + 2, argLen); // 2 = length("@{")
-          this._jsep(expArg);
+          parseExpression(expArg);
           parsed = true;
           break;
         } catch (e) {
@@ -291,14 +418,17 @@ class AstParser {
         };
       }
 
-      // push inline expression
+      const end = matches.index + 2 + argLen + 1; // match.index + length("@{") + length(arg) + length("}")
+
+      // push inline expression with its length in the source
       yield {
         _line: line,
+        _length: end - matches.index,
         type: TOKENS.INLINE_EXPRESSION,
         args: [expArg]
       };
 
-      fragment = fragment.substr(matches.index + 2 + argLen + 1); // match.index + length("@{") + length(arg) + length("}")
+      fragment = fragment.substr(end);
     }
 
     // push last source fragment
@@ -311,6 +441,49 @@ class AstParser {
     }
   }
 
+  /**
+   * Find position of the keyword following a complete expression
+   * The keyword must be separated with whitespace and be outside of string literals and brackets,
+   * and the text before it must not end with an operator, so variables with the same name are not matched.
+   *
+   * @param {string} text
+   * @param {string} keyword
+   * @return {number} -1 if not found
+   * @private
+   */
+  _findKeyword(text, keyword) {
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if ('\\' === char) {
+          i++; // skip escaped character
+        } else if (quote === char) {
+          quote = null;
+        }
+      } else if ('"' === char || '\'' === char) {
+        quote = char;
+      } else if ('([{'.indexOf(char) !== -1) {
+        depth++;
+      } else if (')]}'.indexOf(char) !== -1) {
+        depth--;
+      } else if (
+        0 === depth
+        && /\s/.test(char)
+        && keyword === text.substr(i + 1, keyword.length)
+        && /^(\s|$)/.test(text.substr(i + 1 + keyword.length, 1))
+        && !/[-+*\/%<>=!&|^~?:,.]\s*$/.test(text.substr(0, i))
+      ) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
   /**
    *  Check that argument is not empty
    * @param {string} keyword
@@ -371,6 +544,11 @@ class AstParser {
           node.type = INSTRUCTIONS.INCLUDE;
           node.once = token.args.length > 1 && 'once' === token.args.shift();
           node.value = token.args.shift();
+
+          if (token.integrity) {
+            node.integrity = token.integrity;
+          }
+
           this._append(parent, node, state);
 
           break;
@@ -403,6 +581,18 @@ class AstParser {
 
           break;
 
+        // @break [if <condition:expression>]
+        // @continue [if <condition:expression>]
+        case TOKENS.BREAK:
+        case TOKENS.CONTINUE:
+
+          this._checkInsideLoop(token.type, node._line);
+          node.type = TOKENS.BREAK === token.type ? INSTRUCTIONS.BREAK : INSTRUCTIONS.CONTINUE;
+          if (token.args.length > 0) node.test = token.args[0];
+          this._append(parent, node, state);
+
+          break;
+
         // @if <condition:expression>
         case TOKENS.IF:
 
@@ -496,6 +686,7 @@ class AstParser {
           node.type = INSTRUCTIONS.OUTPUT;
           node.value = token.args[0];
           node.computed = false;
+          node._length = token._length;
           this._append(parent, node, state);
 
           break;
@@ -507,7 +698,10 @@ class AstParser {
           node.declaration = token.args[0];
           node.body = [];
           this._append(parent, node, state);
+          // loops can't be controlled from the macro body
+          this._enterBoundary('macro');
           this._parse(tokens, node, STATES.MACRO);
+          this._leaveBoundary();
 
           break;
 
@@ -532,7 +726,9 @@ class AstParser {
           node.while = token.args[0];
           node.body = [];
           this._append(parent, node, state);
+          this._enterLoop();
           this._parse(tokens, node, STATES.WHILE);
+          this._leaveLoop();
 
           break;
 
@@ -557,7 +753,9 @@ class AstParser {
           node.repeat = token.args[0];
           node.body = [];
           this._append(parent, node, state);
+          this._enterLoop();
           this._parse(tokens, node, STATES.REPEAT);
+          this._leaveLoop();
 
           break;
 
@@ -575,12 +773,97 @@ class AstParser {
 
           break;
 
+        // foreach declaration start
+        case TOKENS.FOREACH:
+
+          node.type = INSTRUCTIONS.LOOP;
+          node.foreach = token.args[2];
+          node.value = token.args[0];
+          if (null !== token.args[1]) node.key = token.args[1];
+          node.body = [];
+          this._append(parent, node, state);
+          this._enterLoop();
+          this._parse(tokens, node, STATES.FOREACH);
+          this._leaveLoop();
+
+          break;
+
+        // end of foreach declaration
+        case TOKENS.ENDFOREACH:
+
+          switch (state) {
+            case STATES.FOREACH:
+              // we got here through recursion, get back
+              return;
+
+            default:
+              throw new Errors.SyntaxError(`Unexpected @endforeach (${this.file}:${node._line})`);
+          }
+
+          break;
+
+        // named output start
+        case TOKENS.OUTPUT:
+
+          node.type = INSTRUCTIONS.NAMED_OUTPUT;
+          node.value = token.args[0];
+          node.body = [];
+          this._append(parent, node, state);
+          this._parse(tokens, node, STATES.OUTPUT);
+
+          break;
+
+        // end of named output
+        case TOKENS.ENDOUTPUT:
+
+          switch (state) {
+            case STATES.OUTPUT:
+              // we got here through recursion, get back
+              return;
+
+            default:
+              throw new Errors.SyntaxError(`Unexpected @endoutput (${this.file}:${node._line})`);
+          }
+
+          break;
+
+        // custom directive
+        case TOKENS.DIRECTIVE:
+
+          node.type = INSTRUCTIONS.DIRECTIVE;
+          node.name = token.name;
+          node.value = this._parseCustomDirective(token.name, token.args[0], node._line);
+          this._append(parent, node, state);
+
+          if (this.directives.get(token.name).block) {
+            node.body = [];
+            // loops can't be controlled from the body, it's executed by the directive
+            this._enterBoundary(`@${token.name}`);
+            this._parse(tokens, node, STATES.DIRECTIVE);
+            this._leaveBoundary();
+          }
+
+          break;
+
+        // end of custom block directive
+        case TOKENS.ENDDIRECTIVE:
+
+          if (STATES.DIRECTIVE === state && parent.name === token.name) {
+            // we got here through recursion, get back
+            return;
+          }
+
+          throw new Errors.SyntaxError(`Unexpected @end${token.name} (${this.file}:${node._line})`);
+
         case TOKENS.END:
 
           switch (state) {
             case STATES.MACRO:
+            case STATES.OUTPUT:
+            case STATES.DIRECTIVE:
             case STATES.WHILE:
             case STATES.REPEAT:
+            case STATES.FOREACH:
             case STATES.IF_ELSEIF:
             case STATES.IF_ALTERNATE:
             case STATES.IF_CONSEQUENT:
@@ -619,6 +902,15 @@ class AstParser {
       case STATES.REPEAT:
         throw new Errors.SyntaxError(`Unclosed @repeat statement (${this.file}:${this._lastLine})`);
 
+      case STATES.FOREACH:
+        throw new Errors.SyntaxError(`Unclosed @foreach statement (${this.file}:${this._lastLine})`);
+
+      case STATES.OUTPUT:
+        throw new Errors.SyntaxError(`Unclosed @output statement (${this.file}:${this._lastLine})`);
+
+      case STATES.DIRECTIVE:
+        throw new Errors.SyntaxError(`Unclosed @${parent.name} statement (${this.file}:${this._lastLine})`);
+
       default:
         throw new Errors.SyntaxError(`Syntax error (${parent.file})`);
     }
@@ -626,6 +918,83 @@ class AstParser {
     return parent;
   }
 
+  /**
+   * Convert argument of custom directive with its parse() function
+   * @param {string} name
+   * @param {string} arg
+   * @param {number} line
+   * @return {*}
+   * @private
+   */
+  _parseCustomDirective(name, arg, line) {
+    const directive = this.directives.get(name);
+
+    if (!directive.parse) {
+      return arg;
+    }
+
+    try {
+      return directive.parse(arg);
+    } catch (e) {
+      throw new Errors.SyntaxError(`${e.message} in @${name} (${this.file}:${line})`);
+    }
+  }
+
+  /**
+   * Increase loop nesting level
+   * @private
+   */
+  _enterLoop() {
+    this._loopDepths[this._loopDepths.length - 1]++;
+  }
+
+  /**
+   * Decrease loop nesting level
+   * @private
+   */
+  _leaveLoop() {
+    this._loopDepths[this._loopDepths.length - 1]--;
+  }
+
+  /**
+   * Start a new loop nesting level
+   * @param {string} boundary
+   * @private
+   */
+  _enterBoundary(boundary) {
+    this._loopDepths.push(0);
+    this._loopBoundaries.push(boundary);
+  }
+
+  /**
+   * Return to the previous loop nesting level
+   * @private
+   */
+  _leaveBoundary() {
+    this._loopDepths.pop();
+    this._loopBoundaries.pop();
+  }
+
+  /**
+   * Check that loop control directive is used inside a loop
+   * @param {string} keyword
+   * @param line
+   * @private
+   */
+  _checkInsideLoop(keyword, line) {
+    if (this._loopDepths[this._loopDepths.length - 1] > 0) {
+      return;
+    }
+
+    for (let level = this._loopDepths.length - 2; level >= 0; level--) {
+      if (this._loopDepths[level] > 0) {
+        throw new Errors.SyntaxError(`@${keyword} is not allowed across ${this._loopBoundaries[level + 1]} boundary (${this.file}:${line})`);
+      }
+    }
+
+    throw new Errors.SyntaxError(`Unexpected @${keyword} outside of a loop (${this.file}:${line})`);
+  }
+
   /**
    * Append node to appropriate base block
    *
@@ -654,7 +1023,10 @@ class AstParser {
 
       case STATES.MACRO:
       case STATES.WHILE:
+      case STATES.OUTPUT:
       case STATES.REPEAT:
+      case STATES.FOREACH:
+      case STATES.DIRECTIVE:
         parent.body.push(node);
         break;
 
@@ -667,6 +1039,21 @@ class AstParser {
     return this._file || 'main';
   }
 
+  /**
+   * Custom directives by name
+   * @return {Map<string, {block: boolean, parse: function(string):*}>}
+   */
+  get directives() {
+    return this._directives;
+  }
+
+  /**
+   * @param {Map<string, {block: boolean, parse: function(string):*}>} value
+   */
+  set directives(value) {
+    this._directives = value;
+  }
+
   /**
    * Set filename for error messages
    */
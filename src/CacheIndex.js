@@ -0,0 +1,213 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const FileLock = require('./FileLock');
+
+// index file name in the cache directory
+const INDEX_FILE_NAME = 'index.json';
+
+// lock file name in the cache directory
+const LOCK_FILE_NAME = '.lock';
+
+/**
+ * Metadata of the cached remote sources
+ * The index can be shared by concurrent processes: it's reloaded and saved holding the cache lock on every change.
+ * Usage of the cached sources is only recorded in memory until flush(), so reading them doesn't take the lock.
+ */
+class CacheIndex {
+
+  /**
+   * @param {string} cacheDir
+   */
+  constructor(cacheDir) {
+    this._file = path.join(cacheDir, INDEX_FILE_NAME);
+    this._lock = new FileLock(path.join(cacheDir, LOCK_FILE_NAME));
+    this._entries = null; // link -> {cached, used, hits, etag, lastModified}
+    this._hits = new Map(); // link -> {count, data} usage not saved yet
+  }
+
+  /**
+   * Get source metadata, including the usage not saved yet
+   * @param {string} link
+   * @return {{}|undefined}
+   */
+  get(link) {
+    const entry = this._load().get(link);
+    return entry && this._hits.has(link) ? this._applyHit(entry, this._hits.get(link)) : entry;
+  }
+
+  /**
+   * Record usage of the source, saved with the next change or flush()
+   * @param {string} link
+   * @param {{}=} data - other fields to update
+   */
+  hit(link, data) {
+    const hit = this._hits.get(link) || {count: 0, data: {}};
+    hit.count++;
+    Object.assign(hit.data, data, {used: Date.now()});
+    this._hits.set(link, hit);
+  }
+
+  /**
+   * Save the recorded usage
+   */
+  flush() {
+    if (this._hits.size > 0) {
+      this._modify(() => {});
+    }
+  }
+
+  /**
+   * Set source metadata
+   * @param {string} link
+   * @param {{}} data
+   */
+  set(link, data) {
+    this._modify(entries => entries.set(link, Object.assign({}, data)));
+  }
+
+  /**
+   * Update some of the source metadata fields
+   * @param {string} link
+   * @param {{}|function({}):{}} data fields or function returning them from the current metadata
+   */
+  update(link, data) {
+    this._modify((entries) => {
+      const entry = entries.get(link) || {};
+      entries.set(link, Object.assign({}, entry, 'function' === typeof data ? data(entry) : data));
+    });
+  }
+
+  /**
+   * All indexed links
+   * @return {string[]}
+   */
+  links() {
+    return Array.from(this._load().keys());
+  }
+
+  /**
+   * Remove source metadata
+   * @param {string} link
+   */
+  delete(link) {
+    this._hits.delete(link);
+    this._modify(entries => entries.delete(link));
+  }
+
+  /**
+   * Change entries holding the lock
+   * Changes made by other processes are loaded first.
+   *
+   * @param {function(Map)} fn
+   * @private
+   */
+  _modify(fn) {
+    this._lock.run(() => {
+      this._entries = null;
+      const entries = this._load();
+
+      fn(entries);
+
+      for (const hit of this._hits) {
+        entries.set(hit[0], this._applyHit(entries.get(hit[0]) || {}, hit[1]));
+      }
+
+      this._hits.clear();
+      this._lock.refresh();
+      this._save();
+    });
+  }
+
+  /**
+   * @param {{}} entry
+   * @param {{count: number, data: {}}} hit
+   * @return {{}}
+   * @private
+   */
+  _applyHit(entry, hit) {
+    return Object.assign({}, entry, hit.data, {hits: (entry.hits || 0) + hit.count});
+  }
+
+  /**
+   * Read index file
+   * Missing or broken index is treated as empty, it only holds optional metadata.
+   *
+   * @return {Map}
+   * @private
+   */
+  _load() {
+    if (!this._entries) {
+      this._entries = new Map();
+
+      try {
+        const data = JSON.parse(fs.readFileSync(this._file, 'utf-8'));
+
+        for (const link of Object.keys(data)) {
+          this._entries.set(link, data[link]);
+        }
+      } catch (e) {
+        // no index yet
+      }
+    }
+
+    return this._entries;
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    const data = {};
+
+    for (const entry of this._entries) {
+      data[entry[0]] = entry[1];
+    }
+
+    FileLock.writeFileAtomic(this._file, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Path to the index file
+   * @return {string}
+   */
+  get file() {
+    return this._file;
+  }
+
+  /**
+   * Lock of the cache directory
+   * @return {FileLock}
+   */
+  get lock() {
+    return this._lock;
+  }
+}
+
+module.exports = CacheIndex;
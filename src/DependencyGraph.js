@@ -0,0 +1,138 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+// reader type for local files
+const TYPE_FILE = 'file';
+
+/**
+ * Graph of the sources included during the build
+ */
+class DependencyGraph {
+
+  constructor() {
+    this._includes = [];
+  }
+
+  /**
+   * Record source inclusion
+   *
+   * @param {{source: string, type: string, location: string, includedFrom: {file: string, line: number}}} include
+   *  source - include path as evaluated from the @include directive
+   *  type - type of the reader used (file, http, github, ...)
+   *  location - resolved location of the source (absolute local path or remote reference)
+   *  includedFrom - location and line of the including source
+   */
+  add(include) {
+    this._includes.push({
+      source: include.source,
+      type: include.type,
+      location: include.location,
+      includedFrom: {
+        file: include.includedFrom.file,
+        line: include.includedFrom.line
+      }
+    });
+  }
+
+  /**
+   * All recorded inclusions in the order of appearance
+   * @return {{source, type, location, includedFrom: {file, line}}[]}
+   */
+  get includes() {
+    return this._includes.slice();
+  }
+
+  /**
+   * Unique locations of the included sources
+   * @param {string=} type - only include sources read with this reader type
+   * @return {string[]}
+   */
+  getLocations(type) {
+    const locations = [];
+
+    for (const include of this._includes) {
+      if ((!type || include.type === type) && locations.indexOf(include.location) === -1) {
+        locations.push(include.location);
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Get JSON representation of the include graph
+   * @return {{sources: {}[], includes: {}[]}}
+   */
+  toJSON() {
+    const sources = [];
+
+    for (const location of this.getLocations()) {
+      const include = this._includes.find(v => v.location === location);
+      sources.push({location, type: include.type});
+    }
+
+    return {
+      sources,
+      includes: this.includes
+    };
+  }
+
+  /**
+   * Get Makefile-style dependency rules
+   * Only local files are listed, remote sources can't be make prerequisites.
+   *
+   * @param {string} target
+   * @return {string}
+   */
+  toMakefile(target) {
+    const files = this.getLocations(TYPE_FILE).map(DependencyGraph._escapeMakePath);
+    const lines = [];
+
+    lines.push(`${DependencyGraph._escapeMakePath(target)}:${files.map(f => ' \\\n  ' + f).join('')}`);
+
+    // empty rules prevent errors when dependencies are removed
+    for (const file of files) {
+      lines.push('');
+      lines.push(`${file}:`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Escape path for use in Makefile rules
+   * @param {string} file
+   * @return {string}
+   * @private
+   */
+  static _escapeMakePath(file) {
+    return file
+      .replace(/\$/g, '$$$$')
+      .replace(/([ #])/g, '\\$1');
+  }
+}
+
+module.exports = DependencyGraph;
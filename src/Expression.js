@@ -69,13 +69,19 @@
  *
  *  [1, 2, 3]
  *
+ * Object expressions:
+ * ===================
+ *
+ *  {rate: 9600, "quoted key": [1, 2], [computed + "Key"]: {nested: true}}
+ *
  * Also @see https://github.com/soney/jsep/blob/master/src/jsep.js
  */
 
 'use strict';
 
 const jsep = require('jsep');
-const merge = require('./merge');
+const scope = require('./scope');
+const parseExpression = require('./parseExpression');
 
 // <editor-fold desc="Errors" defaultstate="collapsed">
 const Errors = {};
@@ -124,12 +130,12 @@ class Expression {
   /**
    * Evaluate an expression
    * @param {string} expression
-   * @param context
+   * @param {{}=} context - variables, plain object or scope (see scope.js)
    * @return {*}
    */
   evaluate(expression, context) {
     try {
-      return this._evaluate(this._jsep(expression), context || {});
+      return this._evaluate(parseExpression(expression), this._toScope(context));
     } catch (e) {
 
       // rethrow errors with a custom type
@@ -152,7 +158,7 @@ class Expression {
     let root;
 
     try {
-      root = this._jsep(text);
+      root = parseExpression(text);
     } catch (e) {
       return null;
     }
@@ -164,6 +170,8 @@ class Expression {
       return null;
     }
 
+    context = this._toScope(context);
+
     return {
       name: root.callee.name,
       args: root['arguments'].map(v => this._evaluate(v, context))
@@ -180,7 +188,7 @@ class Expression {
     let root;
 
     try {
-      root = this._jsep(text);
+      root = parseExpression(text);
     } catch (e) {
       // rethrow as custom error type
       throw new Errors.ExpressionError(e.message);
@@ -202,6 +210,104 @@ class Expression {
     };
   }
 
+  /**
+   * Check that expression value doesn't depend on the context
+   * @param {string} text - expression text
+   * @return {boolean}
+   */
+  isConstant(text) {
+    let root;
+
+    try {
+      root = parseExpression(text);
+    } catch (e) {
+      return false;
+    }
+
+    return this._isConstant(root);
+  }
+
+  /**
+   * Find constant paths of the include() calls in expression
+   * @param {string} text - expression text
+   * @return {string[]}
+   */
+  findIncludes(text) {
+    const res = [];
+    let root;
+
+    try {
+      root = parseExpression(text);
+    } catch (e) {
+      return res;
+    }
+
+    const walk = (node) => {
+      if (!node || 'object' !== typeof node) {
+        return;
+      }
+
+      if ('CallExpression' === node.type && 'Identifier' === node.callee.type && 'include' === node.callee.name
+        && node['arguments'].length > 0 && this._isConstant(node['arguments'][0])) {
+        res.push(String(this._evaluate(node['arguments'][0], this._toScope())).trim());
+      }
+
+      for (const key of Object.keys(node)) {
+        walk(node[key]);
+      }
+    };
+
+    walk(root);
+    return res;
+  }
+
+  /**
+   * @param {{}} node
+   * @return {boolean}
+   * @private
+   */
+  _isConstant(node) {
+    switch (node.type) {
+
+      case 'Literal':
+        return true;
+
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+        // filters are function calls
+        return '|' !== node.operator
+          && node.left !== false && this._isConstant(node.left)
+          && node.right !== false && this._isConstant(node.right);
+
+      case 'UnaryExpression':
+        return this._isConstant(node.argument);
+
+      case 'ConditionalExpression':
+        return this._isConstant(node.test)
+          && this._isConstant(node.consequent)
+          && this._isConstant(node.alternate);
+
+      case 'ArrayExpression':
+        return node.elements.every(v => this._isConstant(v));
+
+      case 'ObjectExpression':
+        return node.properties.every(v => this._isConstant(v.key) && this._isConstant(v.value));
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Wrap plain object into scope, so that Object.prototype members are not seen as variables
+   * @param {{}=} context
+   * @return {{}}
+   * @private
+   */
+  _toScope(context) {
+    return !context || Object.getPrototypeOf(context) === Object.prototype ? scope.create(context) : context;
+  }
+
   /**
    * @param {{}} node
    * @param {{}} context - defined variables
@@ -328,10 +434,10 @@ class Expression {
 
         if /* call expression callee name */ (
           'defined' === node.name ||
-          context.hasOwnProperty(node.name) && typeof context[node.name] === 'function'
+          node.name in context && typeof context[node.name] === 'function'
         ) {
           res = node.name;
-        } else /* variable */ if (context.hasOwnProperty(node.name)) {
+        } else /* variable */ if (node.name in context) {
           res = context[node.name];
         } else if /* global call expression callee name */ (
           'defined' === node.name ||
@@ -411,6 +517,24 @@ class Expression {
         res = node.elements.map(v => this._evaluate(v, context));
         break;
 
+      case 'ObjectExpression':
+
+        res = {};
+
+        for (const property of node.properties) {
+          const key = property.computed ? String(this._evaluate(property.key, context)) : String(property.key.value);
+
+          // defined as own property, so that "__proto__" key doesn't change the prototype
+          Object.defineProperty(res, key, {
+            value: this._evaluate(property.value, context),
+            enumerable: true,
+            writable: true,
+            configurable: true
+          });
+        }
+
+        break;
+
       case 'CallExpression':
 
         const callee = this._evaluate(node.callee, context);
@@ -423,19 +547,19 @@ class Expression {
             throw new Errors.ExpressionError('defined() can only be called with an identifier as an argument');
           }
 
-          res = context.hasOwnProperty(node.arguments[0].name)
+          res = node.arguments[0].name in context
             || this._globalContext.hasOwnProperty(node.arguments[0].name);
 
         } else {
 
           const args = node.arguments.map(v => this._evaluate(v, context));
 
-          if (context.hasOwnProperty(callee) && typeof context[callee] === 'function') {
-            res = context[callee].apply(merge(context, { globals: this._globalContext }), args);
+          if (typeof callee === 'string' && callee in context && typeof context[callee] === 'function') {
+            res = context[callee].apply(scope.toObject(context, { globals: this._globalContext }), args);
           } else if (typeof callee === 'function') {
-            res = callee.apply(merge(context, { globals: this._globalContext }), args);
+            res = callee.apply(scope.toObject(context, { globals: this._globalContext }), args);
           } else if (this._globalContext.hasOwnProperty(callee) && typeof this._globalContext[callee] === 'function') {
-            res = this._globalContext[callee].apply(merge(context, { globals: this._globalContext }), args);
+            res = this._globalContext[callee].apply(scope.toObject(context, { globals: this._globalContext }), args);
           } else {
 
             if (node.callee.type === 'Identifier') {
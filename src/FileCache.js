@@ -25,27 +25,54 @@
 'use strict';
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const minimatch = require('minimatch');
+const crypto = require('crypto');
 const XXHash = require('xxhashjs');
-const HttpReader = require('./Readers/HttpReader');
-const GithubReader = require('./Readers/GithubReader');
+const CacheIndex = require('./CacheIndex');
+const AstCache = require('./AstCache');
+const FileLock = require('./FileLock');
+const AbstractReader = require('./Readers/AbstractReader');
+const RepositoryReader = require('./Readers/RepositoryReader');
 
 const DEFAULT_EXCLUDE_FILE_NAME = 'builder-cache.exclude';
-const CACHED_READERS = [GithubReader, HttpReader];
+const CACHE_DIR_ENV_VARIABLE = 'BUILDER_CACHE_DIR';
+const CACHE_DIR_NAME = 'pleasebuild';
 const CACHE_LIFETIME = 1; // in days
 const HASH_SEED = 0xE1EC791C;
 const MAX_FILENAME_LENGTH = 250;
+const INTEGRITY_ALGORITHMS = ['sha256', 'sha384', 'sha512']; // from the weakest to the strongest
+
+// Names of the cached files produced by _getCachedPath(): "<scheme>#..."
+const CACHED_FILE_NAME = /^[a-z][a-z0-9+.-]+#/i;
+
+// Repository refs that never change: full commit SHAs
+// (tags and abbreviated SHAs may be moved or become ambiguous)
+const SHA_REF = /^[0-9a-f]{40}$/i;
+
+// duration units (ms)
+const DURATION_UNITS = {s: 1000, m: 60000, h: 3600000, d: 86400000};
+
+// size units (bytes)
+const SIZE_UNITS = {'': 1, k: 1024, m: 1048576, g: 1073741824};
 
 
 class FileCache {
 
   constructor(machine) {
     this._useCache = false;
-    this._cacheDir = '.' + path.sep + '.builder-cache';
+    this._cacheDir = FileCache.getDefaultCacheDir();
     this._excludeList = [];
     this._machine = machine;
     this._outdateTime = CACHE_LIFETIME * 86400000; // precalc milliseconds in one day
+    this._prefetched = new Map(); // includePath -> {result: {content, includePathParsed}, effects: function[]}
+    this._vendorDir = null;
+    this._vendoredFiles = new Set(); // files written to the vendor directory
+    this._updateVendor = false;
+    this._offline = false;
+    this._cacheLifetimes = []; // [{pattern, lifetime}]
+    this._index = null;
   }
 
   /**
@@ -53,11 +80,12 @@ class FileCache {
    * It is important, that path and filename are unique,
    * because collision can break the build
    * @param {string} link link to the file
+   * @param {string=} dir cache or vendor directory, defaults to the cache directory
    * @return {string} folder and name, where cache file can be found
    * @private
    */
-  _getCachedPath(link) {
-    link = link.replace(/^github\:/, 'github#'); // replace ':' for '#' in github protocol
+  _getCachedPath(link, dir) {
+    link = link.replace(/^([a-z][a-z0-9+.-]+)\:(?!\/\/)/i, '$1#'); // replace ':' for '#' in github: and other reader schemes
     link = link.replace(/\:\/\//, '#'); // replace '://' for '#' in url
     link = link.replace(/\//g, '-'); // replace '/' for '-'
     const parts = link.match(/^([^\?]*)(\?(.*))?$/); // delete get parameters from url
@@ -70,19 +98,38 @@ class FileCache {
       const middlePart = XXHash.h64(link, HASH_SEED);
       link = startPart + endPart + middlePart;
     }
-    return path.join(this._cacheDir, link);
+    return path.join(dir || this._cacheDir, link);
+  }
+
+  /**
+   * Check, can the file name be produced by _getCachedPath()
+   * Other files in the cache directory don't belong to the builder and are never removed.
+   *
+   * @param {string} name
+   * @return {boolean}
+   * @private
+   */
+  _isCachedFileName(name) {
+    return CACHED_FILE_NAME.test(name);
   }
 
   /**
    * Create all subfolders and write file to them
+   * The file is replaced atomically, so concurrent builds never read partially written files.
+   *
    * @param {string} path path to the file
    * @param {string} content content of the file
+   * @param {string=} dir cache or vendor directory
    */
-  _cacheFile(filePath, content) {
-    const cachedPath = this._getCachedPath(filePath);
+  _cacheFile(filePath, content, dir) {
+    const cachedPath = this._getCachedPath(filePath, dir);
     try {
-      fs.ensureDirSync(path.dirname(cachedPath));
-      fs.writeFileSync(cachedPath, content);
+      FileLock.writeFileAtomic(cachedPath, content);
+
+      if (!dir) {
+        const now = Date.now();
+        this._getIndex().set(filePath, {cached: now, used: now, hits: 0});
+      }
     } catch (err) {
       this._machine.logger.error(err);
     }
@@ -91,10 +138,11 @@ class FileCache {
   /**
    * Check, is file exist by link and return path if exist
    * @param {{dirPath : string, fileName : string} | false} link link to the file
+   * @param {string=} dir cache or vendor directory
    * @return {string|false} result
    */
-  _findFile(link) {
-    const finalPath = this._getCachedPath(link);
+  _findFile(link, dir) {
+    const finalPath = this._getCachedPath(link, dir);
     return fs.existsSync(finalPath) ? finalPath : false;
   }
 
@@ -105,7 +153,18 @@ class FileCache {
    * @private
    */
   _isCachedReader(reader) {
-    return CACHED_READERS.some((cachedReader) => (reader instanceof cachedReader));
+    return this.machine.readerRegistry.isCacheable(reader);
+  }
+
+  /**
+   * Check, can the source be read without network access
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @return {boolean} result
+   * @private
+   */
+  _isLocalSource(reader, includePath) {
+    return 'function' === typeof reader.isLocal && reader.isLocal(includePath);
   }
 
   /**
@@ -124,53 +183,857 @@ class FileCache {
   /**
    * Check, is file outdated
    * @param {string} path to the file
+   * @param {string} includePath link to the source
+   * @param {AbstractReader} reader
    * @return {boolean} result
    */
-  _isCacheFileOutdate(pathname) {
+  _isCacheFileOutdate(pathname, includePath, reader) {
     const stat = fs.statSync(pathname);
-    return Date.now() - stat.mtime > this._outdateTime;
+    return Date.now() - stat.mtime > this._getCacheLifetime(includePath, reader);
+  }
+
+  /**
+   * Get cache lifetime of the source
+   * @param {string} includePath
+   * @param {AbstractReader} reader
+   * @return {number} ms
+   * @private
+   */
+  _getCacheLifetime(includePath, reader) {
+    if (this._isImmutable(includePath, reader)) {
+      return Infinity;
+    }
+
+    for (const rule of this._cacheLifetimes) {
+      if (minimatch(includePath, rule.pattern)) {
+        return rule.lifetime;
+      }
+    }
+
+    return this._outdateTime;
+  }
+
+  /**
+   * Check, is source pinned to a full repository commit SHA
+   * @param {string} includePath
+   * @param {AbstractReader} reader
+   * @return {boolean}
+   * @private
+   */
+  _isImmutable(includePath, reader) {
+    const parsed = !!reader && 'function' === typeof reader.constructor.parseUrl
+      && reader.constructor.parseUrl(includePath);
+    return !!parsed && undefined !== parsed.ref && SHA_REF.test(parsed.ref);
+  }
+
+  /**
+   * Check, can reader make conditional requests
+   * @param {AbstractReader} reader
+   * @return {boolean}
+   * @private
+   */
+  _isConditionalReader(reader) {
+    return 'function' === typeof reader.readConditional;
+  }
+
+  /**
+   * Cache index with metadata of the cached sources
+   * @return {CacheIndex}
+   * @private
+   */
+  _getIndex() {
+    if (!this._index) {
+      this._index = new CacheIndex(this._cacheDir);
+    }
+
+    return this._index;
   }
 
   /**
    * Read includePath and use cache if needed
    * @param {string} includePath link to the source
    * @param {AbstractReader} reader reader
+   * @param {string=} integrity expected content hashes
    * @return {content: string, includePathParsed} content and parsed path
    * @private
    */
-  read(reader, includePath) {
+  read(reader, includePath, integrity) {
+    const res = this._readSource(reader, includePath);
+
+    if (integrity) {
+      this._verifyIntegrity(includePath, res.fetched, integrity);
+    }
+
+    return res;
+  }
+
+  /**
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @return {{content: string, includePathParsed}}
+   * @private
+   */
+  _readSource(reader, includePath) {
+    if (this._prefetched.has(includePath)) {
+      return this._usePrefetched(includePath);
+    }
+
+    if (this._isLocked(reader)) {
+      const sha = this.lockfile.getSha(includePath) || this._checkOnline(includePath) || reader.getCommitSha(includePath);
+      return this._verifyLocked(includePath, sha, this._read(reader, reader.constructor.pin(includePath, sha)));
+    }
+
+    return this._read(reader, includePath);
+  }
+
+  /**
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @return {{content: string, includePathParsed}}
+   * @private
+   */
+  _read(reader, includePath) {
+    const source = this._getSource(reader, includePath);
+
+    if (source.conditional) {
+      return this._processResponse(source, source.reader.readConditional(source.includePath, source.validators));
+    }
+
+    return this._processContent(source, source.reader.read(source.includePath));
+  }
+
+  /**
+   * Read includePath asynchronously and use cache if needed
+   * @param {string} includePath link to the source
+   * @param {AbstractReader} reader reader
+   * @param {string=} integrity expected content hashes
+   * @return {Promise<{content: string, includePathParsed}>} content and parsed path
+   */
+  readAsync(reader, includePath, integrity) {
+    return this._readSourceAsync(reader, includePath).then((res) => {
+      if (integrity) {
+        this._verifyIntegrity(includePath, res.fetched, integrity);
+      }
+
+      return res;
+    });
+  }
+
+  /**
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @param {function[]=} effects - if set, lockfile and vendor updates are added to it instead of being done
+   * @return {Promise<{content: string, includePathParsed}>}
+   * @private
+   */
+  _readSourceAsync(reader, includePath, effects) {
+    if (this._prefetched.has(includePath)) {
+      return new Promise(resolve => resolve(this._usePrefetched(includePath)));
+    }
+
+    if (this._isLocked(reader)) {
+      return new Promise(resolve => resolve(this.lockfile.getSha(includePath)))
+        .then(sha => sha || this._checkOnline(includePath) || reader.getCommitShaAsync(includePath))
+        .then(sha => this._readAsync(reader, reader.constructor.pin(includePath, sha), effects)
+          .then((res) => {
+            this._defer(effects, () => this._verifyLocked(includePath, sha, res));
+            return res;
+          })
+        );
+    }
+
+    return this._readAsync(reader, includePath, effects);
+  }
+
+  /**
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @param {function[]=} effects - deferred lockfile and vendor updates
+   * @return {Promise<{content: string, includePathParsed}>}
+   * @private
+   */
+  _readAsync(reader, includePath, effects) {
+    return new Promise(resolve => {
+      const source = Object.assign(this._getSource(reader, includePath), {effects});
+
+      if (source.conditional) {
+        resolve(source.reader.readConditionalAsync(source.includePath, source.validators).then(
+          response => this._processResponse(source, response)
+        ));
+      } else {
+        resolve(source.reader.readAsync(source.includePath).then(
+          content => this._processContent(source, content)
+        ));
+      }
+    });
+  }
+
+  /**
+   * Make sure that remote source can be accessed
+   * @param {string} includePath
+   * @throws {AbstractReader.Errors.SourceReadingError} in offline mode
+   * @private
+   */
+  _checkOnline(includePath) {
+    if (this.offline) {
+      throw new AbstractReader.Errors.SourceReadingError(
+        `Source "${includePath}" is not available offline: commit is not found in the lockfile`
+      );
+    }
+  }
+
+  /**
+   * Check content against Subresource Integrity hashes
+   *
+   * Like in SRI, only the hashes with the strongest of the known algorithms are used,
+   * and content matches if any of them matches.
+   *
+   * @param {string} includePath
+   * @param {string} content - content as it was fetched
+   * @param {string} integrity - "<algorithm>-<base64 digest> ..."
+   * @throws {AbstractReader.Errors.SourceReadingError}
+   * @private
+   */
+  _verifyIntegrity(includePath, content, integrity) {
+    const hashes = integrity.split(/\s+/).filter(v => v !== '').map(v => {
+      const m = v.match(/^([a-z0-9]+)-([A-Za-z0-9+/]+={0,2})$/);
+      return m && INTEGRITY_ALGORITHMS.indexOf(m[1]) !== -1 ? {algorithm: m[1], digest: m[2]} : null;
+    }).filter(v => v !== null);
+
+    if (0 === hashes.length) {
+      throw new AbstractReader.Errors.SourceReadingError(`Invalid integrity "${integrity}" for source "${includePath}"`);
+    }
+
+    const strongest = Math.max.apply(null, hashes.map(hash => INTEGRITY_ALGORITHMS.indexOf(hash.algorithm)));
+
+    const matches = hashes
+      .filter(hash => INTEGRITY_ALGORITHMS.indexOf(hash.algorithm) === strongest)
+      .some(hash => crypto.createHash(hash.algorithm).update(content, 'utf8').digest('base64') === hash.digest);
+
+    if (!matches) {
+      throw new AbstractReader.Errors.SourceReadingError(`Integrity check failed for source "${includePath}"`);
+    }
+  }
+
+  /**
+   * Check, are sources read with reader pinned by the lockfile
+   * @param {AbstractReader} reader
+   * @return {boolean}
+   * @private
+   */
+  _isLocked(reader) {
+    return !!this.lockfile && reader instanceof RepositoryReader;
+  }
+
+  /**
+   * Check source content read at the commit against the lockfile
+   * @param {string} includePath - unpinned include path
+   * @param {string} sha
+   * @param {{content: string, includePathParsed}} res
+   * @return {{content: string, includePathParsed}}
+   * @private
+   */
+  _verifyLocked(includePath, sha, res) {
+    this.lockfile.verify(includePath, sha, res.content);
+    return res;
+  }
+
+  /**
+   * Choose where to read the source from: cache or reader
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @return {{reader: AbstractReader, includePath: string, includePathParsed, needCache: boolean, needVendor: boolean, conditional: boolean, cachedPath: string|false, validators: {}|null}}
+   * @private
+   */
+  _getSource(reader, includePath) {
     let needCache = false;
-    if (this._toBeCached(includePath) && this._isCachedReader(reader)) {
-        let result;
-        if ((result = this._findFile(includePath)) && !this._isCacheFileOutdate(result)) {
+    let needVendor = false;
+
+    if (this._isCachedReader(reader)) {
+      if (this.vendorDir && this.updateVendor) {
+        needVendor = true;
+      } else if (this.vendorDir) {
+        const result = this._findFile(includePath, this.vendorDir);
+
+        if (result) {
+          this.machine.logger.info(`Read source from vendor path "${result}"`);
+
+          // keep __FILE__/__PATH__ of the remote source
+          return {
+            reader: this.machine.readerRegistry.get('file'),
+            includePath: result,
+            includePathParsed: reader.parsePath(includePath),
+            needCache: false
+          };
+        }
+      }
+
+      if (this.offline && !this._isLocalSource(reader, includePath)) {
+        const result = this._findFile(includePath);
+
+        if (!result) {
+          throw new AbstractReader.Errors.SourceReadingError(
+            `Source "${includePath}" is not available offline: not found in the vendor directory or the cache`
+          );
+        }
+
+        // cache lifetime is ignored
+        this._registerHit(includePath);
+        includePath = result;
+        this.machine.logger.info(`Read source from local path "${includePath}"`);
+        reader = this.machine.readerRegistry.get('file');
+      }
+    }
+
+    let cachedPath = false;
+
+    if (this._toBeCached(includePath) && this._isCachedReader(reader) && !needVendor) {
+        if ((cachedPath = this._findFile(includePath)) && !this._isCacheFileOutdate(cachedPath, includePath, reader)) {
           // change reader to local reader
-          includePath = result;
+          this._registerHit(includePath);
+          includePath = cachedPath;
           this.machine.logger.info(`Read source from local path "${includePath}"`);
-          reader = this.machine.readers.file;
+          reader = this.machine.readerRegistry.get('file');
         } else {
           needCache = true;
         }
     }
-    const includePathParsed = reader.parsePath(includePath);
-    let content = reader.read(includePath);
+
+    needCache = needCache || needVendor && this._toBeCached(includePath);
+
+    // conditional requests revalidate outdated files and provide validators for the new ones
+    const conditional = needCache && this._isConditionalReader(reader);
+
+    return {
+      reader,
+      includePath,
+      includePathParsed: reader.parsePath(includePath),
+      needCache,
+      needVendor,
+      conditional,
+      cachedPath: conditional && cachedPath,
+      validators: conditional && cachedPath ? this._getValidators(includePath) : null
+    };
+  }
+
+  /**
+   * Get stored validators of the cached HTTP response
+   * @param {string} includePath
+   * @return {{etag: string|null, lastModified: string|null}}
+   * @private
+   */
+  _getValidators(includePath) {
+    const entry = this._getIndex().get(includePath) || {};
+    return {etag: entry.etag || null, lastModified: entry.lastModified || null};
+  }
+
+  /**
+   * Record usage of the cached file
+   * @param {string} includePath
+   * @param {{}=} data additional metadata to update
+   * @private
+   */
+  _registerHit(includePath, data) {
+    this._getIndex().hit(includePath, data);
+  }
+
+  /**
+   * Save usage of the cached files recorded during the build to the cache index
+   */
+  flush() {
+    if (this._index) {
+      this._index.flush();
+    }
+  }
+
+  /**
+   * Process conditional request response
+   * @param {{includePath: string, cachedPath: string}} source
+   * @param {{notModified: boolean, content: string|null, etag: string|null, lastModified: string|null}} response
+   * @return {{content: string, includePathParsed}}
+   * @private
+   */
+  _processResponse(source, response) {
+    if (response.notModified) {
+      this.machine.logger.info(`Source "${source.includePath}" is not modified, read from local path "${source.cachedPath}"`);
+
+      // renew cached file
+      const now = new Date();
+      fs.utimesSync(source.cachedPath, now, now);
+      this._registerHit(source.includePath, {cached: now.getTime()});
+
+      return this._processContent(
+        Object.assign({}, source, {needCache: false}),
+        fs.readFileSync(source.cachedPath, 'utf-8')
+      );
+    }
+
+    const res = this._processContent(source, response.content);
+
+    if (source.needCache && this.useCache) {
+      this._getIndex().update(source.includePath, {etag: response.etag, lastModified: response.lastModified});
+    }
+
+    return res;
+  }
+
+  /**
+   * Normalize content that has been read and cache it if needed
+   * Content is cached as it was fetched, so its integrity can be checked when it's read from the cache.
+   *
+   * @param {{includePath: string, includePathParsed, needCache: boolean, needVendor: boolean}} source
+   * @param {string} fetched
+   * @return {{content: string, fetched: string, includePathParsed}}
+   * @private
+   */
+  _processContent(source, fetched) {
+    let content = fetched;
 
     // if content doesn't have line separator at the end, then add it
     if (content.length > 0 && content[content.length - 1] != '\n') {
         content += '\n';
     }
 
-    if (needCache && this.useCache) {
-      this.machine.logger.debug(`Caching file "${includePath}"`);
-      this._cacheFile(includePath, content);
+    if (source.needCache && this.useCache) {
+      this.machine.logger.debug(`Caching file "${source.includePath}"`);
+      this._cacheFile(source.includePath, fetched);
+    }
+
+    if (source.needVendor) {
+      this._defer(source.effects, () => {
+        this.machine.logger.debug(`Vendoring file "${source.includePath}"`);
+        this._cacheFile(source.includePath, fetched, this.vendorDir);
+        this._vendoredFiles.add(this._getCachedPath(source.includePath, this.vendorDir));
+      });
     }
     return {
              'content' : content,
-             'includePathParsed' : includePathParsed
+             'fetched' : fetched,
+             'includePathParsed' : source.includePathParsed
            };
   }
 
+  /**
+   * Read source ahead of execution and keep it for the following reads
+   *
+   * Lockfile and vendor directory are only updated when the source is actually read,
+   * so sources from the branches that are not executed don't end up there.
+   *
+   * @param {AbstractReader} reader
+   * @param {string} includePath
+   * @return {Promise<{content: string, includePathParsed}>}
+   */
+  prefetchAsync(reader, includePath) {
+    const effects = [];
+
+    return this._readSourceAsync(reader, includePath, effects).then((result) => {
+      this.setPrefetched(includePath, result, effects);
+      return result;
+    });
+  }
+
+  /**
+   * Store prefetched source to be used by the following reads
+   * @param {string} includePath
+   * @param {{content: string, includePathParsed}} result
+   * @param {function[]=} effects - updates to perform on the first read
+   */
+  setPrefetched(includePath, result, effects) {
+    this._prefetched.set(includePath, {result, effects: effects || []});
+  }
+
+  /**
+   * Get prefetched source and perform its deferred updates
+   * @param {string} includePath
+   * @return {{content: string, includePathParsed}}
+   * @private
+   */
+  _usePrefetched(includePath) {
+    const prefetched = this._prefetched.get(includePath);
+    const effects = prefetched.effects.splice(0);
+
+    for (const effect of effects) {
+      effect();
+    }
+
+    return prefetched.result;
+  }
+
+  /**
+   * Perform update now or add it to the deferred ones
+   * @param {function[]|undefined} effects
+   * @param {function} effect
+   * @private
+   */
+  _defer(effects, effect) {
+    if (effects) {
+      effects.push(effect);
+    } else {
+      effect();
+    }
+  }
+
+  /**
+   * Check, is source prefetched
+   * @param {string} includePath
+   * @return {boolean}
+   */
+  isPrefetched(includePath) {
+    return this._prefetched.has(includePath);
+  }
+
+  /**
+   * Forget prefetched sources
+   * @param {string[]=} includePaths - all sources by default
+   */
+  clearPrefetched(includePaths) {
+    if (includePaths) {
+      includePaths.forEach(includePath => this._prefetched.delete(includePath));
+    } else {
+      this._prefetched.clear();
+    }
+  }
+
+  /**
+   * Remove files that were not written during vendoring from the vendor directory
+   * @return {string[]} removed files
+   */
+  pruneVendor() {
+    const removed = [];
+
+    if (!this.vendorDir || !fs.existsSync(this.vendorDir)) {
+      return removed;
+    }
+
+    for (const file of fs.readdirSync(this.vendorDir)) {
+      const filePath = path.join(this.vendorDir, file);
+
+      if (!this._vendoredFiles.has(filePath) && fs.statSync(filePath).isFile()) {
+        fs.removeSync(filePath);
+        removed.push(filePath);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Files written to the vendor directory
+   * @return {string[]}
+   */
+  get vendoredFiles() {
+    return Array.from(this._vendoredFiles);
+  }
+
+  /**
+   * Directory with vendored remote sources, consulted before remote readers and the cache
+   * @return {string|null}
+   */
+  get vendorDir() {
+    return this._vendorDir;
+  }
+
+  /**
+   * @param {string|null} value
+   */
+  set vendorDir(value) {
+    this._vendorDir = value ? value.replace(/\//g, path.sep) : null;
+  }
+
+  /**
+   * Fetch remote sources and write them to the vendor directory?
+   * @return {boolean}
+   */
+  get updateVendor() {
+    return this._updateVendor;
+  }
+
+  /**
+   * @param {boolean} value
+   */
+  set updateVendor(value) {
+    this._updateVendor = value;
+  }
+
+  /**
+   * Read remote sources only from the vendor directory and the cache?
+   * @return {boolean}
+   */
+  get offline() {
+    return this._offline;
+  }
+
+  /**
+   * @param {boolean} value
+   */
+  set offline(value) {
+    this._offline = value;
+  }
+
+  /**
+   * Remove all the cached files, including parsed sources and git mirrors
+   * Only the entries written by the builder are removed, other files in the directory are kept.
+   * The lock file is kept while the files are removed, so other processes keep waiting for the lock.
+   */
   clearCache() {
-    fs.removeSync(this.cacheDir);
+    const GitReader = require('./Readers/GitReader');
+    const index = this._getIndex();
+    const lock = index.lock;
+
+    lock.run(() => {
+      if (!fs.existsSync(this.cacheDir)) {
+        return;
+      }
+
+      const owned = new Set(index.links().map(link => this._getCachedPath(link))
+        .concat([index.file, AstCache.getDir(this.cacheDir), GitReader.getDir(this.cacheDir)]));
+
+      for (const file of fs.readdirSync(this.cacheDir)) {
+        const filePath = path.join(this.cacheDir, file);
+
+        if (owned.has(filePath) || this._isCachedFileName(file)) {
+          fs.removeSync(filePath);
+          lock.refresh();
+        }
+      }
+    });
+
+    // the directory itself is removed once the lock is released, unless another process uses it already
+    try {
+      fs.rmdirSync(this.cacheDir);
+    } catch (e) {
+      // missing or not empty
+    }
+
+    this._index = null;
+  }
+
+  /**
+   * Get cached sources
+   * Index entries of the removed files are dropped.
+   *
+   * @return {{url: string, file: string, size: number, age: number, used: number, hits: number}[]}
+   */
+  getEntries() {
+    const index = this._getIndex();
+    const now = Date.now();
+    const entries = [];
+
+    for (const link of index.links()) {
+      const file = this._getCachedPath(link);
+
+      if (!fs.existsSync(file)) {
+        index.delete(link);
+        continue;
+      }
+
+      const data = index.get(link);
+
+      entries.push({
+        url: link,
+        file,
+        size: fs.statSync(file).size,
+        age: now - data.cached,
+        used: data.used || data.cached,
+        hits: data.hits || 0
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Remove outdated cached sources, parsed sources not used for a while and cached files missing in the index
+   *
+   * @param {{maxAge: number, maxSize: number}=} limits
+   *  maxAge - remove sources cached earlier (ms), defaults to the cache lifetime of the source
+   *  maxSize - remove least recently used sources until the total size fits (bytes)
+   * @return {{url: string, file: string, size: number}[]} removed sources
+   */
+  prune(limits) {
+    return this._getIndex().lock.run(() => this._prune(limits || {}));
+  }
+
+  /**
+   * @param {{maxAge: number, maxSize: number}} limits
+   * @return {{url: string, file: string, size: number}[]}
+   * @private
+   */
+  _prune(limits) {
+    const removed = [];
+    let entries = this.getEntries();
+
+    // outdated sources
+    entries = entries.filter((entry) => {
+      const maxAge = undefined !== limits.maxAge ? limits.maxAge : this._getCacheLifetime(entry.url, this._getEntryReader(entry.url));
+
+      if (entry.age > maxAge) {
+        this._removeEntry(entry);
+        removed.push(entry);
+        return false;
+      }
+
+      return true;
+    });
+
+    // size budget
+    if (undefined !== limits.maxSize) {
+      let size = entries.reduce((total, entry) => total + entry.size, 0);
+      entries.sort((a, b) => a.used - b.used);
+
+      while (size > limits.maxSize && entries.length > 0) {
+        const entry = entries.shift();
+        this._removeEntry(entry);
+        removed.push(entry);
+        size -= entry.size;
+      }
+    }
+
+    // parsed sources
+    removed.push.apply(removed, AstCache.prune(this.cacheDir, undefined !== limits.maxAge ? limits.maxAge : this._outdateTime));
+
+    // cached files that are not indexed, writes of other processes in progress are kept
+    if (fs.existsSync(this.cacheDir)) {
+      const index = this._getIndex();
+      const indexed = new Set(entries.map(entry => entry.file));
+
+      for (const file of fs.readdirSync(this.cacheDir)) {
+        const filePath = path.join(this.cacheDir, file);
+
+        if (this._isCachedFileName(file) && !indexed.has(filePath) && fs.statSync(filePath).isFile() && !FileLock.isActiveTempFile(filePath)) {
+          fs.removeSync(filePath);
+          index.lock.refresh();
+          removed.push({url: null, file: filePath, size: 0});
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove cached sources
+   * @param {string} pattern url or wildcard pattern
+   * @return {{url: string, file: string, size: number}[]} removed sources
+   */
+  evict(pattern) {
+    return this._getIndex().lock.run(() => {
+      const removed = this.getEntries().filter(entry => entry.url === pattern || minimatch(entry.url, pattern));
+      removed.forEach(entry => this._removeEntry(entry));
+      return removed;
+    });
+  }
+
+  /**
+   * @param {{url: string, file: string}} entry
+   * @private
+   */
+  _removeEntry(entry) {
+    this.machine.logger.debug(`Removing cached file "${entry.file}"`);
+    fs.removeSync(entry.file);
+    this._getIndex().delete(entry.url);
+  }
+
+  /**
+   * Find reader of the cached source
+   * @param {string} link
+   * @return {AbstractReader|null}
+   * @private
+   */
+  _getEntryReader(link) {
+    try {
+      return this.machine._getReader(link);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Default cache lifetime
+   * @return {number} ms
+   */
+  get cacheLifetime() {
+    return this._outdateTime;
+  }
+
+  /**
+   * @param {number} value ms
+   */
+  set cacheLifetime(value) {
+    this._outdateTime = value;
+  }
+
+  /**
+   * Cache lifetimes for the sources matching glob patterns, first matching pattern is used
+   * @return {{pattern: string, lifetime: number}[]}
+   */
+  get cacheLifetimes() {
+    return this._cacheLifetimes.slice();
+  }
+
+  /**
+   * @param {{pattern: string, lifetime: number}[]} value lifetimes in ms
+   */
+  set cacheLifetimes(value) {
+    this._cacheLifetimes = value.map(rule => ({pattern: rule.pattern, lifetime: rule.lifetime}));
+  }
+
+  /**
+   * Default cache directory shared by all the builds of the user
+   * Can be overridden with BUILDER_CACHE_DIR environment variable.
+   *
+   * @return {string}
+   */
+  static getDefaultCacheDir() {
+    if (process.env[CACHE_DIR_ENV_VARIABLE]) {
+      return process.env[CACHE_DIR_ENV_VARIABLE];
+    }
+
+    const home = os.homedir();
+
+    if ('win32' === process.platform) {
+      return path.join(process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'), CACHE_DIR_NAME, 'cache');
+    }
+
+    if ('darwin' === process.platform) {
+      return path.join(home, 'Library', 'Caches', CACHE_DIR_NAME);
+    }
+
+    return path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), CACHE_DIR_NAME);
+  }
+
+  /**
+   * Parse duration like "30s", "15m", "12h" or "7d"
+   * Numbers without unit are seconds.
+   *
+   * @param {string} value
+   * @return {number} ms
+   */
+  static parseDuration(value) {
+    const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/);
+
+    if (!m) {
+      throw new Error(`Invalid duration "${value}"`);
+    }
+
+    return parseFloat(m[1]) * DURATION_UNITS[m[2] || 's'];
+  }
+
+  /**
+   * Parse size like "512K", "100M" or "1G"
+   * Numbers without unit are bytes.
+   *
+   * @param {string} value
+   * @return {number} bytes
+   */
+  static parseSize(value) {
+    const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i);
+
+    if (!m) {
+      throw new Error(`Invalid size "${value}"`);
+    }
+
+    return Math.floor(parseFloat(m[1]) * SIZE_UNITS[m[2].toLowerCase()]);
   }
 
   /**
@@ -188,8 +1051,25 @@ class FileCache {
     this._useCache = value;
   }
 
+  /**
+   * Lockfile pinning repository sources (GitHub, GitLab, Bitbucket) to commits
+   * @return {Lockfile|null}
+   */
+  get lockfile() {
+    return this._lockfile || null;
+  }
+
+  /**
+   * @param {Lockfile|null} value
+   */
+  set lockfile(value) {
+    this._lockfile = value;
+  }
+
   set cacheDir(value) {
+    this.flush();
     this._cacheDir = value.replace(/\//g, path.sep);
+    this._index = null;
   }
 
   get cacheDir() {
@@ -0,0 +1,284 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const childProcess = require('child_process');
+
+// time to wait for the lock (ms)
+const LOCK_TIMEOUT = 30000;
+
+// locks and temporary files older than this are left by crashed processes (ms)
+const STALE_TIME = 10000;
+
+// delay between the lock attempts, doubled up to the maximum while waiting (ms)
+const RETRY_INTERVAL = 20;
+const MAX_RETRY_INTERVAL = 500;
+
+// temporary files of the atomic writes
+const TEMP_FILE_SUFFIX = /\.\d+\.[0-9a-f]+\.tmp$/;
+
+// <editor-fold desc="Errors" defaultstate="collapsed">
+const Errors = {};
+
+Errors.LockTimeoutError = class LockTimeoutError extends Error {
+};
+// </editor-fold>
+
+/**
+ * Block the process for a while
+ * Locking is synchronous as the sources are read synchronously during the execution.
+ *
+ * @param {number} ms
+ */
+function sleep(ms) {
+  if ('undefined' !== typeof Atomics && 'undefined' !== typeof SharedArrayBuffer) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  } else {
+    // no Atomics on old node versions, wait in a child process instead of spinning
+    childProcess.spawnSync(process.execPath, ['-e', `setTimeout(() => {}, ${ms})`]);
+  }
+}
+
+/**
+ * Unique name of the temporary file next to the file
+ * @param {string} file
+ * @return {string}
+ */
+function tempFileName(file) {
+  return `${file}.${process.pid}.${Math.floor(Math.random() * 0xFFFFFFFF).toString(16)}.tmp`;
+}
+
+/**
+ * Write file so that other processes never see partially written content
+ * Content is written to a temporary file, which is renamed then.
+ *
+ * @param {string} file
+ * @param {string} content
+ */
+function writeFileAtomic(file, content) {
+  const tempFile = tempFileName(file);
+
+  fs.ensureDirSync(path.dirname(file));
+
+  try {
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, file);
+  } catch (e) {
+    fs.removeSync(tempFile);
+    throw e;
+  }
+}
+
+/**
+ * Check, is file a temporary file of the atomic write still in progress
+ * Temporary files left by crashed processes become stale.
+ *
+ * @param {string} file
+ * @return {boolean}
+ */
+function isActiveTempFile(file) {
+  return TEMP_FILE_SUFFIX.test(file) && Date.now() - fs.statSync(file).mtime <= STALE_TIME;
+}
+
+/**
+ * Inter-process lock based on exclusive creation of the lock file
+ * The lock is reentrant within the process. Locks not modified for STALE_TIME are taken over,
+ * so long operations holding the lock call refresh() to show that the holder is alive.
+ */
+class FileLock {
+
+  /**
+   * @param {string} file - path to the lock file
+   */
+  constructor(file) {
+    this._file = file;
+    this._depth = 0;
+  }
+
+  /**
+   * Acquire the lock, waiting for other processes to release it
+   */
+  acquire() {
+    if (this._depth++ > 0) {
+      this.refresh();
+      return;
+    }
+
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    let interval = RETRY_INTERVAL;
+
+    fs.ensureDirSync(path.dirname(this._file));
+
+    while (!this._tryCreate()) {
+      if (this._isStale(this._file) && this._takeOver()) {
+        // lock of a crashed process is removed, try again
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        this._depth--;
+        throw new Errors.LockTimeoutError(`Timed out waiting for lock "${this._file}"`);
+      }
+
+      sleep(interval);
+      interval = Math.min(interval * 2, MAX_RETRY_INTERVAL);
+    }
+  }
+
+  /**
+   * Update modification time of the held lock, so other processes don't consider it stale
+   */
+  refresh() {
+    if (this._depth > 0) {
+      const now = new Date();
+      fs.utimesSync(this._file, now, now);
+    }
+  }
+
+  /**
+   * Release the lock
+   * Lock file is only removed if it's still owned by the process.
+   */
+  release() {
+    if (this._depth > 0 && 0 === --this._depth && this._isOwned()) {
+      fs.removeSync(this._file);
+    }
+  }
+
+  /**
+   * Run function holding the lock
+   * @param {function} fn
+   * @return {*} fn result
+   */
+  run(fn) {
+    this.acquire();
+
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * @return {boolean} true if the lock file was created
+   * @private
+   */
+  _tryCreate() {
+    try {
+      fs.writeFileSync(this._file, String(process.pid), {flag: 'wx'});
+      return true;
+    } catch (e) {
+      if ('EEXIST' !== e.code) {
+        throw e;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * @return {boolean}
+   * @private
+   */
+  _isOwned() {
+    try {
+      return String(process.pid) === fs.readFileSync(this._file, 'utf-8');
+    } catch (e) {
+      // removed meanwhile
+      return false;
+    }
+  }
+
+  /**
+   * Remove the stale lock
+   * The lock file is atomically renamed first, so only one of the competing processes wins,
+   * and the renamed file is checked to be stale again, as it could be replaced
+   * with the fresh lock of another process after the staleness check.
+   *
+   * @return {boolean} true if the stale lock was removed
+   * @private
+   */
+  _takeOver() {
+    const tempFile = tempFileName(this._file);
+
+    try {
+      fs.renameSync(this._file, tempFile);
+    } catch (e) {
+      if ('ENOENT' !== e.code) {
+        throw e;
+      }
+      // taken over or released by another process
+      return false;
+    }
+
+    if (this._isStale(tempFile)) {
+      fs.removeSync(tempFile);
+      return true;
+    }
+
+    // fresh lock of another process was moved, put it back unless the lock is created again
+    try {
+      fs.linkSync(tempFile, this._file);
+    } catch (e) {
+      if ('EEXIST' !== e.code) {
+        throw e;
+      }
+    } finally {
+      fs.removeSync(tempFile);
+    }
+
+    return false;
+  }
+
+  /**
+   * @param {string} file
+   * @return {boolean}
+   * @private
+   */
+  _isStale(file) {
+    try {
+      return Date.now() - fs.statSync(file).mtime > STALE_TIME;
+    } catch (e) {
+      // released meanwhile
+      return false;
+    }
+  }
+
+  /**
+   * Path to the lock file
+   * @return {string}
+   */
+  get file() {
+    return this._file;
+  }
+}
+
+module.exports = FileLock;
+module.exports.Errors = Errors;
+module.exports.writeFileAtomic = writeFileAtomic;
+module.exports.isActiveTempFile = isActiveTempFile;
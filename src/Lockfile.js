@@ -0,0 +1,195 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const AbstractReader = require('./Readers/AbstractReader');
+
+// lockfile format version
+const VERSION = 1;
+
+// default lockfile name
+const DEFAULT_FILE_NAME = 'builder.lock.json';
+
+// <editor-fold desc="Errors" defaultstate="collapsed">
+const Errors = {};
+
+// reported as source inclusion errors during the build
+Errors.LockfileError = class LockfileError extends AbstractReader.Errors.SourceReadingError {
+};
+// </editor-fold>
+
+/**
+ * Lockfile pinning remote sources to exact commits
+ */
+class Lockfile {
+
+  /**
+   * @param {string=} file - path to the lockfile
+   */
+  constructor(file) {
+    this.file = file || DEFAULT_FILE_NAME;
+    this.frozen = false;
+    this.update = false;
+    this._sources = new Map(); // source -> {sha, integrity}
+    this._used = new Set(); // sources used during the build
+    this._changed = false;
+  }
+
+  /**
+   * Load lockfile contents
+   * A missing file is treated as an empty lockfile unless it is frozen.
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      if (this.frozen) {
+        throw new Errors.LockfileError(`Lockfile "${this.file}" does not exist`);
+      }
+      return;
+    }
+
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+    } catch (e) {
+      throw new Errors.LockfileError(`Failed to parse lockfile "${this.file}": ${e.message}`);
+    }
+
+    if (VERSION !== data.lockfileVersion) {
+      throw new Errors.LockfileError(`Unsupported lockfile version ${data.lockfileVersion} in "${this.file}"`);
+    }
+
+    this._sources.clear();
+
+    for (const source of Object.keys(data.sources || {})) {
+      this._sources.set(source, {sha: data.sources[source].sha, integrity: data.sources[source].integrity});
+    }
+
+    this._changed = false;
+  }
+
+  /**
+   * Write lockfile if it has been changed
+   * In update mode the sources that were not used are removed.
+   * @return {boolean} true if the file has been written
+   */
+  save() {
+    if (this.update) {
+      for (const source of Array.from(this._sources.keys())) {
+        if (!this._used.has(source)) {
+          this._sources.delete(source);
+          this._changed = true;
+        }
+      }
+    }
+
+    if (!this._changed && fs.existsSync(this.file)) {
+      return false;
+    }
+
+    fs.writeFileSync(this.file, JSON.stringify(this, null, 2) + '\n');
+    this._changed = false;
+    return true;
+  }
+
+  /**
+   * Get commit SHA the source is pinned to
+   * @param {string} source
+   * @return {string|null} null if the source has to be resolved
+   * @throws {Errors.LockfileError} for sources missing in a frozen lockfile
+   */
+  getSha(source) {
+    const entry = this._sources.get(source);
+
+    if (!entry && this.frozen) {
+      throw new Errors.LockfileError(`Source "${source}" is missing in lockfile "${this.file}"`);
+    }
+
+    return entry && !this.update ? entry.sha : null;
+  }
+
+  /**
+   * Record or verify source content read at the commit
+   * @param {string} source
+   * @param {string} sha
+   * @param {string} content
+   * @throws {Errors.LockfileError} if content doesn't match the lockfile
+   */
+  verify(source, sha, content) {
+    const integrity = Lockfile.hash(content);
+    const entry = this._sources.get(source);
+
+    this._used.add(source);
+
+    if (entry && entry.sha === sha) {
+      if (entry.integrity !== integrity) {
+        throw new Errors.LockfileError(`Content of "${source}" doesn't match lockfile "${this.file}"`);
+      }
+      return;
+    }
+
+    this._sources.set(source, {sha, integrity});
+    this._changed = true;
+  }
+
+  /**
+   * Get lockfile entry
+   * @param {string} source
+   * @return {{sha: string, integrity: string}|undefined}
+   */
+  get(source) {
+    return this._sources.get(source);
+  }
+
+  /**
+   * Get lockfile contents with sources sorted
+   * @return {{lockfileVersion: number, sources: {}}}
+   */
+  toJSON() {
+    const sources = {};
+
+    for (const source of Array.from(this._sources.keys()).sort()) {
+      sources[source] = this._sources.get(source);
+    }
+
+    return {lockfileVersion: VERSION, sources};
+  }
+
+  /**
+   * Calculate content hash in Subresource Integrity format
+   * @param {string} content
+   * @return {string}
+   */
+  static hash(content) {
+    return 'sha256-' + crypto.createHash('sha256').update(content, 'utf8').digest('base64');
+  }
+}
+
+module.exports = Lockfile;
+module.exports.Errors = Errors;
+module.exports.DEFAULT_FILE_NAME = DEFAULT_FILE_NAME;
@@ -29,19 +29,27 @@ const path = require('path');
 
 const Expression = require('./Expression');
 const AbstractReader = require('./Readers/AbstractReader');
+const ReaderRegistry = require('./ReaderRegistry');
 const FileCache = require('./FileCache');
-const merge = require('./merge');
+const AstCache = require('./AstCache');
+const SourceMapGenerator = require('./SourceMapGenerator');
+const DependencyGraph = require('./DependencyGraph');
+const scope = require('./scope');
 
 // instruction types
 const INSTRUCTIONS = {
   SET: 'set',
   LOOP: 'loop',
+  BREAK: 'break',
   ERROR: 'error',
   WARNING: 'warning',
   MACRO: 'macro',
   OUTPUT: 'output',
   INCLUDE: 'include',
+  CONTINUE: 'continue',
   CONDITIONAL: 'conditional',
+  NAMED_OUTPUT: 'named_output',
+  DIRECTIVE: 'directive',
 };
 
 // custom errors
@@ -55,12 +63,19 @@ const Errors = {
   'SourceInclusionError': class SourceInclusionError extends Error {
   },
   'MaxExecutionDepthReachedError': class MaxExecutionDepthReachedError extends Error {
+  },
+  'PluginError': class PluginError extends Error {
+  },
+  'DirectiveError': class DirectiveError extends Error {
   }
 };
 
 // maximum nesting depth
 const MAX_EXECUTION_DEPTH = 256;
 
+// default number of simultaneous remote fetches during prefetch
+const DEFAULT_PREFETCH_CONCURRENCY = 4;
+
 /**
  * Builder VM
  */
@@ -69,37 +84,337 @@ class Machine {
   constructor() {
     this.file = 'main'; // default source filename
     this.path = ''; // default source path
-    this.readers = {};
+    this.readerRegistry = new ReaderRegistry();
     this.globals = {};
+    this.plugins = [];
+    this._directives = new Map(); // custom directives by name
+    this._directivesKey = ''; // distinguishes ASTs parsed with different custom directives
     this.fileCache = new FileCache(this);
+    this.astCache = new AstCache(this.fileCache);
     this._initBuiltinFunctions();
+    this._reset();
   }
 
   /**
    * Execute some code
    * @param {string} source
    * @param {{}={}} context
+   * @return {string}
    */
   execute(source, context) {
+    return this.executeWithOutputs(source, context).output;
+  }
+
+  /**
+   * Execute some code, returning the main output and the named outputs of @output blocks
+   * @param {string} source
+   * @param {{}={}} context
+   * @return {{output: string, outputs: {}}}
+   */
+  executeWithOutputs(source, context) {
+    try {
+      const execution = this._startExecution(source, context);
+      this._runSync(this._execute(execution.ast, execution.context, execution.buffer));
+      return this._finishExecution(execution);
+    } finally {
+      this.fileCache.flush();
+    }
+  }
+
+  /**
+   * Execute some code asynchronously
+   * Remote sources are fetched without blocking the event loop.
+   *
+   * @param {string} source
+   * @param {{}={}} context
+   * @return {Promise<string>}
+   */
+  executeAsync(source, context) {
+    return this.executeWithOutputsAsync(source, context).then(res => res.output);
+  }
+
+  /**
+   * Execute some code asynchronously, resolving with the main output and the named outputs of @output blocks
+   * @param {string} source
+   * @param {{}={}} context
+   * @return {Promise<{output: string, outputs: {}}>}
+   */
+  executeWithOutputsAsync(source, context) {
+    if (this._asyncExecution) {
+      return Promise.reject(new Error('Asynchronous execution is already in progress'));
+    }
+
+    let execution;
+    const inlineReads = new Map(); // includePath -> error of the sources fetched for expressions
+    const effects = []; // plugin hook results and warnings of the previous runs
+
+    // sources included from expressions are read synchronously,
+    // so execution is restarted once such a source is fetched
+    const run = () => {
+      execution = this._startExecution(source, context);
+      this._inlineReads = inlineReads;
+      this._effects = {performed: effects, position: 0};
+
+      return this._runAsync(this._execute(execution.ast, execution.context, execution.buffer))
+        .then(() => this._pendingRead && restart(), restart);
+    };
+
+    const restart = (e) => {
+      const pending = this._pendingRead;
+
+      if (!pending) {
+        throw e;
+      }
+
+      this._pendingRead = null;
+      this.logger.debug(`Restarting execution to include "${pending.includePath}" from an expression`);
+
+      return this.fileCache.prefetchAsync(pending.reader, pending.includePath)
+        .then(() => inlineReads.set(pending.includePath, null), err => inlineReads.set(pending.includePath, err))
+        .then(run);
+    };
+
+    this._asyncExecution = new Promise(resolve => {
+      resolve(this.prefetchConcurrency > 0 ? this._prefetch(this.parser.parse(source)) : null);
+    }).then(run);
+
+    const finish = () => {
+      this._asyncExecution = null;
+      this._pendingRead = null;
+      this._effects = null;
+      this.fileCache.clearPrefetched(Array.from(inlineReads.keys()));
+      this.fileCache.flush();
+    };
+
+    return this._asyncExecution.then(
+      () => {
+        finish();
+        return this._finishExecution(execution);
+      },
+      (e) => {
+        finish();
+        throw e;
+      }
+    );
+  }
+
+  /**
+   * Fetch remote sources included with static paths concurrently
+   *
+   * Fetched sources are kept in memory and used by the following executions
+   * (both synchronous and asynchronous) until the next prefetch.
+   *
+   * @param {string} source
+   * @return {Promise}
+   */
+  prefetch(source) {
+    return new Promise(resolve => {
+      resolve(this._prefetch(this.parser.parse(source)));
+    });
+  }
+
+  /**
+   * @param {[]} ast
+   * @return {Promise}
+   * @private
+   */
+  _prefetch(ast) {
+    // required here to avoid circular dependency
+    const Prefetcher = require('./Prefetcher');
+    const parserFile = this.parser.file;
+    const restoreParserFile = () => this.parser.file = parserFile;
+
+    this.fileCache.clearPrefetched();
+
+    return new Prefetcher(this, this.prefetchConcurrency)
+      .prefetch(ast)
+      .then(restoreParserFile, (e) => {
+        restoreParserFile();
+        throw e;
+      });
+  }
+
+  /**
+   * Prepare execution of the source
+   * @param {string} source
+   * @param {{}={}} context
+   * @return {{ast: [], context: {}, buffer: string[]}}
+   * @private
+   */
+  _startExecution(source, context) {
     // reset state
     this._reset();
 
     // parse
     const ast = this.parser.parse(source);
 
-    // execute
-    context = merge(
+    // execute, variables passed in are never modified
+    context = scope.isolate(scope.create(
       {__FILE__: this.file, __PATH__: this.path},
       this._builtinFunctions,
       this.globals,
       context
-    );
+    ));
+
+    if (this.generateSourceMap) {
+      this._sourcesContent.set(this._getSourceLocation(context), source);
+    }
+
+    return {ast, context, buffer: []};
+  }
+
+  /**
+   * Finalize execution
+   * @param {{buffer: string[]}} execution
+   * @return {{output: string, outputs: {}}} main output and named outputs
+   * @private
+   */
+  _finishExecution(execution) {
+    // generate source map
+    if (this.generateSourceMap) {
+      this._sourceMap = this._createSourceMap(execution.buffer);
+    }
 
-    const buffer = [];
-    this._execute(ast, context, buffer);
+    for (const name of this._outputBuffers.keys()) {
+      this._outputs[name] = this._outputBuffers.get(name).join('');
+    }
 
     // return output buffer contents
-    return buffer.join('');
+    const output = this._runHooks('afterBuild', execution.buffer.join(''), null, (plugin, value) => plugin.afterBuild(value, this._outputs));
+    return {output, outputs: this.outputs};
+  }
+
+  /**
+   * Run execution generator, reading sources synchronously
+   *
+   * Execution generators yield {reader, includePath, integrity} read requests
+   * and receive the result of FileCache.read() back.
+   *
+   * @param {Iterator} generator
+   * @param {function(reader, includePath)=} check - called before every read, throws if the source can't be read
+   * @return {*}
+   * @private
+   */
+  _runSync(generator, check) {
+    let step = generator.next();
+
+    while (!step.done) {
+      let res;
+
+      try {
+        if (check) {
+          check(step.value.reader, step.value.includePath);
+        }
+
+        res = this.fileCache.read(step.value.reader, step.value.includePath, step.value.integrity);
+      } catch (e) {
+        step = generator.throw(e);
+        continue;
+      }
+
+      step = generator.next(res);
+    }
+
+    return step.value;
+  }
+
+  /**
+   * Run execution generator, reading sources asynchronously
+   * @param {Iterator} generator
+   * @return {Promise}
+   * @private
+   */
+  _runAsync(generator) {
+    return new Promise((resolve, reject) => {
+
+      const resume = (method, value) => {
+        let step;
+
+        try {
+          step = generator[method](value);
+        } catch (e) {
+          reject(e);
+          return;
+        }
+
+        if (step.done) {
+          resolve(step.value);
+          return;
+        }
+
+        this.fileCache.readAsync(step.value.reader, step.value.includePath, step.value.integrity).then(
+          res => resume('next', res),
+          err => resume('throw', err)
+        );
+      };
+
+      resume('next');
+    });
+  }
+
+  /**
+   * Run execution generator of the include() or macro call inside an expression, or of the custom directive body
+   *
+   * Expressions are evaluated synchronously, so the asynchronous execution only reads
+   * the local files and the prefetched remote sources there. Other sources are
+   * requested with _pendingRead: the execution is stopped and restarted once they are fetched.
+   * Plugin hooks and warnings of the previous runs are not repeated, see _once().
+   *
+   * @param {Iterator} generator
+   * @return {*}
+   * @private
+   */
+  _runInline(generator) {
+    if (!this._asyncExecution) {
+      return this._runSync(generator);
+    }
+
+    return this._runSync(generator, (reader, includePath) => {
+      if (this._inlineReads.get(includePath)) {
+        // fetching failed
+        throw this._inlineReads.get(includePath);
+      }
+
+      if (reader !== this.readerRegistry.get('file') && !this.fileCache.isPrefetched(includePath)) {
+        this._pendingRead = {reader, includePath};
+        throw new Error(`Source "${includePath}" is not fetched yet`);
+      }
+    });
+  }
+
+  /**
+   * Perform side effect of the execution only once
+   *
+   * Restarted asynchronous execution takes the same path up to the source it stopped at,
+   * so effects of the previous runs are replayed in order instead of being performed again.
+   *
+   * @param {string} key - identifies the effect performed at the current position
+   * @param {function():*} fn
+   * @return {*} result of the effect
+   * @private
+   */
+  _once(key, fn) {
+    const effects = this._effects;
+
+    if (!effects) {
+      return fn();
+    }
+
+    const effect = effects.performed[effects.position];
+
+    if (effect && effect.key === key) {
+      effects.position++;
+      return effect.value;
+    }
+
+    // execution took another path, the following effects of the previous runs can't be used
+    effects.performed.splice(effects.position);
+
+    const value = fn();
+    effects.performed.push({key, value});
+    effects.position++;
+
+    return value;
   }
 
   clearCache() {
@@ -124,14 +439,15 @@ class Machine {
       const buffer = [];
 
       // include macro in inline mode
-      that._includeSource(
+      that._runInline(that._includeSource(
         args[0],
         /* enable inline mode for all subsequent operations */
-        merge(this, {__INLINE__: true}),
+        scope.create(this, {__INLINE__: true}),
         buffer,
         false,
-        true
-      );
+        true,
+        args[1]
+      ));
 
       // trim trailing newline in inline mode
       that._trimLastLine(buffer);
@@ -149,6 +465,13 @@ class Machine {
     this._depth = 0; // nesting level
     this._includedSources = new Set(); // all included sources
     this._globalContext = {}; // global context
+    this._loopControl = null; // pending @break/@continue
+    this._sourceMap = null; // source map of the last execution
+    this._sourcesContent = new Map(); // contents of the sources used in the output
+    this._dependencies = new DependencyGraph(); // all resolved includes
+    this._sourceLocations = new Map(); // __PATH__/__FILE__ -> resolved location of included sources
+    this._outputBuffers = new Map(); // name -> buffer of @output blocks
+    this._outputs = {}; // name -> contents of @output blocks of the last execution
   }
 
   /**
@@ -158,7 +481,7 @@ class Machine {
    * @param {string[]} buffer - output buffer
    * @private
    */
-  _execute(ast, context, buffer) {
+  * _execute(ast, context, buffer) {
 
     if (this._depth === MAX_EXECUTION_DEPTH) {
       throw new Errors.MaxExecutionDepthReachedError(
@@ -171,24 +494,34 @@ class Machine {
 
     this._depth++;
 
+    let line = null;
+    let column = 0; // position of the instruction in the source line
+
+    // scope of the block holding __LINE__ of the current instruction
+    context = scope.extend(context);
+
     for (const instruction of ast) {
 
+      // track column for the instructions sharing the same source line
+      if (instruction._line !== line) {
+        line = instruction._line;
+        column = 0;
+      }
+
       // set __LINE__
-      context = merge(
-        context,
-        {__LINE__: instruction._line}
-      );
+      context.__LINE__ = instruction._line;
 
       try {
 
         switch (instruction.type) {
 
           case INSTRUCTIONS.INCLUDE:
-            this._executeInclude(instruction, context, buffer);
+            yield* this._executeInclude(instruction, context, buffer);
             break;
 
           case INSTRUCTIONS.OUTPUT:
-            this._executeOutput(instruction, context, buffer);
+            this._executeOutput(instruction, context, buffer, column);
+            column += this._getSourceLength(instruction);
             break;
 
           case INSTRUCTIONS.SET:
@@ -196,7 +529,7 @@ class Machine {
             break;
 
           case INSTRUCTIONS.CONDITIONAL:
-            this._executeConditional(instruction, context, buffer);
+            yield* this._executeConditional(instruction, context, buffer);
             break;
 
           case INSTRUCTIONS.ERROR:
@@ -212,7 +545,20 @@ class Machine {
             break;
 
           case INSTRUCTIONS.LOOP:
-            this._executeLoop(instruction, context, buffer);
+            yield* this._executeLoop(instruction, context, buffer);
+            break;
+
+          case INSTRUCTIONS.BREAK:
+          case INSTRUCTIONS.CONTINUE:
+            this._executeLoopControl(instruction, context, buffer);
+            break;
+
+          case INSTRUCTIONS.NAMED_OUTPUT:
+            yield* this._executeNamedOutput(instruction, context);
+            break;
+
+          case INSTRUCTIONS.DIRECTIVE:
+            this._executeDirective(instruction, context, buffer);
             break;
 
           default:
@@ -231,6 +577,11 @@ class Machine {
         }
 
       }
+
+      // stop executing the block on @break/@continue
+      if (this._loopControl) {
+        break;
+      }
     }
 
     this._depth--;
@@ -243,7 +594,7 @@ class Machine {
    * @param {string[]} buffer
    * @private
    */
-  _executeInclude(instruction, context, buffer) {
+  * _executeInclude(instruction, context, buffer) {
 
     const macro = this.expression.parseMacroCall(
       instruction.value,
@@ -252,11 +603,20 @@ class Machine {
     );
 
     if (macro) {
+      if (instruction.integrity) {
+        throw new AbstractReader.Errors.SourceReadingError(`Integrity can't be checked for macro "${macro.name}"`);
+      }
+
       // macro inclusion
-      this._includeMacro(macro, context, buffer);
+      yield* this._includeMacro(macro, context, buffer);
     } else {
+      // expected content hashes
+      const integrity = instruction.integrity
+        ? String(this.expression.evaluate(instruction.integrity, context)).trim()
+        : undefined;
+
       // source inclusion
-      this._includeSource(instruction.value, context, buffer, instruction.once);
+      yield* this._includeSource(instruction.value, context, buffer, instruction.once, false, integrity);
     }
   }
 
@@ -267,16 +627,19 @@ class Machine {
    * @param {string[]} buffer
    * @param {boolean=false} once
    * @param {boolean=false} evaluated - is source ref already evaluated?
+   * @param {string=} integrity - expected content hashes
    * @private
    */
-  _includeSource(source, context, buffer, once, evaluated) {
+  * _includeSource(source, context, buffer, once, evaluated, integrity) {
 
     // path is an expression, evaluate it
-    const includePath = evaluated ? source : this.expression.evaluate(
+    let includePath = evaluated ? source : this.expression.evaluate(
         source,
         context
       ).trim();
 
+    includePath = this._runHooks('beforeInclude', includePath, context, (plugin, value) => plugin.beforeInclude(value, context));
+
     // if once flag is set, then check if source has already been included
     if (once && this._includedSources.has(includePath)) {
       this.logger.debug(`Skipping source "${includePath}": has already been included`);
@@ -287,27 +650,58 @@ class Machine {
     this.logger.info(`Including source "${includePath}"`);
 
     // read
-    const res = this.fileCache.read(reader, includePath);
-
-    // provide filename for correct error messages
-    this.parser.file = res.includePathParsed.__FILE__;
+    const res = yield {reader, includePath, integrity};
+    const content = this._runHooks('afterRead', res.content, context, (plugin, value) => plugin.afterRead(includePath, value));
+
+    // record dependency
+    const includingSource = this._getSourcePath(context);
+    const location = reader.resolve(includePath);
+
+    this._dependencies.add({
+      source: includePath,
+      type: this._getReaderType(reader),
+      location,
+      includedFrom: {
+        file: this._sourceLocations.get(includingSource) || includingSource,
+        line: context.__LINE__
+      }
+    });
 
     // parse
-    const ast = this.parser.parse(res.content);
+    const ast = this._parse(content, res.includePathParsed.__FILE__);
 
     // update context
 
     // __FILE__/__PATH__
-    context = merge(
+    context = scope.isolate(
       context,
       res.includePathParsed
     );
 
     // store included source
     this._includedSources.add(includePath);
+    this._sourceLocations.set(this._getSourcePath(context), location);
+
+    if (this.generateSourceMap) {
+      this._sourcesContent.set(location, content);
+    }
 
     // execute included AST
-    this._execute(ast, context, buffer);
+    yield* this._execute(ast, context, buffer);
+  }
+
+  /**
+   * Parse included source
+   * ASTs are cached by content, so the same source is parsed only once.
+   *
+   * @param {string} content
+   * @param {string} file - filename for correct error messages
+   * @return {[]}
+   * @private
+   */
+  _parse(content, file) {
+    this.parser.file = file;
+    return this.astCache.parse(content, source => this.parser.parse(source), this._directivesKey);
   }
 
   /**
@@ -317,7 +711,7 @@ class Machine {
    * @param {string[]} buffer
    * @private
    */
-  _includeMacro(macro, context, buffer) {
+  * _includeMacro(macro, context, buffer) {
     // context for macro
     const macroContext = {};
 
@@ -335,9 +729,9 @@ class Machine {
     macroContext.__PATH__ = this._macros[macro.name].path;
 
     // execute macro
-    this._execute(
+    yield* this._execute(
       this._macros[macro.name].body,
-      merge(context, macroContext),
+      scope.isolate(context, macroContext),
       buffer
     );
   }
@@ -347,9 +741,10 @@ class Machine {
    * @param {{type, value, computed}} instruction
    * @param {{}} context
    * @param {string[]} buffer
+   * @param {number} column - position of the instruction in the source line
    * @private
    */
-  _executeOutput(instruction, context, buffer) {
+  _executeOutput(instruction, context, buffer, column) {
 
     if (instruction.computed) {
 
@@ -357,7 +752,8 @@ class Machine {
       this._out(
         String(instruction.value),
         context,
-        buffer
+        buffer,
+        column
       );
 
     } else {
@@ -369,12 +765,24 @@ class Machine {
           context
         )),
         context,
-        buffer
+        buffer,
+        column
       );
 
     }
   }
 
+  /**
+   * Get length of the output instruction in the source
+   * @param {{type, value, computed, _length}} instruction
+   * @return {number}
+   * @private
+   */
+  _getSourceLength(instruction) {
+    // inline expressions record their length including "@{" and "}"
+    return instruction.computed ? instruction.value.length : instruction._length;
+  }
+
   /**
    * Execute "set" instruction
    * @param {{type, variable, value}} instruction
@@ -416,7 +824,7 @@ class Machine {
     const message = this.expression.evaluate(instruction.value,
       context
     );
-    console.error("\x1b[33m" + message + '\u001b[39m');
+    this._once(`warning:${message}`, () => console.error("\x1b[33m" + message + '\u001b[39m'));
   }
 
   /**
@@ -426,7 +834,7 @@ class Machine {
    * @param {string[]} buffer
    * @private
    */
-  _executeConditional(instruction, context, buffer) {
+  * _executeConditional(instruction, context, buffer) {
 
     const test = this.expression.evaluate(
       instruction.test,
@@ -435,14 +843,14 @@ class Machine {
 
     if (test) {
 
-      this._execute(instruction.consequent, context, buffer);
+      yield* this._execute(instruction.consequent, context, buffer);
 
     } else {
 
       // elseifs
       if (instruction.elseifs) {
         for (const elseif of instruction.elseifs) {
-          if (this._executeConditional(elseif, context, buffer)) {
+          if (yield* this._executeConditional(elseif, context, buffer)) {
             // "@elseif true" stops if-elseif...-else flow
             return;
           }
@@ -451,7 +859,7 @@ class Machine {
 
       // else
       if (instruction.alternate) {
-        this._execute(instruction.alternate, context, buffer);
+        yield* this._execute(instruction.alternate, context, buffer);
       }
 
     }
@@ -497,12 +905,12 @@ class Machine {
         macro.args = args;
 
         // include macro in inline mode
-        that._includeMacro(
+        that._runInline(that._includeMacro(
           macro,
           /* enable inline mode for all subsequent operations */
-          merge(this, {__INLINE__: true}),
+          scope.create(this, {__INLINE__: true}),
           buffer
-        );
+        ));
 
         // trim trailing newline (only in inline mode for macros)
         that._trimLastLine(buffer);
@@ -514,12 +922,17 @@ class Machine {
 
   /**
    * Execute loop instruction
-   * @param {{type, while, repeat, body: []}} instruction
+   * @param {{type, while, repeat, foreach, body: []}} instruction
    * @param {{}} context
    * @param {string[]} buffer
    * @private
    */
-  _executeLoop(instruction, context, buffer) {
+  * _executeLoop(instruction, context, buffer) {
+
+    if (instruction.foreach) {
+      yield* this._executeForeach(instruction, context, buffer);
+      return;
+    }
 
     let index = 0;
 
@@ -538,41 +951,259 @@ class Machine {
       }
 
       // execute body
-      this._execute(
+      yield* this._execute(
         instruction.body,
-        merge(
+        scope.extend(
           context,
           {loop: {index, iteration: index + 1}}
         ),
         buffer
       );
 
+      if (this._takeLoopControl() === INSTRUCTIONS.BREAK) {
+        break;
+      }
+
       // increment index
       index++;
     }
 
   }
 
+  /**
+   * Execute foreach loop instruction
+   * @param {{type, foreach, key, value, body: []}} instruction
+   * @param {{}} context
+   * @param {string[]} buffer
+   * @private
+   */
+  * _executeForeach(instruction, context, buffer) {
+
+    const iterable = this._expression.evaluate(
+      instruction.foreach,
+      context
+    );
+
+    let keys;
+
+    if (Array.isArray(iterable)) {
+      keys = iterable.map((v, i) => i);
+    } else if (iterable !== null && typeof iterable === 'object') {
+      keys = Object.keys(iterable);
+    } else {
+      throw new Expression.Errors.ExpressionError('@foreach can only iterate over arrays and objects');
+    }
+
+    for (let index = 0; index < keys.length; index++) {
+
+      const loopContext = {
+        loop: {
+          index,
+          iteration: index + 1,
+          first: index === 0,
+          last: index === keys.length - 1,
+          length: keys.length
+        }
+      };
+
+      // expose key/value variables
+      loopContext[instruction.value] = iterable[keys[index]];
+
+      if (instruction.key) {
+        loopContext[instruction.key] = keys[index];
+      }
+
+      // execute body
+      yield* this._execute(
+        instruction.body,
+        scope.extend(context, loopContext),
+        buffer
+      );
+
+      if (this._takeLoopControl() === INSTRUCTIONS.BREAK) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Execute "@output" block
+   * Output of the block is appended to the named buffer instead of the main one.
+   *
+   * @param {{type, value, body: []}} instruction
+   * @param {{}} context
+   * @private
+   */
+  * _executeNamedOutput(instruction, context) {
+    const name = this.expression.evaluate(instruction.value, context);
+
+    if ('string' !== typeof name || '' === name) {
+      throw new Expression.Errors.ExpressionError('@output name must be a non-empty string');
+    }
+
+    // names may come from remote sources, so they must not point outside of the output directory
+    if (path.isAbsolute(name) || /^[a-z]:/i.test(name) || name.split(/[\\/]/).indexOf('..') !== -1) {
+      throw new Expression.Errors.ExpressionError(`@output name "${name}" must be a relative path without ".."`);
+    }
+
+    if (!this._outputBuffers.has(name)) {
+      this._outputBuffers.set(name, []);
+    }
+
+    yield* this._execute(instruction.body, context, this._outputBuffers.get(name));
+  }
+
+  /**
+   * Register source reader
+   * The reader gets the machine logger and offline mode, see ReaderRegistry.register() for the options.
+   *
+   * @param {string} name
+   * @param {AbstractReader} reader
+   * @param {{priority: number, schemes: string[], cacheable: boolean}=} options
+   */
+  registerReader(name, reader, options) {
+    this.readerRegistry.register(name, reader, options);
+
+    if (this._logger) {
+      reader.logger = this._logger;
+    }
+
+    if (this.offline) {
+      this._setReaderOffline(reader);
+    }
+  }
+
+  /**
+   * Register custom directive
+   *
+   * Block directives end with @end<name> or @end. parse(arg) converts the directive argument
+   * to a JSON-serializable value when the source is parsed, execute(directive, context) is called
+   * with the directive object providing value, evaluate(), output(), body() and render().
+   *
+   * @param {string} name
+   * @param {{block: boolean, parse: function(string):*, execute: function({}, {})}} directive
+   */
+  registerDirective(name, directive) {
+    // required here to avoid circular dependency
+    const AstParser = require('./AstParser');
+
+    if (!/^[_A-Za-z][_A-Za-z0-9]*$/.test(name) || /^end/.test(name)) {
+      throw new Error(`Invalid directive name "${name}"`);
+    }
+
+    if (AstParser.isBuiltinDirective(name) || this._directives.has(name)) {
+      throw new Error(`Directive "@${name}" is already defined`);
+    }
+
+    if (!directive || 'function' !== typeof directive.execute) {
+      throw new Error(`Directive "@${name}" requires execute() function`);
+    }
+
+    this._directives.set(name, {block: !!directive.block, parse: directive.parse, execute: directive.execute});
+
+    this._directivesKey = Array.from(this._directives.keys()).sort()
+      .map(key => [key, this._directives.get(key).block, String(this._directives.get(key).parse)].join(':'))
+      .join('\n');
+  }
+
+  /**
+   * Execute custom directive
+   * @param {{type, name, value, body: []}} instruction
+   * @param {{}} context
+   * @param {string[]} buffer
+   * @private
+   */
+  _executeDirective(instruction, context, buffer) {
+    const directive = this._directives.get(instruction.name);
+
+    if (!directive) {
+      throw new Errors.DirectiveError(`Directive "@${instruction.name}" is not registered (${context.__FILE__}:${context.__LINE__})`);
+    }
+
+    // body is executed synchronously, like the include() calls in expressions
+    const executeBody = (vars, buffer) => this._runInline(this._execute(instruction.body || [], scope.extend(context, vars), buffer));
+
+    try {
+      directive.execute({
+        name: instruction.name,
+        value: instruction.value,
+        evaluate: expression => this.expression.evaluate(expression, context),
+        output: text => this._out(String(text), context, buffer),
+        body: vars => executeBody(vars, buffer),
+        render: (vars) => {
+          const res = [];
+          executeBody(Object.assign({}, vars, {__INLINE__: true}), res);
+          return res.join('');
+        }
+      }, context);
+    } catch (e) {
+      // add location to the errors of the directive itself
+      if (!(e instanceof Error) || Error === e.constructor) {
+        throw new Errors.DirectiveError(`${e.message || e} in @${instruction.name} (${context.__FILE__}:${context.__LINE__})`);
+      }
+
+      throw e;
+    }
+  }
+
+  /**
+   * Execute "break"/"continue" instruction
+   * @param {{type, test}} instruction
+   * @param {{}} context
+   * @param {string[]} buffer
+   * @private
+   */
+  _executeLoopControl(instruction, context, buffer) {
+    if (undefined === instruction.test || this._expression.evaluate(instruction.test, context)) {
+      this._loopControl = instruction.type;
+    }
+  }
+
+  /**
+   * Return and reset pending loop control instruction type
+   * @return {string|null}
+   * @private
+   */
+  _takeLoopControl() {
+    const control = this._loopControl;
+    this._loopControl = null;
+    return control;
+  }
+
   /**
    * Perform output operation
    * @param {string|string[]} output
    * @param {{}} context
    * @param {string[]} buffer
+   * @param {number=0} column - position of the output in the source line
    * @private
    */
-  _out(output, context, buffer) {
+  _out(output, context, buffer, column) {
+    // inline output is transformed when the enclosing expression is output
+    if (this.plugins.length && !context.__INLINE__) {
+      const transform = chunk => this._runHooks('transformOutput', chunk, context, (plugin, value) => plugin.transformOutput(value, context));
+      output = Array.isArray(output) ? output.map(transform) : transform(output);
+    }
+
     // generate line control statement
     if (this.generateLineControlStatements && !context.__INLINE__) {
       if (buffer.lastOutputFile !== context.__FILE__ /* detect file switch */) {
-        let parsedURL = url.parse(context.__PATH__);
-        let source = parsedURL.protocol ?
-          `${context.__PATH__}/${context.__FILE__}` :
-          path.join(context.__PATH__, context.__FILE__);
+        const source = this._getSourcePath(context);
         buffer.push(`#line ${context.__LINE__} "${source.replace(/"/g, '\\\"')}"\n`);
         buffer.lastOutputFile = context.__FILE__;
       }
     }
 
+    // remember the origin of the output for the source map
+    if (this.generateSourceMap && !context.__INLINE__) {
+      buffer.origins = buffer.origins || [];
+      buffer.origins[buffer.length] = {
+        source: this._getSourceLocation(context),
+        line: context.__LINE__,
+        column: column || 0
+      };
+    }
+
     // append output to buffer
     if (Array.isArray(output)) {
       for (const chunk of output) {
@@ -583,6 +1214,138 @@ class Machine {
     }
   }
 
+  /**
+   * Call the hook of every plugin implementing it
+   * Each plugin receives the value returned by the previous one, undefined keeps the value.
+   * Hooks are called once for the restarted asynchronous execution, see _once().
+   *
+   * @param {string} hook
+   * @param {*} value
+   * @param {{}|null} context - context for error messages
+   * @param {function(plugin, value)} call
+   * @return {*}
+   * @private
+   */
+  _runHooks(hook, value, context, call) {
+    const plugins = this.plugins.filter(plugin => 'function' === typeof plugin[hook]);
+
+    if (!plugins.length) {
+      return value;
+    }
+
+    // the value can be a whole source, so the replayed hooks are only matched by their position and location
+    const location = context ? `${context.__FILE__}:${context.__LINE__}` : '';
+    return this._once(`${hook}:${location}`, () => this._callHooks(plugins, hook, value, context, call));
+  }
+
+  /**
+   * @param {{}[]} plugins - plugins implementing the hook
+   * @param {string} hook
+   * @param {*} value
+   * @param {{}|null} context
+   * @param {function(plugin, value)} call
+   * @return {*}
+   * @private
+   */
+  _callHooks(plugins, hook, value, context, call) {
+    for (const plugin of plugins) {
+      let res;
+
+      try {
+        res = call(plugin, value);
+      } catch (e) {
+        const name = plugin.name ? ` "${plugin.name}"` : '';
+        throw new Errors.PluginError(
+          `Plugin${name} failed in ${hook}(): ${e.message}` + (context ? ` (${context.__FILE__}:${context.__LINE__})` : '')
+        );
+      }
+
+      if (undefined !== res) {
+        value = res;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Get source path from __PATH__/__FILE__
+   * @param {{}} context
+   * @return {string}
+   * @private
+   */
+  _getSourcePath(context) {
+    return url.parse(context.__PATH__).protocol ?
+      `${context.__PATH__}/${context.__FILE__}` :
+      path.join(context.__PATH__, context.__FILE__);
+  }
+
+  /**
+   * Get location the source is read from, __PATH__/__FILE__ for the top-level source
+   * @param {{}} context
+   * @return {string}
+   * @private
+   */
+  _getSourceLocation(context) {
+    const sourcePath = this._getSourcePath(context);
+    return this._sourceLocations.get(sourcePath) || sourcePath;
+  }
+
+  /**
+   * Get source map entry of the source location
+   * Local files are relative to the source map directory.
+   *
+   * @param {string} location
+   * @return {string}
+   * @private
+   */
+  _getSourceMapSource(location) {
+    if (url.parse(location).protocol || !path.isAbsolute(location)) {
+      return location;
+    }
+
+    return path.relative(this.sourceMapDir || path.resolve('.'), location).split(path.sep).join('/');
+  }
+
+  /**
+   * Generate source map for the output buffer
+   * @param {string[]} buffer
+   * @return {{version, sources, sourcesContent, names, mappings}}
+   * @private
+   */
+  _createSourceMap(buffer) {
+    const generator = new SourceMapGenerator(this.sourceMapFile);
+    const origins = buffer.origins || [];
+    let line = 0;
+    let column = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+
+      if (origins[i]) {
+        generator.addMapping({
+          generated: {line, column},
+          source: this._getSourceMapSource(origins[i].source),
+          original: {line: origins[i].line - 1, column: origins[i].column}
+        });
+      }
+
+      // advance generated position
+      const lines = buffer[i].split('\n');
+      if (lines.length > 1) {
+        line += lines.length - 1;
+        column = lines[lines.length - 1].length;
+      } else {
+        column += buffer[i].length;
+      }
+    }
+
+    for (const source of this._sourcesContent.keys()) {
+      generator.setSourceContent(this._getSourceMapSource(source), this._sourcesContent.get(source));
+    }
+
+    return generator.toJSON();
+  }
+
   /**
    * Find reader
    *
@@ -591,14 +1354,24 @@ class Machine {
    * @private
    */
   _getReader(source) {
-    for (const type in this.readers) {
-      const reader = this.readers[type];
-      if (reader.supports(source)) {
-        return reader;
-      }
+    const reader = this.readerRegistry.find(source);
+
+    if (!reader) {
+      throw new Error(`Source "${source}" is not supported`);
     }
 
-    throw new Error(`Source "${source}" is not supported`);
+    return reader;
+  }
+
+  /**
+   * Get type of the reader
+   *
+   * @param {AbstractReader} reader
+   * @return {string|undefined}
+   * @private
+   */
+  _getReaderType(reader) {
+    return this.readerRegistry.getName(reader);
   }
 
 
@@ -619,17 +1392,26 @@ class Machine {
   // <editor-fold desc="Accessors" defaultstate="collapsed">
 
   /**
-   * @return {*} value
+   * Registered readers by name (read-only snapshot)
+   * Use readerRegistry to replace or unregister them.
+   * @return {{}}
    */
   get readers() {
-    return this._readers;
+    return this._readerRegistry.readers;
   }
 
   /**
-   * @param {*} value
+   * @return {ReaderRegistry}
    */
-  set readers(value) {
-    this._readers = value;
+  get readerRegistry() {
+    return this._readerRegistry;
+  }
+
+  /**
+   * @param {ReaderRegistry} value
+   */
+  set readerRegistry(value) {
+    this._readerRegistry = value;
   }
 
   /**
@@ -664,8 +1446,8 @@ class Machine {
   set logger(value) {
     this._logger = value;
 
-    for (const readerType in this.readers) {
-      this.readers[readerType].logger = value;
+    for (const name of this.readerRegistry.names) {
+      this.readerRegistry.get(name).logger = value;
     }
   }
 
@@ -681,6 +1463,11 @@ class Machine {
    */
   set parser(value) {
     this._astParser = value;
+
+    // custom directives are shared with the parser
+    if (value) {
+      value.directives = this._directives;
+    }
   }
 
   /**
@@ -699,6 +1486,94 @@ class Machine {
     this._generateLineControlStatements = value;
   }
 
+  /**
+   * Generate source map?
+   * @see https://sourcemaps.info/spec.html
+   * @return {boolean}
+   */
+  get generateSourceMap() {
+    return this._generateSourceMap || false;
+  }
+
+  /**
+   * @param {boolean} value
+   */
+  set generateSourceMap(value) {
+    this._generateSourceMap = value;
+  }
+
+  /**
+   * Name of the generated file to put into the source map
+   * @return {string|undefined}
+   */
+  get sourceMapFile() {
+    return this._sourceMapFile;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set sourceMapFile(value) {
+    this._sourceMapFile = value;
+  }
+
+  /**
+   * Directory the source map is written to, local sources are relative to it
+   * Defaults to the current directory.
+   * @return {string|undefined}
+   */
+  get sourceMapDir() {
+    return this._sourceMapDir;
+  }
+
+  /**
+   * @param {string} value
+   */
+  set sourceMapDir(value) {
+    this._sourceMapDir = value;
+  }
+
+  /**
+   * Source map of the last execution (if enabled)
+   * @return {{version, sources, sourcesContent, names, mappings}|null}
+   */
+  get sourceMap() {
+    return this._sourceMap || null;
+  }
+
+  /**
+   * Contents of the @output blocks of the last execution by name
+   * @return {{}} copy of the outputs
+   */
+  get outputs() {
+    return Object.assign({}, this._outputs);
+  }
+
+  /**
+   * Sources included during the last execution
+   * @return {DependencyGraph}
+   */
+  get dependencies() {
+    return this._dependencies;
+  }
+
+  /**
+   * Maximum number of remote sources fetched simultaneously
+   * before asynchronous execution (0 disables prefetching)
+   * @return {number}
+   */
+  get prefetchConcurrency() {
+    return this._prefetchConcurrency === undefined
+      ? DEFAULT_PREFETCH_CONCURRENCY : this._prefetchConcurrency;
+  }
+
+  /**
+   * @param {number} value
+   */
+  set prefetchConcurrency(value) {
+    this._prefetchConcurrency = value;
+  }
+
   /**
    * Use cache?
    * @return {boolean}
@@ -714,6 +1589,66 @@ class Machine {
      this.fileCache.useCache = value;
   }
 
+  /**
+   * Read remote sources only from the vendor directory and the cache?
+   * @return {boolean}
+   */
+  get offline() {
+    return this.fileCache.offline;
+  }
+
+  /**
+   * @param {boolean} value
+   */
+  set offline(value) {
+    this.fileCache.offline = value;
+
+    for (const name of this.readerRegistry.names) {
+      this._setReaderOffline(this.readerRegistry.get(name));
+    }
+  }
+
+  /**
+   * Pass offline mode to the reader supporting it
+   * @param {AbstractReader} reader
+   * @private
+   */
+  _setReaderOffline(reader) {
+    if ('offline' in reader) {
+      reader.offline = this.offline;
+    }
+  }
+
+  /**
+   * Directory with vendored remote sources
+   * @return {string|null}
+   */
+  get vendorDir() {
+    return this.fileCache.vendorDir;
+  }
+
+  /**
+   * @param {string|null} value
+   */
+  set vendorDir(value) {
+    this.fileCache.vendorDir = value;
+  }
+
+  /**
+   * Lockfile pinning GitHub sources to commits
+   * @return {Lockfile|null}
+   */
+  get lockfile() {
+    return this.fileCache.lockfile;
+  }
+
+  /**
+   * @param {Lockfile|null} value
+   */
+  set lockfile(value) {
+    this.fileCache.lockfile = value;
+  }
+
   /**
    * Filename
    * @return {string}
@@ -745,6 +1680,22 @@ class Machine {
     this._globals = value;
   }
 
+  /**
+   * Plugins with beforeInclude(path, context), afterRead(path, content),
+   * transformOutput(fragment, context) and afterBuild(output, outputs) hooks
+   * @return {{}[]}
+   */
+  get plugins() {
+    return this._plugins;
+  }
+
+  /**
+   * @param {{}[]} value
+   */
+  set plugins(value) {
+    this._plugins = value;
+  }
+
   get excludeList() {
     return this.fileCache.excludeList;
   }
@@ -0,0 +1,228 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+// instruction types
+const INSTRUCTIONS = require('./Machine').INSTRUCTIONS;
+
+// AST node properties holding nested blocks
+const BLOCKS = ['consequent', 'alternate', 'body'];
+
+// AST node properties holding expressions
+const EXPRESSIONS = ['value', 'test', 'while', 'repeat', 'foreach'];
+
+/**
+ * Fetches remote sources referenced by static include paths ahead of execution
+ *
+ * Every branch of the AST is scanned, except the ones with constant false conditions,
+ * so sources that won't be included can be fetched too. Prefetching errors are ignored:
+ * they are reported during execution if the source is actually included. For the same
+ * reason prefetched sources are only recorded in the lockfile and the vendor directory
+ * once they are included.
+ */
+class Prefetcher {
+
+  /**
+   * @param {Machine} machine
+   * @param {number} concurrency - maximum number of simultaneous fetches
+   */
+  constructor(machine, concurrency) {
+    this._machine = machine;
+    this._concurrency = Math.max(1, concurrency);
+    this._queue = [];
+    this._active = 0;
+    this._visited = new Set();
+  }
+
+  /**
+   * Prefetch remote sources included from AST
+   * @param {[]} ast
+   * @return {Promise} resolved when all the found sources are processed
+   */
+  prefetch(ast) {
+    return new Promise(resolve => {
+      this._resolve = resolve;
+      this._scan(ast);
+      this._next();
+    });
+  }
+
+  /**
+   * Find static includes in AST
+   * @param {[]} ast
+   * @private
+   */
+  _scan(ast) {
+    for (const node of ast) {
+
+      if (INSTRUCTIONS.INCLUDE === node.type && this._machine.expression.isConstant(node.value)) {
+        try {
+          this._add(String(this._machine.expression.evaluate(node.value)).trim());
+        } catch (e) {
+          this._machine.logger.debug(`Skipping prefetch of the include "${node.value}": ${e.message}`);
+        }
+      }
+
+      this._scanExpressions(node);
+
+      if (INSTRUCTIONS.CONDITIONAL === node.type) {
+        this._scanConditional(node);
+        continue;
+      }
+
+      for (const block of BLOCKS) {
+        if (node[block]) {
+          this._scan(node[block]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find include() calls in the expressions of AST node
+   * @param {{}} node
+   * @private
+   */
+  _scanExpressions(node) {
+    for (const key of EXPRESSIONS) {
+      if ('string' === typeof node[key] && !(INSTRUCTIONS.OUTPUT === node.type && node.computed)) {
+        this._machine.expression.findIncludes(node[key]).forEach(includePath => this._add(includePath));
+      }
+    }
+  }
+
+  /**
+   * Scan branches of @if/@elseif/@else that can be executed
+   * @param {{test, consequent: [], elseifs: [], alternate: []}} node
+   * @private
+   */
+  _scanConditional(node) {
+    const expression = this._machine.expression;
+
+    for (const branch of [node].concat(node.elseifs || [])) {
+      if (branch !== node) {
+        this._scanExpressions(branch);
+      }
+
+      let test = null;
+
+      if (expression.isConstant(branch.test)) {
+        try {
+          test = Boolean(expression.evaluate(branch.test));
+        } catch (e) {
+          // the execution fails at this condition, the following branches are never executed
+          this._machine.logger.debug(`Skipping prefetch of the branches from condition "${branch.test}": ${e.message}`);
+          return;
+        }
+      }
+
+      if (null === test) {
+        this._scan(branch.consequent);
+      } else if (test) {
+        // the following branches are never executed
+        this._scan(branch.consequent);
+        return;
+      } else {
+        this._machine.logger.debug(`Skipping prefetch of the branch with false condition "${branch.test}"`);
+      }
+    }
+
+    if (node.alternate) {
+      this._scan(node.alternate);
+    }
+  }
+
+  /**
+   * Process include path
+   * @param {string} includePath
+   * @private
+   */
+  _add(includePath) {
+    if (this._visited.has(includePath)) {
+      return;
+    }
+
+    this._visited.add(includePath);
+
+    let reader;
+
+    try {
+      reader = this._machine._getReader(includePath);
+    } catch (e) {
+      this._machine.logger.debug(`Skipping prefetch of "${includePath}": ${e.message}`);
+      return;
+    }
+
+    if (reader === this._machine.readerRegistry.get('file')) {
+      // local files are scanned right away
+      try {
+        this._parseAndScan(includePath, reader.read(includePath));
+      } catch (e) {
+        this._machine.logger.debug(`Skipping prefetch of includes from "${includePath}": ${e.message}`);
+      }
+    } else {
+      this._queue.push({reader, includePath});
+    }
+  }
+
+  /**
+   * Start queued fetches
+   * @private
+   */
+  _next() {
+    while (this._active < this._concurrency && this._queue.length > 0) {
+      const item = this._queue.shift();
+      this._active++;
+
+      this._machine.logger.info(`Prefetching source "${item.includePath}"`);
+
+      this._machine.fileCache.prefetchAsync(item.reader, item.includePath)
+        .then(res => this._parseAndScan(item.includePath, res.content))
+        .catch((e) => {
+          this._machine.logger.debug(`Failed to prefetch source "${item.includePath}": ${e.message}`);
+        })
+        .then(() => {
+          this._active--;
+          this._next();
+        });
+    }
+
+    if (0 === this._active && 0 === this._queue.length) {
+      this._resolve();
+    }
+  }
+
+  /**
+   * Parse source and look for nested includes
+   * @param {string} includePath
+   * @param {string} content
+   * @private
+   */
+  _parseAndScan(includePath, content) {
+    this._scan(this._machine._parse(content, includePath));
+  }
+}
+
+module.exports = Prefetcher;
@@ -0,0 +1,223 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+'use strict';
+
+// priority of the readers registered without one
+const DEFAULT_PRIORITY = 0;
+
+// URL scheme of the source, single letters are Windows drives
+const SCHEME = /^([a-z][a-z0-9+.-]+):/i;
+
+// valid URL schemes of the readers
+const SCHEME_NAME = /^[a-z][a-z0-9+.-]+$/i;
+
+// valid reader names
+const NAME = /^[a-z_][a-z0-9_-]*$/i;
+
+/**
+ * Registry of the source readers
+ *
+ * Readers are tried from the highest priority to the lowest one, readers with
+ * the same priority in the order they are registered. A reader registered
+ * with URL schemes handles all sources with these schemes, other readers
+ * decide with their supports() method.
+ */
+class ReaderRegistry {
+
+  constructor() {
+    this._entries = [];
+  }
+
+  /**
+   * Register reader
+   *
+   * @param {string} name - reader type, used in the dependency files
+   * @param {AbstractReader} reader
+   * @param {{priority: number, schemes: string[], cacheable: boolean}=} options
+   *  priority - readers with higher priority are tried first (0 by default)
+   *  schemes - URL schemes (without colon) handled by the reader
+   *  cacheable - whether the sources read are stored in the cache for remote includes
+   */
+  register(name, reader, options) {
+    options = options || {};
+
+    if ('string' !== typeof name || !NAME.test(name)) {
+      throw new Error(`Invalid reader name "${name}"`);
+    }
+
+    if (this.get(name)) {
+      throw new Error(`Reader "${name}" is already registered`);
+    }
+
+    this._checkReader(name, reader);
+
+    const priority = undefined === options.priority || null === options.priority ? DEFAULT_PRIORITY : options.priority;
+
+    if ('number' !== typeof priority || !isFinite(priority)) {
+      throw new Error(`Invalid priority of reader "${name}"`);
+    }
+
+    const schemes = [].concat(options.schemes || []).map((scheme) => {
+      if ('string' !== typeof scheme || !SCHEME_NAME.test(scheme)) {
+        throw new Error(`Invalid URL scheme "${scheme}" of reader "${name}"`);
+      }
+      return scheme.toLowerCase();
+    });
+
+    this._entries.push({name, reader, priority, schemes, cacheable: !!options.cacheable});
+
+    // stable sort, so that readers with the same priority keep the registration order
+    this._entries = this._entries
+      .map((entry, index) => ({entry, index}))
+      .sort((a, b) => (b.entry.priority - a.entry.priority) || (a.index - b.index))
+      .map(item => item.entry);
+  }
+
+  /**
+   * Replace registered reader keeping its options
+   * @param {string} name
+   * @param {AbstractReader} reader
+   */
+  replace(name, reader) {
+    const entry = this._getEntry(name);
+
+    if (!entry) {
+      throw new Error(`Reader "${name}" is not registered`);
+    }
+
+    this._checkReader(name, reader);
+    entry.reader = reader;
+  }
+
+  /**
+   * Unregister reader
+   * @param {string} name
+   * @return {boolean} if the reader was registered
+   */
+  unregister(name) {
+    const count = this._entries.length;
+    this._entries = this._entries.filter(entry => entry.name !== name);
+    return this._entries.length !== count;
+  }
+
+  /**
+   * Get reader by name
+   * @param {string} name
+   * @return {AbstractReader|null}
+   */
+  get(name) {
+    const entry = this._getEntry(name);
+    return entry ? entry.reader : null;
+  }
+
+  /**
+   * Find reader of the source
+   * @param {string} source
+   * @return {AbstractReader|null}
+   */
+  find(source) {
+    const entry = this._findEntry(source);
+    return entry ? entry.reader : null;
+  }
+
+  /**
+   * Get name of the registered reader
+   * @param {AbstractReader} reader
+   * @return {string|undefined}
+   */
+  getName(reader) {
+    const entry = this._entries.find(entry => entry.reader === reader);
+    return entry ? entry.name : undefined;
+  }
+
+  /**
+   * Check, are sources of the reader stored in the cache
+   * @param {AbstractReader} reader
+   * @return {boolean}
+   */
+  isCacheable(reader) {
+    return this._entries.some(entry => entry.reader === reader && entry.cacheable);
+  }
+
+  /**
+   * Registered readers by name, in the order they are tried
+   * The object is a read-only snapshot, use register(), replace() and unregister() to change the readers.
+   * @return {{}}
+   */
+  get readers() {
+    const readers = {};
+
+    for (const entry of this._entries) {
+      readers[entry.name] = entry.reader;
+    }
+
+    return Object.freeze(readers);
+  }
+
+  /**
+   * Registered reader names, in the order they are tried
+   * @return {string[]}
+   */
+  get names() {
+    return this._entries.map(entry => entry.name);
+  }
+
+  /**
+   * @param {string} name
+   * @return {{name, reader, priority, schemes, cacheable}|undefined}
+   * @private
+   */
+  _getEntry(name) {
+    return this._entries.find(entry => entry.name === name);
+  }
+
+  /**
+   * @param {string} name
+   * @param {AbstractReader} reader
+   * @private
+   */
+  _checkReader(name, reader) {
+    if (null === reader || 'object' !== typeof reader || 'function' !== typeof reader.read || 'function' !== typeof reader.supports) {
+      throw new Error(`Reader "${name}" must implement read() and supports() methods`);
+    }
+  }
+
+  /**
+   * @param {string} source
+   * @return {{name, reader, priority, schemes, cacheable}|undefined}
+   * @private
+   */
+  _findEntry(source) {
+    const match = 'string' === typeof source && SCHEME.exec(source);
+    const scheme = match ? match[1].toLowerCase() : null;
+
+    return this._entries.find(entry => entry.schemes.length > 0 ?
+      entry.schemes.indexOf(scheme) !== -1 :
+      entry.reader.supports(source)
+    );
+  }
+}
+
+module.exports = ReaderRegistry;
+module.exports.DEFAULT_PRIORITY = DEFAULT_PRIORITY;
@@ -44,6 +44,26 @@ class AbstractReader {
   read(source) {
   }
 
+  /**
+   * Read source asynchronously
+   * Readers that have to wait for I/O should override this method.
+   *
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  readAsync(source) {
+    return new Promise(resolve => resolve(this.read(source)));
+  }
+
+  /**
+   * Resolve source into the location it is read from
+   * @param {string} source
+   * @return {string}
+   */
+  resolve(source) {
+    return source;
+  }
+
   /**
    * Determine if the reader supports the source
    * @param source
@@ -53,6 +73,17 @@ class AbstractReader {
     return false;
   }
 
+  /**
+   * Determine if the source is read without network access
+   * Such sources of the cacheable readers are still read in offline mode.
+   *
+   * @param {string} source
+   * @return {boolean}
+   */
+  isLocal(source) {
+    return false;
+  }
+
   /**
    * Parse source path into __FILE__/__PATH__
    * @param {string} source
@@ -0,0 +1,163 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+'use strict';
+
+const RepositoryReader = require('./RepositoryReader');
+
+/**
+ * Bitbucket Server reader
+ * Reads "bitbucket:<project>/<repo>/<path>[@<ref>]" sources from the server set with the baseUrl.
+ */
+class BitbucketReader extends RepositoryReader {
+
+  constructor() {
+    super(__filename);
+    this.baseUrl = null;
+  }
+
+  /**
+   * Fetch file over Bitbucket Server API
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  fetch(source) {
+    const parsed = BitbucketReader.parseUrl(source);
+
+    return this._getRepositoryUrl(source, parsed)
+      .then((url) => {
+        url += `/raw/${parsed.path.split('/').map(encodeURIComponent).join('/')}`;
+        return this._request(source, parsed.ref ? `${url}?at=${encodeURIComponent(parsed.ref)}` : url, this._getHeaders());
+      })
+      .then(response => response.body);
+  }
+
+  /**
+   * Fetch SHA of the commit the source ref points to over Bitbucket Server API
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  fetchCommitSha(source) {
+    const parsed = BitbucketReader.parseUrl(source);
+
+    return this._getRepositoryUrl(source, parsed)
+      .then((url) => {
+        url += '/commits?limit=1';
+        return this._requestJson(source, parsed.ref ? `${url}&until=${encodeURIComponent(parsed.ref)}` : url, this._getHeaders());
+      })
+      .then((data) => {
+        const commits = data.values || [];
+
+        if (!commits.length) {
+          throw this._createError(source, 'no commits found');
+        }
+
+        return commits[0].id;
+      });
+  }
+
+  /**
+   * @param {string} source
+   * @param {{user, repo}} parsed
+   * @return {Promise<string>}
+   * @private
+   */
+  _getRepositoryUrl(source, parsed) {
+    return new Promise((resolve, reject) => {
+      if (!this.baseUrl) {
+        reject(this._createError(source, 'server URL is not set'));
+      } else {
+        resolve(`${this.baseUrl.replace(/\/+$/, '')}/rest/api/1.0/projects/${encodeURIComponent(parsed.user)}/repos/${encodeURIComponent(parsed.repo)}`);
+      }
+    });
+  }
+
+  /**
+   * Personal access tokens are sent as bearer tokens, or as passwords with the username
+   * @return {{}}
+   * @private
+   */
+  _getHeaders() {
+    if (!this.token) {
+      return {};
+    }
+
+    return {
+      'authorization': this.username ?
+        'Basic ' + new Buffer(`${this.username}:${this.token}`).toString('base64') :
+        `Bearer ${this.token}`
+    };
+  }
+
+  /**
+   * @return {{}}
+   * @protected
+   */
+  _getWorkerOptions() {
+    return Object.assign(super._getWorkerOptions(), {baseUrl: this.baseUrl});
+  }
+
+  /**
+   * Parse Bitbucket reference into parts
+   * @param {string} source
+   * @return {false|{user, repo, path, ref}}
+   */
+  static parseUrl(source) {
+    // project keys of the personal repositories are "~<username>"
+    const m = 'string' === typeof source && source.match(/^bitbucket:(~?[a-z0-9_.-]+)\/([a-z0-9_.-]+)\/(.*?)(?:@([^@]*))?$/i);
+
+    if (!m) {
+      return false;
+    }
+
+    const res = {
+      user: m[1],
+      repo: m[2],
+      path: m[3]
+    };
+
+    if (undefined !== m[4]) {
+      res.ref = m[4];
+    }
+
+    return res;
+  }
+
+  static get scheme() {
+    return 'bitbucket';
+  }
+
+  static get serviceName() {
+    return 'Bitbucket';
+  }
+
+  get baseUrl() {
+    return this._baseUrl;
+  }
+
+  set baseUrl(value) {
+    this._baseUrl = value;
+  }
+}
+
+module.exports = BitbucketReader;
@@ -51,17 +51,43 @@ class FileReader extends AbstractReader {
    * @return {string}
    */
   read(filePath) {
+    const sourcePath = this._findFile(filePath);
+
+    if (sourcePath) {
+      this.logger.debug(`Reading local file "${sourcePath}"`);
+      return fs.readFileSync(sourcePath, 'utf-8');
+    }
+
+    throw new AbstractReader.Errors.SourceReadingError('Local file "' + filePath + '" not found');
+  }
+
+  /**
+   * Resolve local file into absolute path
+   * @param {string} filePath
+   * @return {string}
+   */
+  resolve(filePath) {
+    const sourcePath = this._findFile(filePath);
+    return sourcePath ? path.resolve(sourcePath) : filePath;
+  }
+
+  /**
+   * Find local file in the search dirs
+   * @param {string} filePath
+   * @return {string|false}
+   * @private
+   */
+  _findFile(filePath) {
     // iterate through the search dirs
     for (const dir of this.searchDirs.concat('' /* to try as absolute path */)) {
       const sourcePath = path.join(dir, filePath);
 
       if (fs.existsSync(sourcePath)) {
-        this.logger.debug(`Reading local file "${sourcePath}"`);
-        return fs.readFileSync(sourcePath, 'utf-8');
+        return sourcePath;
       }
     }
 
-    throw new AbstractReader.Errors.SourceReadingError('Local file "' + filePath + '" not found');
+    return false;
   }
 
   // <editor-fold desc="Accessors" defaultstate="collapsed">
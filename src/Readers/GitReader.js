@@ -0,0 +1,417 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const FileCache = require('../FileCache');
+const AbstractReader = require('./AbstractReader');
+
+// git command timeout
+const TIMEOUT = 60000;
+
+// URL schemes of the git sources
+const SCHEMES = ['git+file', 'git+ssh', 'git+http', 'git+https'];
+
+// ref read when the source has none
+const DEFAULT_REF = 'HEAD';
+
+// full commit SHA-1 or SHA-256 hash
+const COMMIT_REGEXP = /^([0-9a-f]{40}|[0-9a-f]{64})$/i;
+
+// mirrors directory in the cache directory
+const DIR_NAME = 'git';
+
+/**
+ * Git repository reader
+ * Reads "git+<url>.git/<path>@<ref>" sources from the bare mirrors of the repositories,
+ * which are cloned on the first use and fetched once per reader.
+ */
+class GitReader extends AbstractReader {
+
+  constructor() {
+    super();
+    this.timeout = TIMEOUT;
+    this.cacheDir = null;
+    this.offline = false;
+    this._fetched = new Set();
+    this._updates = new Map();
+  }
+
+  supports(source) {
+    return false !== GitReader.parseUrl(source);
+  }
+
+  /**
+   * Repositories with "git+file://" URLs are local
+   * In offline mode the repositories that are already cloned are local too.
+   *
+   * @param {string} source
+   * @return {boolean}
+   */
+  isLocal(source) {
+    const parsed = GitReader.parseUrl(source);
+    return false !== parsed && (this._isLocalUrl(parsed.url) || this.offline && fs.existsSync(this._getMirrorDir(parsed.url)));
+  }
+
+  /**
+   * Read file from the git repository
+   * @param {string} source
+   * @return {string}
+   */
+  read(source) {
+
+    // [debug]
+    this.logger.debug(`Reading git source "${source}"...`);
+
+    const parsed = this._parse(source);
+    const run = args => this._run(source, args);
+
+    for (const step of this._getUpdateSteps(parsed)) {
+      step(run);
+    }
+
+    return run(this._getReadCommand(parsed));
+  }
+
+  /**
+   * Read file from the git repository asynchronously
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  readAsync(source) {
+
+    // [debug]
+    this.logger.debug(`Reading git source "${source}" asynchronously...`);
+
+    const run = args => this._runAsync(source, args);
+
+    return new Promise(resolve => resolve(this._parse(source)))
+      .then((parsed) => {
+        const mirror = this._getMirrorDir(parsed.url);
+
+        // concurrent reads of the repository wait for the same update, failed updates are retried by the following reads
+        if (!this._updates.has(mirror)) {
+          const steps = this._getUpdateSteps(parsed);
+
+          // commits already in the mirror are read without waiting, the following reads of other refs still fetch
+          if (0 === steps.length) {
+            return run(this._getReadCommand(parsed));
+          }
+
+          const update = steps.reduce((promise, step) => promise.then(() => step(run)), Promise.resolve());
+          this._updates.set(mirror, update);
+
+          update.catch(() => {
+            if (this._updates.get(mirror) === update) {
+              this._updates.delete(mirror);
+            }
+          });
+        }
+
+        return this._updates.get(mirror).then(() => run(this._getReadCommand(parsed)));
+      });
+  }
+
+  /**
+   * Parse path
+   * @param {string} source
+   * @return {{__FILE__, __PATH__}}
+   */
+  parsePath(source) {
+    const parsed = GitReader.parseUrl(source);
+    const dir = path.posix.dirname(parsed.path);
+    return {
+      __FILE__: path.posix.basename(parsed.path),
+      __PATH__: `git+${parsed.url}` + ('.' === dir ? '' : `/${dir}`)
+    };
+  }
+
+  /**
+   * Parse source, throw if it's not supported
+   * @param {string} source
+   * @return {{url, path, ref}}
+   * @private
+   */
+  _parse(source) {
+    const parsed = GitReader.parseUrl(source);
+
+    if (!parsed) {
+      throw new AbstractReader.Errors.SourceReadingError(`Invalid git source "${source}"`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Steps cloning or fetching the repository mirror
+   * Each repository is fetched once by the reader, to get the refs updated since the previous build.
+   * Commits that are already in the mirror never change, so they are read without fetching,
+   * and in offline mode only the local repositories are cloned and fetched.
+   * The steps are called with the function running git commands either synchronously or asynchronously.
+   *
+   * @param {{url, path, ref}} parsed
+   * @return {function(function(string[]))[]}
+   * @throws {AbstractReader.Errors.SourceReadingError} if the repository is not cloned in offline mode
+   * @private
+   */
+  _getUpdateSteps(parsed) {
+    const mirror = this._getMirrorDir(parsed.url);
+
+    if (this._fetched.has(mirror)) {
+      return [];
+    }
+
+    const done = () => this._fetched.add(mirror);
+    const exists = fs.existsSync(mirror);
+
+    if (this.offline && !this._isLocalUrl(parsed.url)) {
+      if (!exists) {
+        throw new AbstractReader.Errors.SourceReadingError(`Repository "${parsed.url}" is not available offline: it has not been cloned`);
+      }
+
+      return [];
+    }
+
+    if (exists && this._hasCommit(mirror, parsed.ref)) {
+      return [];
+    }
+
+    if (exists) {
+      return [run => run(['--git-dir', mirror, 'fetch', '--prune', '--quiet', 'origin']), done];
+    }
+
+    // clone into the temporary directory, so that interrupted clones are not used
+    const temp = `${mirror}.${process.pid}.tmp`;
+
+    return [
+      (run) => {
+        fs.removeSync(temp);
+        fs.mkdirsSync(path.dirname(mirror));
+        return run(['clone', '--mirror', '--quiet', parsed.url, temp]);
+      },
+      () => this._rename(temp, mirror),
+      done
+    ];
+  }
+
+  /**
+   * Check if the ref is a full commit hash found in the mirror
+   * @param {string} mirror
+   * @param {string=} ref
+   * @return {boolean}
+   * @private
+   */
+  _hasCommit(mirror, ref) {
+    if (!COMMIT_REGEXP.test(ref || '')) {
+      return false;
+    }
+
+    const child = childProcess.spawnSync('git', ['--git-dir', mirror, 'cat-file', '-e', `${ref}^{commit}`], this._getSpawnOptions());
+    return !child.error && 0 === child.status;
+  }
+
+  /**
+   * Repositories with "file://" URLs are read without network access
+   * @param {string} url
+   * @return {boolean}
+   * @private
+   */
+  _isLocalUrl(url) {
+    return /^file:/i.test(url);
+  }
+
+  /**
+   * Command printing file at the ref
+   * @param {{url, path, ref}} parsed
+   * @return {string[]} git arguments
+   * @private
+   */
+  _getReadCommand(parsed) {
+    return ['--git-dir', this._getMirrorDir(parsed.url), 'cat-file', 'blob', `${parsed.ref || DEFAULT_REF}:${parsed.path}`];
+  }
+
+  /**
+   * Mirror directory of the repository
+   * @param {string} url
+   * @return {string}
+   * @private
+   */
+  _getMirrorDir(url) {
+    const name = url.replace(/\.git$/, '').split(/[\/:]/).pop().replace(/[^\w.-]/g, '_');
+    const hash = crypto.createHash('sha1').update(url).digest('hex').substr(0, 12);
+    return path.join(this.cacheDir || GitReader.getDir(), `${name}-${hash}.git`);
+  }
+
+  /**
+   * Run git command synchronously
+   * @param {string} source
+   * @param {string[]} args
+   * @return {string} output
+   * @private
+   */
+  _run(source, args) {
+    const child = childProcess.spawnSync('git', args, this._getSpawnOptions());
+
+    if (child.error || 0 !== child.status) {
+      throw this._createError(source, child.error, child.stderr);
+    }
+
+    return child.stdout.toString();
+  }
+
+  /**
+   * Run git command asynchronously
+   * @param {string} source
+   * @param {string[]} args
+   * @return {Promise<string>} output
+   * @private
+   */
+  _runAsync(source, args) {
+    return new Promise((resolve, reject) => {
+      childProcess.execFile('git', args, this._getSpawnOptions(), (err, stdout, stderr) => {
+        if (err) {
+          reject(this._createError(source, err.code ? null : err, stderr));
+        } else {
+          resolve(stdout.toString());
+        }
+      });
+    });
+  }
+
+  /**
+   * Move cloned mirror into place
+   * Another process could clone the same repository meanwhile, its mirror is used then.
+   *
+   * @param {string} temp
+   * @param {string} mirror
+   * @private
+   */
+  _rename(temp, mirror) {
+    try {
+      fs.renameSync(temp, mirror);
+    } catch (e) {
+      fs.removeSync(temp);
+
+      if (!fs.existsSync(mirror)) {
+        throw e;
+      }
+    }
+  }
+
+  /**
+   * @return {{}} options of the git processes
+   * @private
+   */
+  _getSpawnOptions() {
+    return {
+      timeout: this.timeout,
+      encoding: 'buffer',
+      maxBuffer: 64 * 1024 * 1024,
+      // fail instead of asking for credentials
+      env: Object.assign({}, process.env, {GIT_TERMINAL_PROMPT: '0', GIT_SSH_COMMAND: process.env.GIT_SSH_COMMAND || 'ssh -o BatchMode=yes'})
+    };
+  }
+
+  /**
+   * Create reading error of the failed git command
+   * @param {string} source
+   * @param {Error|null} err - spawn error
+   * @param {Buffer|string} stderr
+   * @return {SourceReadingError}
+   * @private
+   */
+  _createError(source, err, stderr) {
+    let message;
+
+    if (err && ('ETIMEDOUT' === err.code || err.killed)) {
+      message = `timed out after ${this.timeout / 1000}s`;
+    } else if (err && 'ENOENT' === err.code) {
+      message = 'git is not installed';
+    } else if (err) {
+      message = err.message;
+    } else {
+      // first line is the error, the rest are hints
+      message = String(stderr || '').trim().split('\n')[0].replace(/^(fatal|error): /, '') || 'unknown error';
+    }
+
+    return new AbstractReader.Errors.SourceReadingError(`Failed to read git source "${source}": ${message}`);
+  }
+
+  /**
+   * Directory of the repository mirrors in the Builder cache directory
+   * @param {string=} cacheDir - default cache directory if not set
+   * @return {string}
+   */
+  static getDir(cacheDir) {
+    return path.join(cacheDir || FileCache.getDefaultCacheDir(), DIR_NAME);
+  }
+
+  /**
+   * Parse git reference into parts
+   * Repository URL has to end with ".git", followed by the file path and optional ref.
+   *
+   * @param {string} source
+   * @return {false|{url, path, ref}}
+   */
+  static parseUrl(source) {
+    const m = 'string' === typeof source && source.match(/^git\+((?:file|ssh|https?):\/\/.+?\.git)\/(.+?)(?:@([^@]+))?$/i);
+
+    if (!m) {
+      return false;
+    }
+
+    const res = {
+      url: m[1],
+      path: m[2]
+    };
+
+    if (undefined !== m[3]) {
+      res.ref = m[3];
+    }
+
+    return res;
+  }
+
+  get timeout() {
+    return this._timeout;
+  }
+
+  set timeout(value) {
+    this._timeout = value;
+  }
+
+  get cacheDir() {
+    return this._cacheDir;
+  }
+
+  set cacheDir(value) {
+    this._cacheDir = value;
+  }
+}
+
+module.exports = GitReader;
+module.exports.SCHEMES = SCHEMES;
@@ -24,161 +24,155 @@
 
 'use strict';
 
-const path = require('path');
 const GitHubApi = require('github');
-const childProcess = require('child_process');
 const packageJson = require('../../package.json');
 const AbstractReader = require('./AbstractReader');
+const RepositoryReader = require('./RepositoryReader');
 
-// child process timeout
-const TIMEOUT = 30000;
+// GitHub API request timeout
+const API_TIMEOUT = 5000;
 
-// return codes
-const STATUS_FETCH_FAILED = 2;
-const STATUS_API_RATE_LIMIT = 3;
+// GitHub API media types
+const MEDIA_TYPE_RAW = 'application/vnd.github.VERSION.raw';
+const MEDIA_TYPE_SHA = 'application/vnd.github.VERSION.sha';
 
-// marker presense on the command line
-// tells that we're in the woker thread
-const WORKER_MARKER = '__github_reader_worker___';
-
-class GithubReader extends AbstractReader {
+class GithubReader extends RepositoryReader {
 
   constructor() {
-    super();
-    this.timeout = TIMEOUT;
+    super(__filename);
   }
 
-  supports(source) {
-    return false !== GithubReader.parseUrl(source);
+  /**
+   * Fetch file over GitHub API
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  fetch(source) {
+    return GithubReader.fetch(source, this.username, this.token, this.timeout);
   }
 
   /**
-   * Read file over HTTP/HTTPs
+   * Fetch SHA of the commit the source ref points to over GitHub API
    * @param {string} source
-   * @param {number=TIMEOUT} timeout - timeout (ms)
-   * @return {string}
+   * @return {Promise<string>}
    */
-  read(source) {
-
-    // [debug]
-    this.logger.debug(`Reading GitHub source "${source}"...`);
-
-    // spawn child process
-    const child = childProcess.spawnSync(
-      /* node */ process.argv[0],
-      [/* self */ __filename, WORKER_MARKER, source, this.username, this.token],
-      {timeout: this.timeout}
-    );
-
-    if (STATUS_FETCH_FAILED === child.status || STATUS_API_RATE_LIMIT === child.status) {
-
-      // predefined exit code errors
-      throw new AbstractReader.Errors.SourceReadingError(
-        child.stderr.toString()
-      );
-
-    } else if (0 !== child.status) {
-
-      // misc exit code errors
-      throw new AbstractReader.Errors.SourceReadingError(
-        `Unknown error: ${child.stderr.toString()} (exit code ${child.status})`
-      );
-
-    } else {
-
-      // errors that do not set erroneous exit code
-      if (child.error) {
+  fetchCommitSha(source) {
+    return GithubReader.fetchCommitSha(source, this.username, this.token, this.timeout);
+  }
 
-        if (child.error.errno === 'ETIMEDOUT') {
+  /**
+   * Fethces the source ref
+   * @param {string} source
+   * @param {string} username
+   * @param {string} password
+   * @param {number=API_TIMEOUT} timeout - GitHub API request timeout (ms)
+   * @return {Promise<string>} rejected with SourceReadingError with exit code in the "status" property
+   */
+  static fetch(source, username, password, timeout) {
+    const github = this._createClient(username, password, timeout, MEDIA_TYPE_RAW);
 
-          // timeout
-          throw new AbstractReader.Errors.SourceReadingError(
-            `Failed to fetch url "${source}": timed out after ${this.timeout / 1000}s`
-          );
+    return new Promise((resolve, reject) => {
 
+      // @see http://mikedeboer.github.io/node-github/#repos.prototype.getContent
+      github.repos.getContent(this.parseUrl(source), (err, res) => {
+        if (err) {
+          reject(this._createApiError(source, err));
         } else {
-
-          // others
-          throw new AbstractReader.Errors.SourceReadingError(
-            `Failed to fetch url "${source}": ${child.error.errno}`
-          );
-
+          resolve(res);
         }
-
-      } else {
-        // s'all good
-        return child.output[1].toString();
-      }
-
-    }
+      });
+    });
   }
 
   /**
-   * Parse path
+   * Fetches SHA of the commit the source ref points to
+   * Sources without ref are resolved to the head of the default branch.
+   *
    * @param {string} source
-   * @return {{__FILE__, __PATH__}}
+   * @param {string} username
+   * @param {string} password
+   * @param {number=API_TIMEOUT} timeout - GitHub API request timeout (ms)
+   * @return {Promise<string>} rejected with SourceReadingError with exit code in the "status" property
    */
-  parsePath(source) {
-    const parsed = GithubReader.parseUrl(source);
-    return {
-      __FILE__: path.basename(parsed.path),
-      __PATH__: `github:${parsed.user}/${parsed.repo}/${path.dirname(parsed.path)}`
-    };
+  static fetchCommitSha(source, username, password, timeout) {
+    const github = this._createClient(username, password, timeout, MEDIA_TYPE_SHA);
+    const parsed = this.parseUrl(source);
+
+    return new Promise((resolve, reject) => {
+
+      // @see http://mikedeboer.github.io/node-github/#repos.prototype.getCommit
+      github.repos.getCommit({user: parsed.user, repo: parsed.repo, sha: parsed.ref || 'HEAD'}, (err, res) => {
+        if (err) {
+          reject(this._createApiError(source, err));
+        } else {
+          resolve(('object' === typeof res ? res.sha : String(res)).trim());
+        }
+      });
+    });
   }
 
   /**
-   * Fethces the source ref and outputs it to STDOUT
-   * @param {string} source
+   * Create GitHub API client
+   * @param {string} username
+   * @param {string} password
+   * @param {number=API_TIMEOUT} timeout
+   * @param {string} mediaType - accepted media type
+   * @return {GitHubApi}
+   * @private
    */
-  static fetch(source, username, password) {
-
+  static _createClient(username, password, timeout, mediaType) {
     const github = new GitHubApi({
       version: '3.0.0',
       debug: false,
       protocol: 'https',
       host: 'api.github.com',
-      timeout: 5000,
+      timeout: timeout || API_TIMEOUT,
       headers: {
         'user-agent': packageJson.name + '/' + packageJson.version,
-        'accept': 'application/vnd.github.VERSION.raw'
+        'accept': mediaType
       }
     });
 
     // authorization
-    if (username != '' && password !== '') {
+    if (username && password) {
       github.authenticate({
         type: 'basic',
         username,
         password
       });
     }
-    ;
 
-    // @see http://mikedeboer.github.io/node-github/#repos.prototype.getContent
-    github.repos.getContent(this.parseUrl(source), (err, res) => {
-      if (err) {
-
-        try {
-          err = JSON.parse(err.message);
-
-          // detect rate limit hit
-          if (err.message.indexOf('API rate limit exceeded') !== -1) {
-            process.stderr.write('GitHub API rate limit exceeded');
-            process.exit(STATUS_API_RATE_LIMIT);
-          }
+    return github;
+  }
 
-          process.stderr.write(`Failed to get source "${source}" from GitHub: ${err.message}`);
-        } catch (e) {
-          process.stderr.write(`Failed to get source "${source}" from GitHub: ${err.message}`);
-        }
+  /**
+   * Create reading error from GitHub API error
+   * @param {string} source
+   * @param {Error} err
+   * @return {SourceReadingError} with exit code in the "status" property
+   * @private
+   */
+  static _createApiError(source, err) {
+    let message = `Failed to get source "${source}" from GitHub: ${err.message}`;
+    let status = RepositoryReader.STATUS_FETCH_FAILED; // misc feth error
 
-        // misc feth error
-        process.exit(STATUS_FETCH_FAILED);
+    try {
+      const details = JSON.parse(err.message);
 
+      // detect rate limit hit
+      if (details.message.indexOf('API rate limit exceeded') !== -1) {
+        message = 'GitHub API rate limit exceeded';
+        status = RepositoryReader.STATUS_API_RATE_LIMIT;
       } else {
-        process.stdout.write(res);
+        message = `Failed to get source "${source}" from GitHub: ${details.message}`;
       }
-    });
+    } catch (e) {
+      // not a JSON response
+    }
+
+    const error = new AbstractReader.Errors.SourceReadingError(message);
+    error.status = status;
+    return error;
   }
 
   /**
@@ -209,43 +203,21 @@ class GithubReader extends AbstractReader {
     return false;
   }
 
-  get timeout() {
-    return this._timeout;
+  static get scheme() {
+    return 'github';
   }
 
-  set timeout(value) {
-    this._timeout = value;
-  }
-
-  get username() {
-    return this._username || '';
-  }
-
-  set username(value) {
-    this._username = value;
-  }
-
-  get token() {
-    return this._token || '';
-  }
-
-  set token(value) {
-    this._token = value;
+  static get serviceName() {
+    return 'GitHub';
   }
 
   get password() {
-    return this._token || '';
+    return this.token;
   }
 
   set password(value) {
-    this._token = value;
+    this.token = value;
   }
 }
 
-if (process.argv.indexOf(WORKER_MARKER) !== -1) {
-  // launch worker
-  GithubReader.fetch(process.argv[3], process.argv[4], process.argv[5]);
-} else {
-  // acto as module
-  module.exports = GithubReader;
-}
+module.exports = GithubReader;
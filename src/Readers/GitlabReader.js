@@ -0,0 +1,173 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+'use strict';
+
+const RepositoryReader = require('./RepositoryReader');
+
+// GitLab.com, self-managed instances are set with the baseUrl
+const DEFAULT_BASE_URL = 'https://gitlab.com';
+
+/**
+ * GitLab reader
+ * Reads "gitlab:<group>/<project>/<path>[@<ref>]" sources, projects in subgroups
+ * are separated from the file path with "/-/": "gitlab:<group>/<subgroup>/<project>/-/<path>".
+ */
+class GitlabReader extends RepositoryReader {
+
+  constructor() {
+    super(__filename);
+    this.baseUrl = DEFAULT_BASE_URL;
+  }
+
+  /**
+   * Fetch file over GitLab API
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  fetch(source) {
+    const parsed = GitlabReader.parseUrl(source);
+
+    return this._getRef(source, parsed)
+      .then(ref => this._request(
+        source,
+        `${this._getProjectUrl(parsed)}/repository/files/${encodeURIComponent(parsed.path)}/raw?ref=${encodeURIComponent(ref)}`,
+        this._getHeaders()
+      ))
+      .then(response => response.body);
+  }
+
+  /**
+   * Fetch SHA of the commit the source ref points to over GitLab API
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  fetchCommitSha(source) {
+    const parsed = GitlabReader.parseUrl(source);
+
+    return this._getRef(source, parsed)
+      .then(ref => this._requestJson(
+        source,
+        `${this._getProjectUrl(parsed)}/repository/commits/${encodeURIComponent(ref)}`,
+        this._getHeaders()
+      ))
+      .then(commit => commit.id);
+  }
+
+  /**
+   * Get ref of the source, the default branch of the project if it's not set
+   * @param {string} source
+   * @param {{user, repo, ref}} parsed
+   * @return {Promise<string>}
+   * @private
+   */
+  _getRef(source, parsed) {
+    if (undefined !== parsed.ref) {
+      return Promise.resolve(parsed.ref);
+    }
+
+    return this._requestJson(source, this._getProjectUrl(parsed), this._getHeaders())
+      .then(project => project.default_branch);
+  }
+
+  /**
+   * @param {{user, repo}} parsed
+   * @return {string}
+   * @private
+   */
+  _getProjectUrl(parsed) {
+    return `${this.baseUrl.replace(/\/+$/, '')}/api/v4/projects/${encodeURIComponent(`${parsed.user}/${parsed.repo}`)}`;
+  }
+
+  /**
+   * @return {{}}
+   * @private
+   */
+  _getHeaders() {
+    return this.token ? {'private-token': this.token} : {};
+  }
+
+  /**
+   * @return {{}}
+   * @protected
+   */
+  _getWorkerOptions() {
+    return Object.assign(super._getWorkerOptions(), {baseUrl: this.baseUrl});
+  }
+
+  /**
+   * Format source reference
+   * @param {{user, repo, path, ref}} parsed
+   * @return {string}
+   */
+  static format(parsed) {
+    // projects in subgroups need the separator
+    return parsed.user.indexOf('/') === -1 ? super.format(parsed) : super.format(Object.assign({}, parsed, {repo: `${parsed.repo}/-`}));
+  }
+
+  /**
+   * Parse GitLab reference into parts
+   * @param {string} source
+   * @return {false|{user, repo, path, ref}}
+   */
+  static parseUrl(source) {
+    const m = 'string' === typeof source && (
+      source.match(/^gitlab:((?:[a-z0-9_.-]+\/)*[a-z0-9_.-]+)\/([a-z0-9_.-]+)\/-\/(.*?)(?:@([^@]*))?$/i) ||
+      source.match(/^gitlab:([a-z0-9_.-]+)\/([a-z0-9_.-]+)\/(.*?)(?:@([^@]*))?$/i)
+    );
+
+    if (!m) {
+      return false;
+    }
+
+    const res = {
+      user: m[1],
+      repo: m[2],
+      path: m[3]
+    };
+
+    if (undefined !== m[4]) {
+      res.ref = m[4];
+    }
+
+    return res;
+  }
+
+  static get scheme() {
+    return 'gitlab';
+  }
+
+  static get serviceName() {
+    return 'GitLab';
+  }
+
+  get baseUrl() {
+    return this._baseUrl;
+  }
+
+  set baseUrl(value) {
+    this._baseUrl = value || DEFAULT_BASE_URL;
+  }
+}
+
+module.exports = GitlabReader;
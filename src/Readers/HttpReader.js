@@ -62,10 +62,50 @@ class HttpReader extends AbstractReader {
     // [debug]
     this.logger.debug(`Reading url "${url}"...`);
 
+    return this._runWorker(url, []);
+  }
+
+  /**
+   * Read file over HTTP/HTTPs if it has been modified
+   * @param {string} url
+   * @param {{etag: string, lastModified: string}} validators - values of the cached response headers
+   * @return {{notModified: boolean, content: string|null, etag: string|null, lastModified: string|null}}
+   */
+  readConditional(url, validators) {
+
+    // [debug]
+    this.logger.debug(`Revalidating url "${url}"...`);
+
+    return JSON.parse(this._runWorker(url, [JSON.stringify(validators || {})]));
+  }
+
+  /**
+   * Read file over HTTP/HTTPs asynchronously if it has been modified
+   * @param {string} url
+   * @param {{etag: string, lastModified: string}} validators - values of the cached response headers
+   * @return {Promise<{notModified: boolean, content: string|null, etag: string|null, lastModified: string|null}>}
+   */
+  readConditionalAsync(url, validators) {
+
+    // [debug]
+    this.logger.debug(`Revalidating url "${url}" asynchronously...`);
+
+    return HttpReader.fetchConditional(url, this.timeout, validators);
+  }
+
+  /**
+   * Run worker process synchronously
+   * @param {string} url
+   * @param {string[]} args - additional worker arguments
+   * @return {string} worker output
+   * @private
+   */
+  _runWorker(url, args) {
+
     // spawn child process
     const child = childProcess.spawnSync(
       /* node */ process.argv[0],
-      [/* self */ __filename, WORKER_MARKER, url],
+      [/* self */ __filename, WORKER_MARKER, url].concat(args),
       {timeout: this.timeout}
     );
 
@@ -113,20 +153,89 @@ class HttpReader extends AbstractReader {
   }
 
   /**
-   * Fethces the url and outputs it to STDOUT
+   * Read file over HTTP/HTTPs asynchronously
    * @param {string} url
+   * @return {Promise<string>}
    */
-  static fetchUrl(url) {
-    request.get(url, (error, response, body) => {
-      if (error) {
-        process.stderr.write(`Failed to fetch url "${url}": ${error}`);
-        process.exit(STATUS_FETCH_FAILED);
-      } else if (response.statusCode >= 400) {
-        process.stderr.write(`Failed to fetch url "${url}": HTTP/${response.statusCode}`);
-        process.exit(STATUS_HTTP_ERROR);
-      } else {
-        process.stdout.write(body);
-      }
+  readAsync(url) {
+
+    // [debug]
+    this.logger.debug(`Reading url "${url}" asynchronously...`);
+
+    return HttpReader.fetchUrl(url, this.timeout);
+  }
+
+  /**
+   * Fethces the url
+   * @param {string} url
+   * @param {number=} timeout - timeout (ms)
+   * @return {Promise<string>} rejected with SourceReadingError with exit code in the "status" property
+   */
+  static fetchUrl(url, timeout) {
+    return this._request(url, timeout, {}).then(response => response.body);
+  }
+
+  /**
+   * Fethces the url if it has been modified
+   * @param {string} url
+   * @param {number=} timeout - timeout (ms)
+   * @param {{etag: string, lastModified: string}=} validators - values of the cached response headers
+   * @return {Promise<{notModified: boolean, content: string|null, etag: string|null, lastModified: string|null}>}
+   */
+  static fetchConditional(url, timeout, validators) {
+    const headers = {};
+    validators = validators || {};
+
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+
+    if (validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+
+    return this._request(url, timeout, headers).then((response) => {
+      const notModified = 304 === response.statusCode;
+
+      return {
+        notModified,
+        content: notModified ? null : response.body,
+        etag: response.headers['etag'] || notModified && validators.etag || null,
+        lastModified: response.headers['last-modified'] || notModified && validators.lastModified || null
+      };
+    });
+  }
+
+  /**
+   * Make GET request
+   * @param {string} url
+   * @param {number=} timeout - timeout (ms)
+   * @param {{}} headers
+   * @return {Promise<{statusCode: number, headers: {}, body: string}>} rejected with SourceReadingError with exit code in the "status" property
+   * @private
+   */
+  static _request(url, timeout, headers) {
+    return new Promise((resolve, reject) => {
+      request.get({url, timeout, headers}, (error, response, body) => {
+        let message, status;
+
+        if (error) {
+          message = /TIMEDOUT$/.test(error.code) ?
+            `Failed to fetch url "${url}": timed out after ${timeout / 1000}s` :
+            `Failed to fetch url "${url}": ${error}`;
+          status = STATUS_FETCH_FAILED;
+        } else if (response.statusCode >= 400) {
+          message = `Failed to fetch url "${url}": HTTP/${response.statusCode}`;
+          status = STATUS_HTTP_ERROR;
+        } else {
+          resolve({statusCode: response.statusCode, headers: response.headers, body});
+          return;
+        }
+
+        error = new AbstractReader.Errors.SourceReadingError(message);
+        error.status = status;
+        reject(error);
+      });
     });
   }
 
@@ -140,8 +249,19 @@ class HttpReader extends AbstractReader {
 }
 
 if (process.argv.indexOf(WORKER_MARKER) !== -1) {
-  // launch worker
-  HttpReader.fetchUrl(process.argv[3]);
+  // launch worker, outputs the url contents or the conditional request result (JSON) to STDOUT
+  const result = undefined === process.argv[4]
+    ? HttpReader.fetchUrl(process.argv[3])
+    : HttpReader.fetchConditional(process.argv[3], undefined, JSON.parse(process.argv[4])).then(JSON.stringify);
+
+  result.then(
+    body => process.stdout.write(body),
+    error => {
+      // errors without status (e.g. thrown by the request library) must not look like an empty response
+      process.stderr.write(error.message || String(error));
+      process.exit(error.status || STATUS_FETCH_FAILED);
+    }
+  );
 } else {
   // acto as module
   module.exports = HttpReader;
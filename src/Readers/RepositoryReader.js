@@ -0,0 +1,396 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+'use strict';
+
+const path = require('path');
+const request = require('request');
+const childProcess = require('child_process');
+const packageJson = require('../../package.json');
+const AbstractReader = require('./AbstractReader');
+
+// child process timeout
+const TIMEOUT = 30000;
+
+// return codes
+const STATUS_FETCH_FAILED = 2;
+const STATUS_API_RATE_LIMIT = 3;
+
+// marker presense on the command line
+// tells that we're in the woker thread
+const WORKER_MARKER = '__repository_reader_worker___';
+
+// worker commands
+const COMMAND_CONTENT = 'content';
+const COMMAND_SHA = 'sha';
+
+/**
+ * Base reader of the repository hosting services
+ *
+ * Sources are "<scheme>:<user>/<repo>/<path>[@<ref>]" references read over the service API.
+ * Subclasses implement parseUrl(), fetch() and fetchCommitSha(), synchronous reads
+ * run them in the worker process, which reports the errors with the exit codes.
+ */
+class RepositoryReader extends AbstractReader {
+
+  /**
+   * @param {string} moduleFile - module of the reader class, loaded by the worker process
+   */
+  constructor(moduleFile) {
+    super();
+    this.timeout = TIMEOUT;
+    this._moduleFile = moduleFile;
+  }
+
+  supports(source) {
+    return false !== this.constructor.parseUrl(source);
+  }
+
+  /**
+   * Read file from the repository
+   * @param {string} source
+   * @return {string}
+   */
+  read(source) {
+
+    // [debug]
+    this.logger.debug(`Reading ${this.constructor.serviceName} source "${source}"...`);
+
+    return this._runWorker(source, COMMAND_CONTENT);
+  }
+
+  /**
+   * Get SHA of the commit the source ref points to
+   * @param {string} source
+   * @return {string}
+   */
+  getCommitSha(source) {
+
+    // [debug]
+    this.logger.debug(`Resolving commit of ${this.constructor.serviceName} source "${source}"...`);
+
+    return this._runWorker(source, COMMAND_SHA);
+  }
+
+  /**
+   * Read file from the repository asynchronously
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  readAsync(source) {
+
+    // [debug]
+    this.logger.debug(`Reading ${this.constructor.serviceName} source "${source}" asynchronously...`);
+
+    return this.fetch(source);
+  }
+
+  /**
+   * Get SHA of the commit the source ref points to asynchronously
+   * @param {string} source
+   * @return {Promise<string>}
+   */
+  getCommitShaAsync(source) {
+
+    // [debug]
+    this.logger.debug(`Resolving commit of ${this.constructor.serviceName} source "${source}" asynchronously...`);
+
+    return this.fetchCommitSha(source);
+  }
+
+  /**
+   * Fetch file over the service API
+   * @param {string} source
+   * @return {Promise<string>} rejected with SourceReadingError with exit code in the "status" property
+   */
+  fetch(source) {
+  }
+
+  /**
+   * Fetch SHA of the commit the source ref points to over the service API
+   * Sources without ref are resolved to the head of the default branch.
+   *
+   * @param {string} source
+   * @return {Promise<string>} rejected with SourceReadingError with exit code in the "status" property
+   */
+  fetchCommitSha(source) {
+  }
+
+  /**
+   * Parse path
+   * @param {string} source
+   * @return {{__FILE__, __PATH__}}
+   */
+  parsePath(source) {
+    const parsed = this.constructor.parseUrl(source);
+    return {
+      __FILE__: path.basename(parsed.path),
+      __PATH__: this.constructor.format({user: parsed.user, repo: parsed.repo, path: path.dirname(parsed.path)})
+    };
+  }
+
+  /**
+   * Make GET request to the service API
+   * @param {string} source
+   * @param {string} url
+   * @param {{}} headers
+   * @return {Promise<{statusCode: number, headers: {}, body: string}>} rejected with SourceReadingError with exit code in the "status" property
+   * @protected
+   */
+  _request(source, url, headers) {
+    headers = Object.assign({'user-agent': packageJson.name + '/' + packageJson.version}, headers);
+
+    return new Promise((resolve, reject) => {
+      request.get({url, headers, timeout: this.timeout}, (error, response, body) => {
+        if (error) {
+          reject(this._createError(source, /TIMEDOUT$/.test(error.code) ? `timed out after ${this.timeout / 1000}s` : String(error)));
+        } else if (429 === response.statusCode || (403 === response.statusCode && '0' === response.headers['ratelimit-remaining'])) {
+          reject(this._createRateLimitError());
+        } else if (response.statusCode >= 400) {
+          reject(this._createError(source, RepositoryReader._getErrorMessage(body) || `HTTP/${response.statusCode}`));
+        } else {
+          resolve({statusCode: response.statusCode, headers: response.headers, body});
+        }
+      });
+    });
+  }
+
+  /**
+   * Make GET request to the service API and parse JSON response
+   * @param {string} source
+   * @param {string} url
+   * @param {{}} headers
+   * @return {Promise<{}>} rejected with SourceReadingError with exit code in the "status" property
+   * @protected
+   */
+  _requestJson(source, url, headers) {
+    return this._request(source, url, headers).then((response) => {
+      let data;
+
+      try {
+        data = JSON.parse(response.body);
+      } catch (e) {
+        // proxy or maintenance page
+      }
+
+      if (null === data || 'object' !== typeof data) {
+        throw this._createError(source, `invalid JSON response from "${url}"`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Create reading error
+   * @param {string} source
+   * @param {string} message
+   * @return {SourceReadingError} with exit code in the "status" property
+   * @protected
+   */
+  _createError(source, message) {
+    const error = new AbstractReader.Errors.SourceReadingError(
+      `Failed to get source "${source}" from ${this.constructor.serviceName}: ${message}`
+    );
+    error.status = STATUS_FETCH_FAILED;
+    return error;
+  }
+
+  /**
+   * Create API rate limit error
+   * @return {SourceReadingError} with exit code in the "status" property
+   * @protected
+   */
+  _createRateLimitError() {
+    const error = new AbstractReader.Errors.SourceReadingError(`${this.constructor.serviceName} API rate limit exceeded`);
+    error.status = STATUS_API_RATE_LIMIT;
+    return error;
+  }
+
+  /**
+   * Options passed to the reader in the worker process
+   * @return {{}}
+   * @protected
+   */
+  _getWorkerOptions() {
+    return {username: this.username, token: this.token, timeout: this.timeout};
+  }
+
+  /**
+   * Run worker process synchronously
+   * The options are passed on STDIN to keep the tokens out of the process list.
+   *
+   * @param {string} source
+   * @param {string} command - COMMAND_CONTENT|COMMAND_SHA
+   * @return {string} worker output
+   * @private
+   */
+  _runWorker(source, command) {
+
+    // spawn child process
+    const child = childProcess.spawnSync(
+      /* node */ process.argv[0],
+      [/* self */ __filename, WORKER_MARKER, this._moduleFile, command, source],
+      {timeout: this.timeout, input: JSON.stringify(this._getWorkerOptions())}
+    );
+
+    if (STATUS_FETCH_FAILED === child.status || STATUS_API_RATE_LIMIT === child.status) {
+
+      // predefined exit code errors
+      throw new AbstractReader.Errors.SourceReadingError(
+        child.stderr.toString()
+      );
+
+    } else if (0 !== child.status && null !== child.status) {
+
+      // misc exit code errors
+      throw new AbstractReader.Errors.SourceReadingError(
+        `Unknown error: ${child.stderr.toString()} (exit code ${child.status})`
+      );
+
+    } else if (child.error && child.error.code === 'ETIMEDOUT') {
+
+      // timeout
+      throw this._createError(source, `timed out after ${this.timeout / 1000}s`);
+
+    } else if (child.error || 0 !== child.status) {
+
+      // others
+      throw this._createError(source, child.error ? child.error.code : `killed by ${child.signal}`);
+
+    } else {
+      // s'all good
+      return child.output[1].toString();
+    }
+  }
+
+  /**
+   * Format source reference
+   * @param {{user, repo, path, ref}} parsed
+   * @return {string}
+   */
+  static format(parsed) {
+    return `${this.scheme}:${parsed.user}/${parsed.repo}/${parsed.path}` + (undefined !== parsed.ref ? `@${parsed.ref}` : '');
+  }
+
+  /**
+   * Pin source reference to the commit
+   * @param {string} source
+   * @param {string} sha
+   * @return {string}
+   */
+  static pin(source, sha) {
+    return this.format(Object.assign({}, this.parseUrl(source), {ref: sha}));
+  }
+
+  /**
+   * Parse source reference into parts
+   * @param {string} source
+   * @return {false|{user, repo, path, ref}}
+   */
+  static parseUrl(source) {
+    return false;
+  }
+
+  /**
+   * Scheme of the source references
+   * @return {string}
+   */
+  static get scheme() {
+    return '';
+  }
+
+  /**
+   * Name of the service in the messages
+   * @return {string}
+   */
+  static get serviceName() {
+    return '';
+  }
+
+  /**
+   * Extract error message from the API response
+   * @param {string} body
+   * @return {string|null}
+   * @private
+   */
+  static _getErrorMessage(body) {
+    try {
+      const data = JSON.parse(body);
+
+      // GitLab: {message} or {error}, Bitbucket Server: {errors: [{message}]}
+      const message = data.message || data.error || data.errors && data.errors[0] && data.errors[0].message;
+      return message ? String(message) : null;
+    } catch (e) {
+      // not a JSON response
+      return null;
+    }
+  }
+
+  get timeout() {
+    return this._timeout;
+  }
+
+  set timeout(value) {
+    this._timeout = value;
+  }
+
+  get username() {
+    return this._username || '';
+  }
+
+  set username(value) {
+    this._username = value;
+  }
+
+  get token() {
+    return this._token || '';
+  }
+
+  set token(value) {
+    this._token = value;
+  }
+}
+
+if (require.main === module && WORKER_MARKER === process.argv[2]) {
+  // launch worker, reads the options from STDIN and outputs the source or commit SHA to STDOUT
+  let input = '';
+
+  process.stdin.on('data', chunk => input += chunk);
+  process.stdin.on('end', () => {
+    const Reader = require(process.argv[3]);
+    const reader = Object.assign(new Reader(), JSON.parse(input));
+
+    (COMMAND_SHA === process.argv[4] ? reader.fetchCommitSha(process.argv[5]) : reader.fetch(process.argv[5])).then(
+      res => process.stdout.write(res),
+      error => {
+        process.stderr.write(error.message);
+        process.exit(error.status || STATUS_FETCH_FAILED);
+      }
+    );
+  });
+}
+
+module.exports = RepositoryReader;
+module.exports.STATUS_FETCH_FAILED = STATUS_FETCH_FAILED;
+module.exports.STATUS_API_RATE_LIMIT = STATUS_API_RATE_LIMIT;
@@ -0,0 +1,194 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+// source map format version
+const VERSION = 3;
+
+// base64 digits used by VLQ encoding
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// VLQ digit layout
+const VLQ_BASE_SHIFT = 5;
+const VLQ_BASE = 1 << VLQ_BASE_SHIFT;
+const VLQ_BASE_MASK = VLQ_BASE - 1;
+const VLQ_CONTINUATION_BIT = VLQ_BASE;
+
+/**
+ * Encode integer as base64 VLQ
+ * @param {number} value
+ * @return {string}
+ */
+function encodeVLQ(value) {
+  let res = '';
+
+  // sign is stored in the least significant bit
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+
+  do {
+    let digit = vlq & VLQ_BASE_MASK;
+    vlq >>>= VLQ_BASE_SHIFT;
+
+    if (vlq > 0) {
+      digit |= VLQ_CONTINUATION_BIT;
+    }
+
+    res += BASE64_DIGITS[digit];
+  } while (vlq > 0);
+
+  return res;
+}
+
+/**
+ * Source Map v3 generator
+ * @see https://sourcemaps.info/spec.html
+ */
+class SourceMapGenerator {
+
+  /**
+   * @param {string=} file - name of the generated file
+   */
+  constructor(file) {
+    this._file = file;
+    this._sources = [];
+    this._sourceIndexes = new Map();
+    this._sourcesContent = new Map();
+    this._mappings = [];
+  }
+
+  /**
+   * Add mapping of generated position to the original source position
+   * All lines and columns are 0-based. Mappings must be added in the order of generated positions.
+   *
+   * @param {{generated: {line, column}, source: string, original: {line, column}}} mapping
+   */
+  addMapping(mapping) {
+    if (!this._sourceIndexes.has(mapping.source)) {
+      this._sourceIndexes.set(mapping.source, this._sources.length);
+      this._sources.push(mapping.source);
+    }
+
+    this._mappings.push({
+      generatedLine: mapping.generated.line,
+      generatedColumn: mapping.generated.column,
+      source: this._sourceIndexes.get(mapping.source),
+      originalLine: mapping.original.line,
+      originalColumn: mapping.original.column
+    });
+  }
+
+  /**
+   * Attach original content of the source
+   * @param {string} source
+   * @param {string} content
+   */
+  setSourceContent(source, content) {
+    this._sourcesContent.set(source, content);
+  }
+
+  /**
+   * Encode mappings into VLQ string
+   * @return {string}
+   * @private
+   */
+  _serializeMappings() {
+    let res = '';
+    let generatedLine = 0;
+    let previousGeneratedColumn = 0;
+    let previousSource = 0;
+    let previousOriginalLine = 0;
+    let previousOriginalColumn = 0;
+    let previous = null;
+
+    for (const mapping of this._mappings) {
+
+      if (mapping.generatedLine !== generatedLine) {
+        // lines are separated with ";", generated column is reset on every line
+        while (generatedLine < mapping.generatedLine) {
+          res += ';';
+          generatedLine++;
+        }
+        previousGeneratedColumn = 0;
+      } else if (previous) {
+
+        // skip duplicate segments
+        if (previous.generatedColumn === mapping.generatedColumn) {
+          continue;
+        }
+
+        res += ',';
+      }
+
+      res += encodeVLQ(mapping.generatedColumn - previousGeneratedColumn);
+      res += encodeVLQ(mapping.source - previousSource);
+      res += encodeVLQ(mapping.originalLine - previousOriginalLine);
+      res += encodeVLQ(mapping.originalColumn - previousOriginalColumn);
+
+      previousGeneratedColumn = mapping.generatedColumn;
+      previousSource = mapping.source;
+      previousOriginalLine = mapping.originalLine;
+      previousOriginalColumn = mapping.originalColumn;
+      previous = mapping;
+    }
+
+    return res;
+  }
+
+  /**
+   * Get source map object
+   * @return {{version, file, sources, sourcesContent, names, mappings}}
+   */
+  toJSON() {
+    const res = {version: VERSION};
+
+    if (this._file) {
+      res.file = this._file;
+    }
+
+    res.sources = this._sources.slice();
+
+    if (this._sourcesContent.size > 0) {
+      res.sourcesContent = this._sources.map(
+        source => this._sourcesContent.has(source) ? this._sourcesContent.get(source) : null
+      );
+    }
+
+    res.names = [];
+    res.mappings = this._serializeMappings();
+
+    return res;
+  }
+
+  /**
+   * Get source map as JSON string
+   * @return {string}
+   */
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+module.exports = SourceMapGenerator;
+module.exports.encodeVLQ = encodeVLQ;
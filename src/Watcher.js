@@ -0,0 +1,159 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+const fs = require('fs');
+
+// delay before rebuilding (ms)
+const DEBOUNCE_DELAY = 200;
+
+/**
+ * Runs build again when the watched files change
+ *
+ * Bursts of changes are coalesced into one build, changes made during a build schedule the next one.
+ * Files to watch are listed again after every build, so the watched set follows the dependencies.
+ * After a failed build the files watched before it are kept, so fixing any of them triggers a rebuild.
+ */
+class Watcher {
+
+  /**
+   * @param {function(): Promise} build - reports its errors itself
+   * @param {function(): string[]} getFiles - files to watch after the build
+   * @param {{delay: number, watch: function, setTimeout: function, clearTimeout: function}=} options
+   *  delay in ms, fs.watch() and timer functions to use instead of the default ones
+   */
+  constructor(build, getFiles, options) {
+    options = options || {};
+    this._build = build;
+    this._getFiles = getFiles;
+    this._delay = undefined === options.delay ? DEBOUNCE_DELAY : options.delay;
+    this._watch = options.watch || fs.watch;
+    this._setTimeout = options.setTimeout || setTimeout;
+    this._clearTimeout = options.clearTimeout || clearTimeout;
+    this._watchers = new Map(); // path -> fs.FSWatcher
+    this._timer = null;
+    this._building = false;
+    this._pending = false;
+  }
+
+  /**
+   * Run the first build and watch its files
+   * @return {Promise} resolved when the first build is finished
+   */
+  start() {
+    return this._rebuild();
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    this._clearTimeout(this._timer);
+    this._timer = null;
+    this._watchers.forEach(watcher => watcher.close());
+    this._watchers.clear();
+  }
+
+  /**
+   * Watched files
+   * @return {string[]}
+   */
+  get files() {
+    return Array.from(this._watchers.keys());
+  }
+
+  /**
+   * @return {Promise}
+   * @private
+   */
+  _rebuild() {
+    this._timer = null;
+    this._building = true;
+
+    return new Promise(resolve => resolve(this._build()))
+      .then(() => [], () => this.files)
+      .then((files) => {
+        this._update(files.concat(this._getFiles()));
+        this._building = false;
+
+        // changes made during the build
+        if (this._pending) {
+          this._pending = false;
+          this._schedule();
+        }
+      });
+  }
+
+  /**
+   * Debounce bursts of changes
+   * @private
+   */
+  _schedule() {
+    if (this._building) {
+      this._pending = true;
+      return;
+    }
+
+    this._clearTimeout(this._timer);
+    this._timer = this._setTimeout(() => this._rebuild(), this._delay);
+  }
+
+  /**
+   * Watch the files, unwatch the ones that are no longer used
+   * @param {string[]} files
+   * @private
+   */
+  _update(files) {
+    for (const file of this.files) {
+      if (files.indexOf(file) === -1) {
+        this._watchers.get(file).close();
+        this._watchers.delete(file);
+      }
+    }
+
+    for (const file of files) {
+      if (this._watchers.has(file)) {
+        if (!this._watchers.get(file).renamed) {
+          continue;
+        }
+        // file was replaced, watch the new one
+        this._watchers.get(file).close();
+        this._watchers.delete(file);
+      }
+
+      try {
+        const watcher = this._watch(file, (event) => {
+          watcher.renamed = watcher.renamed || 'rename' === event;
+          this._schedule();
+        });
+        this._watchers.set(file, watcher);
+      } catch (e) {
+        // file is missing, it will be picked up on the next rebuild
+      }
+    }
+  }
+}
+
+module.exports = Watcher;
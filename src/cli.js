@@ -30,10 +30,20 @@
 
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 const Builder = require('./index');
+const Lockfile = require('./Lockfile');
+const FileCache = require('./FileCache');
+const GitReader = require('./Readers/GitReader');
+const defines = require('./defines');
+const config = require('./config');
+const Watcher = require('./Watcher');
 const packageJson = require('../package.json');
 
+// directory with vendored remote sources
+const DEFAULT_VENDOR_DIR = 'builder-vendor';
+
 /**
  * Blackhole logger
  */
@@ -60,28 +70,67 @@ function usageInfo() {
     `
 \u001b[36m${packageJson.name} v${packageJson.version} CLI\u001b[39m
 
-usage:\n\t\u001b[34m${Object.getOwnPropertyNames((packageJson.bin))[0]} [-l] [-D<varname> <value> ...] [--github-user <usename> --github-token <token>] <input_file>\u001b[39m
+usage:\n\t\u001b[34m${Object.getOwnPropertyNames((packageJson.bin))[0]} [-l] [--config <file>] [--profile <name>] [--target <name> ...] [-D[:str]<varname> <value> ...] [--defines-file <file> ...] [--github-user <usename> --github-token <token>] [--gitlab-url <url> --gitlab-token <token>] [--bitbucket-url <url> [--bitbucket-user <username>] --bitbucket-token <token>] [-o <output_file> [--watch]] [--plugin <file> ...] [--source-map <file>] [--deps <file> [--deps-target <target>]] [--prefetch-concurrency <n>] [--lockfile <file>] [--frozen-lockfile|--update-lockfile] [--offline] [--vendor-dir <dir>] <input_file>\u001b[39m
+\t\u001b[34m${Object.getOwnPropertyNames((packageJson.bin))[0]} vendor [--vendor-dir <dir>] [options] <input_file>\u001b[39m
+\t\u001b[34m${Object.getOwnPropertyNames((packageJson.bin))[0]} cache list|prune [--max-age <duration>] [--max-size <size>]|evict <url|pattern>\u001b[39m
 where:
+\t\u001b[34mvendor\u001b[39m - download all remote sources included from the input file into the vendor directory
+\t\u001b[34mcache list\u001b[39m - list cached remote files
+\t\u001b[34mcache prune\u001b[39m - remove outdated cached files, or the ones older than --max-age, and least recently used ones over --max-size (e.g. 50M)
+\t\u001b[34mcache evict <url|pattern>\u001b[39m - remove cached files matching the url or wildcard pattern
 \t\u001b[34m-l\u001b[39m - generate line control statements
-\t\u001b[34m-D<varname> <value>\u001b[39m - define a variable that will be available from the source
+\t\u001b[34m--target <name>\u001b[39m - build only the named target of the config file, all targets are built if the input file is not given
+\t\u001b[34m-o, --output <output_file>\u001b[39m - write output to the file instead of STDOUT, @output blocks are written to the files in the same directory
+\t\u001b[34m--watch\u001b[39m - rebuild output file when included local sources or libraries change
+\t\u001b[34m-D<varname> <value>\u001b[39m - define a variable that will be available from the source, numbers, true, false, null and JSON arrays/objects are converted
+\t\u001b[34m-D:str<varname> <value>\u001b[39m - define a string variable without conversion
+\t\u001b[34m--defines-file <file>\u001b[39m - load variables from JSON, YAML or .env file, -D options take precedence
 \t\u001b[34m--github-user <username>\u001b[39m - username for GitHub
 \t\u001b[34m--github-token <token>\u001b[39m - personal access token or password for GitHub
-\t\u001b[34m--cache>\u001b[39m - enable cache for remote files
-\t\u001b[34m--clear-cache\u001b[39m - delete cache folder before running
+\t\u001b[34m--gitlab-url <url>\u001b[39m - GitLab server URL (default: https://gitlab.com)
+\t\u001b[34m--gitlab-token <token>\u001b[39m - personal, project or group access token for GitLab
+\t\u001b[34m--bitbucket-url <url>\u001b[39m - Bitbucket Server URL
+\t\u001b[34m--bitbucket-user <username>\u001b[39m - username for Bitbucket Server, the token is sent as bearer token without it
+\t\u001b[34m--bitbucket-token <token>\u001b[39m - personal or HTTP access token for Bitbucket Server
+\t\u001b[34m--config <file>\u001b[39m - project config file (default: ${config.FILE_NAMES.join(' or ')} in the input file directory or its parents)
+\t\u001b[34m--profile <name>\u001b[39m - apply settings of the named profile from the config file
+\t\u001b[34m--cache\u001b[39m - enable cache for remote files
+\t\u001b[34m--no-cache\u001b[39m - disable cache for remote files enabled in the config file
+\t\u001b[34m--clear-cache\u001b[39m - delete contents of the cache folder before running, by default the cache is shared by all the projects of the user
+\t\u001b[34m--cache-dir <dir>\u001b[39m - cache folder (default: ${FileCache.getDefaultCacheDir()})
 \t\u001b[34m--cache-exclude-list <path_to_file>\u001b[39m - path to exclude list file
+\t\u001b[34m--cache-ttl [<pattern>=]<duration>\u001b[39m - cache lifetime (e.g. 30m, 12h, 7d) for all remote files or the ones matching the pattern
 \t\u001b[34m--lib(s) <path_to_file|path_to_directory|glob>\u001b[39m - path to Javascript file to include as libraries
+\t\u001b[34m--plugin <path_to_file>\u001b[39m - path to JavaScript module of a plugin with build hooks
+\t\u001b[34m--source-map <file>\u001b[39m - write source map (v3) to the file
+\t\u001b[34m--deps <file>\u001b[39m - write included sources to the file (JSON include graph for *.json files, Makefile rules otherwise)
+\t\u001b[34m--deps-target <target>\u001b[39m - target name for Makefile rules, defaults to the output or input file
+\t\u001b[34m--prefetch-concurrency <n>\u001b[39m - maximum number of remote sources fetched in parallel, 0 disables prefetching (default: 4)
+\t\u001b[34m--lockfile <file>\u001b[39m - pin GitHub, GitLab and Bitbucket sources to commits recorded in the lockfile (default: ${Lockfile.DEFAULT_FILE_NAME})
+\t\u001b[34m--frozen-lockfile\u001b[39m - build strictly from the lockfile, fail on sources missing in it
+\t\u001b[34m--update-lockfile\u001b[39m - resolve all GitHub, GitLab and Bitbucket sources again and rewrite the lockfile
+\t\u001b[34m--offline\u001b[39m - never fetch remote sources, read them from the vendor directory or the cache
+\t\u001b[34m--vendor-dir <dir>\u001b[39m - directory with vendored remote sources (default: ${DEFAULT_VENDOR_DIR})
     `.trim());
 }
 
 /**
  * Read args
- * @return {{defines: {}, lineControl: boolean, input: string, gh: {user, token}, cache: boolean, clean: boolean, excludeFile: string}
+ * @return {{defines: {}, definesFiles: string[], configDefines: {}, configDefinesFiles: string[], configFile: string, profile: string, targets: {}[], targetNames: string[], plugins: string[], readers: {}[], searchDirs: string[], timeouts: {http, github, git, gitlab, bitbucket}, lineControl: boolean, input: string, gh: {user, token}, gitlab: {url, token}, bitbucket: {url, user, token}, cache: boolean|null, clean: boolean, excludeFile: string, cacheFolder: string, sourceMap: string, deps: string, depsTarget: string, output: string, watch: boolean, prefetchConcurrency: number, lockfile: string, frozenLockfile: boolean, updateLockfile: boolean, offline: boolean, vendorDir: string, command: string, cacheLifetime: number, cacheLifetimes: {pattern, lifetime}[], cacheCommand: string, cacheArgs: string[], maxAge: number, maxSize: number}
  */
 function readArgs() {
   let m;
-  const res = {defines: {}, cache: false, lineControl: false, input: null, gh: {user: null, token: null}, clean : false, excludeFile : '', cacheFolder: '', libs: []};
+  const res = {defines: {}, definesFiles: [], configDefines: {}, configDefinesFiles: [], configFile: null, profile: null, targets: [], targetNames: [], plugins: [], readers: [], searchDirs: [], timeouts: {http: null, github: null, git: null, gitlab: null, bitbucket: null}, cache: null, lineControl: false, input: null, gh: {user: null, token: null}, gitlab: {url: null, token: null}, bitbucket: {url: null, user: null, token: null}, clean : false, excludeFile : '', cacheFolder: '', libs: [], sourceMap: null, deps: null, depsTarget: null, output: null, watch: false, prefetchConcurrency: null, lockfile: null, frozenLockfile: false, updateLockfile: false, offline: false, vendorDir: null, command: null, cacheLifetime: null, cacheLifetimes: [], cacheCommand: null, cacheArgs: [], maxAge: undefined, maxSize: undefined};
   const args = process.argv.splice(2);
 
+  if ('vendor' === args[0] || 'cache' === args[0]) {
+    res.command = args.shift();
+  }
+
+  if ('cache' === res.command) {
+    res.cacheCommand = args.shift();
+  }
+
   while (args.length > 0) {
     const argument = args.shift();
 
@@ -89,20 +138,90 @@ function readArgs() {
       res.lineControl = true;
     } else if ('--cache' === argument || '-c' === argument) {
       res.cache = true;
+    } else if ('--no-cache' === argument) {
+      res.cache = false;
     } else if ('--clear-cache' === argument) {
       res.clean = true;
-    } else if (m = argument.match(/^-D(.+)$/)) {
+    } else if ('--watch' === argument) {
+      res.watch = true;
+    } else if ('-o' === argument || '--output' === argument) {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.output = args.shift();
+    } else if (m = argument.match(/^-D:str(.+)$/)) {
       res.defines[m[1]] = args.length ? args.shift() : null;
+    } else if (m = argument.match(/^-D(.+)$/)) {
+      res.defines[m[1]] = args.length ? defines.parseValue(args.shift()) : null;
+    } else if (argument === '--defines-file') {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.definesFiles.push(args.shift());
+    } else if (argument === '--config') {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.configFile = args.shift();
+    } else if (argument === '--profile') {
+      if (!args.length) {
+        throw Error('Expected profile name after ' + argument);
+      }
+      res.profile = args.shift();
+    } else if (argument === '--target') {
+      if (!args.length) {
+        throw Error('Expected target name after ' + argument);
+      }
+      res.targetNames.push(args.shift());
     } else if (argument === '--github-user') {
       if (!args.length) {
         throw Error('Expected argument value after ' + argument);
       }
       res.gh.user = args.shift();
+    } else if (argument === '--gitlab-url' || argument === '--gitlab-token') {
+      if (!args.length) {
+        throw Error('Expected argument value after ' + argument);
+      }
+      res.gitlab[argument.substr('--gitlab-'.length)] = args.shift();
+    } else if (argument === '--bitbucket-url' || argument === '--bitbucket-user' || argument === '--bitbucket-token') {
+      if (!args.length) {
+        throw Error('Expected argument value after ' + argument);
+      }
+      res.bitbucket[argument.substr('--bitbucket-'.length)] = args.shift();
     } else if (argument === '--cache-exclude-list') {
       if (!args.length) {
         throw Error('Expected filename after ' + argument);
       }
       res.excludeFile = args.shift();
+    } else if (argument === '--cache-dir') {
+      if (!args.length) {
+        throw Error('Expected directory after ' + argument);
+      }
+      res.cacheFolder = args.shift();
+    } else if (argument === '--cache-ttl') {
+      if (!args.length) {
+        throw Error('Expected duration after ' + argument);
+      }
+      const value = args.shift();
+      const separator = value.lastIndexOf('=');
+      if (-1 === separator) {
+        res.cacheLifetime = FileCache.parseDuration(value);
+      } else {
+        res.cacheLifetimes.push({
+          pattern: value.substr(0, separator),
+          lifetime: FileCache.parseDuration(value.substr(separator + 1))
+        });
+      }
+    } else if (argument === '--max-age') {
+      if (!args.length) {
+        throw Error('Expected duration after ' + argument);
+      }
+      res.maxAge = FileCache.parseDuration(args.shift());
+    } else if (argument === '--max-size') {
+      if (!args.length) {
+        throw Error('Expected size after ' + argument);
+      }
+      res.maxSize = FileCache.parseSize(args.shift());
     } else if (argument === '--github-token') {
       if (!args.length) {
         throw Error('Expected argument value after ' + argument);
@@ -113,6 +232,49 @@ function readArgs() {
         throw Error('Expected argument value after ' + argument);
       }
       res.libs.push(args.shift());
+    } else if (argument === '--plugin') {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.plugins.push(args.shift());
+    } else if (argument === '--source-map') {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.sourceMap = args.shift();
+    } else if (argument === '--deps') {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.deps = args.shift();
+    } else if (argument === '--deps-target') {
+      if (!args.length) {
+        throw Error('Expected argument value after ' + argument);
+      }
+      res.depsTarget = args.shift();
+    } else if (argument === '--lockfile') {
+      if (!args.length) {
+        throw Error('Expected filename after ' + argument);
+      }
+      res.lockfile = args.shift();
+    } else if (argument === '--offline') {
+      res.offline = true;
+    } else if (argument === '--vendor-dir') {
+      if (!args.length) {
+        throw Error('Expected directory after ' + argument);
+      }
+      res.vendorDir = args.shift();
+    } else if (argument === '--frozen-lockfile') {
+      res.frozenLockfile = true;
+    } else if (argument === '--update-lockfile') {
+      res.updateLockfile = true;
+    } else if (argument === '--prefetch-concurrency') {
+      if (!args.length || !/^\d+$/.test(args[0])) {
+        throw Error('Expected number after ' + argument);
+      }
+      res.prefetchConcurrency = parseInt(args.shift(), 10);
+    } else if ('cache' === res.command) {
+      res.cacheArgs.push(argument);
     } else {
       res.input = argument;
     }
@@ -121,38 +283,509 @@ function readArgs() {
   return res;
 }
 
+/**
+ * Apply settings of the project config file to the args
+ * Options given on the command line take precedence over the config file.
+ *
+ * @param {{}} args
+ */
+function applyConfig(args) {
+  const file = args.configFile || config.find(args.input ? path.dirname(path.resolve(args.input)) : '.');
+
+  if (!file) {
+    if (args.profile) {
+      throw Error(`Config file (${config.FILE_NAMES.join(' or ')}) is required to use --profile`);
+    }
+    return;
+  }
+
+  const settings = config.load(file, args.profile);
+
+  args.configFile = settings.file;
+  args.searchDirs = settings.searchDirs;
+  args.libs = settings.libs.concat(args.libs);
+  args.plugins = settings.plugins.concat(args.plugins);
+  args.readers = settings.readers;
+  args.configDefines = settings.defines;
+  args.configDefinesFiles = settings.definesFiles;
+  args.timeouts = settings.timeouts;
+  args.targets = settings.targets;
+
+  if (null === args.cache) {
+    args.cache = settings.cache.enabled;
+  }
+
+  args.cacheFolder = args.cacheFolder || settings.cache.dir || '';
+  args.excludeFile = args.excludeFile || settings.cache.excludeList || '';
+
+  if (null === args.cacheLifetime) {
+    args.cacheLifetime = settings.cache.lifetime;
+  }
+
+  // first matching pattern wins
+  args.cacheLifetimes = args.cacheLifetimes.concat(settings.cache.lifetimes);
+
+  args.gh.user = args.gh.user || settings.github.user;
+  args.gh.token = args.gh.token || settings.github.token;
+
+  for (const key of Object.keys(args.gitlab)) {
+    args.gitlab[key] = args.gitlab[key] || settings.gitlab[key];
+  }
+
+  for (const key of Object.keys(args.bitbucket)) {
+    args.bitbucket[key] = args.bitbucket[key] || settings.bitbucket[key];
+  }
+}
+
+/**
+ * Create builder configured from the args
+ * @param {{}} args
+ * @return {Builder}
+ */
+function createBuilder(args) {
+  const builder = new Builder({ libs: args.libs, plugins: args.plugins, readers: args.readers });
+  builder.machine.generateLineControlStatements = args.lineControl;
+  builder.machine.useCache = !!args.cache;
+  if (null !== args.prefetchConcurrency) {
+    builder.machine.prefetchConcurrency = args.prefetchConcurrency;
+  }
+  builder.logger = new NullLogger();
+
+  const readers = builder.machine.readerRegistry;
+
+  // set reader timeouts
+  if (null !== args.timeouts.http) {
+    readers.get('http').timeout = args.timeouts.http;
+  }
+  if (null !== args.timeouts.github) {
+    readers.get('github').timeout = args.timeouts.github;
+  }
+  if (null !== args.timeouts.git) {
+    readers.get('git').timeout = args.timeouts.git;
+  }
+  if (null !== args.timeouts.gitlab) {
+    readers.get('gitlab').timeout = args.timeouts.gitlab;
+  }
+  if (null !== args.timeouts.bitbucket) {
+    readers.get('bitbucket').timeout = args.timeouts.bitbucket;
+  }
+
+  // set GH credentials
+  readers.get('github').username = args.gh.user;
+  readers.get('github').token = args.gh.token;
+
+  // set GitLab and Bitbucket servers and credentials
+  readers.get('gitlab').baseUrl = args.gitlab.url;
+  readers.get('gitlab').token = args.gitlab.token;
+  readers.get('bitbucket').baseUrl = args.bitbucket.url;
+  readers.get('bitbucket').username = args.bitbucket.user;
+  readers.get('bitbucket').token = args.bitbucket.token;
+  //set cache settings
+  if (args.cacheFolder) {
+    builder.machine.fileCache.cacheDir = args.cacheFolder;
+    readers.get('git').cacheDir = GitReader.getDir(args.cacheFolder);
+  }
+  builder.machine.excludeList = args.excludeFile;
+  builder.machine.offline = args.offline;
+  builder.machine.fileCache.cacheLifetimes = args.cacheLifetimes;
+  if (null !== args.cacheLifetime) {
+    builder.machine.fileCache.cacheLifetime = args.cacheLifetime;
+  }
+
+  // vendored sources are used if the default directory exists
+  if (args.vendorDir || 'vendor' === args.command || fs.existsSync(DEFAULT_VENDOR_DIR)) {
+    builder.machine.vendorDir = args.vendorDir || DEFAULT_VENDOR_DIR;
+  }
+
+  // pin GitHub, GitLab and Bitbucket sources
+  if (args.lockfile || args.frozenLockfile || args.updateLockfile) {
+    const lockfile = new Lockfile(args.lockfile);
+    lockfile.frozen = args.frozenLockfile;
+    lockfile.update = args.updateLockfile;
+    lockfile.load();
+    builder.machine.lockfile = lockfile;
+  }
+
+  if (args.input) {
+    selectTarget(builder, args);
+  }
+
+  return builder;
+}
+
+/**
+ * Configure the builder for the input and output files of the args
+ * @param {Builder} builder
+ * @param {{input: string, output: string, sourceMap: string, searchDirs: string[]}} args
+ */
+function selectTarget(builder, args) {
+  builder.machine.generateSourceMap = !!args.sourceMap;
+  builder.machine.sourceMapFile = args.output ? path.basename(args.output) : undefined;
+  builder.machine.sourceMapDir = args.sourceMap ? path.dirname(path.resolve(args.sourceMap)) : undefined;
+
+  // set the directory of the input file as first search dir, followed by the configured ones and the current directory
+  builder.machine.readerRegistry.get('file').searchDirs = [path.dirname(path.resolve(args.input))]
+    .concat(args.searchDirs, path.resolve('.'));
+}
+
+/**
+ * Build the targets of the config file in one process
+ * Targets share the builder, so remote sources, the cache and parsed sources are reused.
+ *
+ * @param {{}} args
+ * @return {Promise}
+ */
+function buildTargets(args) {
+  const targets = getTargets(args);
+  const builder = createBuilder(args);
+  const machine = builder.machine;
+  const prefetchConcurrency = machine.prefetchConcurrency;
+
+  // targets are built one by one
+  const buildTarget = (target) => {
+    selectTarget(builder, target);
+    return build(builder, target)
+      .then(
+        () => console.error(`\u001b[32mBuilt "${target.output}"\u001b[39m`),
+        (e) => {
+          throw Error(`Failed to build target "${target.name}": ${e.message || e}`);
+        }
+      );
+  };
+
+  let res = Promise.resolve();
+
+  if (prefetchConcurrency > 0) {
+    // remote sources of all the targets are prefetched at once and kept for all the builds
+    machine.readerRegistry.get('file').searchDirs = targets.map(target => path.dirname(target.input))
+      .concat(args.searchDirs, path.resolve('.'));
+    res = machine.prefetch(targets.map(getEntrySource).join('\n'))
+      .then(() => machine.prefetchConcurrency = 0);
+  }
+
+  for (const target of targets) {
+    res = res.then(() => buildTarget(target));
+  }
+
+  const restore = () => machine.prefetchConcurrency = prefetchConcurrency;
+  return res.then(restore, (e) => {
+    restore();
+    throw e;
+  });
+}
+
+/**
+ * Args of the targets selected with --target options
+ * Target variables override the top-level config file ones, command line options override both.
+ *
+ * @param {{}} args
+ * @return {{}[]}
+ */
+function getTargets(args) {
+  for (const name of args.targetNames) {
+    if (!args.targets.some(target => target.name === name)) {
+      throw Error(`Unknown target "${name}"`);
+    }
+  }
+
+  return args.targets
+    .filter(target => !args.targetNames.length || args.targetNames.indexOf(target.name) !== -1)
+    .map(target => Object.assign({}, args, {
+      name: target.name,
+      input: target.input,
+      output: target.output,
+      sourceMap: target.sourceMap,
+      deps: target.deps,
+      depsTarget: target.depsTarget,
+      configDefines: Object.assign({}, args.configDefines, target.defines),
+      configDefinesFiles: args.configDefinesFiles.concat(target.definesFiles)
+    }));
+}
+
+/**
+ * Build the input file and write the results
+ * @param {Builder} builder
+ * @param {{}} args
+ * @return {Promise}
+ */
+function build(builder, args) {
+  return builder.machine.executeWithOutputsAsync(getEntrySource(args), getDefines(args))
+    .then(res => writeResults(builder, args, res.output, res.outputs));
+}
+
+/**
+ * Download remote sources included from the input file into the vendor directory
+ * Sources that are no longer included are removed from it.
+ *
+ * @param {Builder} builder
+ * @param {{}} args
+ * @return {Promise}
+ */
+function vendor(builder, args) {
+  const fileCache = builder.machine.fileCache;
+  fileCache.updateVendor = true;
+
+  return builder.machine.executeAsync(getEntrySource(args), getDefines(args))
+    .then(() => {
+      const removed = fileCache.pruneVendor();
+      console.error(
+        `Vendored ${fileCache.vendoredFiles.length} remote source(s) into "${fileCache.vendorDir}"` +
+        (removed.length ? `, removed ${removed.length} unused file(s)` : '')
+      );
+
+      if (builder.machine.lockfile) {
+        builder.machine.lockfile.save();
+      }
+    });
+}
+
+/**
+ * Run cache maintenance command
+ * @param {{}} args
+ */
+function cache(args) {
+  const builder = new Builder({ libs: args.libs, plugins: args.plugins, readers: args.readers });
+  builder.logger = new NullLogger();
+
+  const fileCache = builder.machine.fileCache;
+  if (args.cacheFolder) {
+    fileCache.cacheDir = args.cacheFolder;
+  }
+  fileCache.cacheLifetimes = args.cacheLifetimes;
+  if (null !== args.cacheLifetime) {
+    fileCache.cacheLifetime = args.cacheLifetime;
+  }
+
+  let removed;
+
+  switch (args.cacheCommand) {
+
+    case 'list':
+      for (const entry of fileCache.getEntries()) {
+        console.log([formatSize(entry.size), formatDuration(entry.age), entry.hits, entry.url].join('\t'));
+      }
+      return;
+
+    case 'prune':
+      removed = fileCache.prune({maxAge: args.maxAge, maxSize: args.maxSize});
+      break;
+
+    case 'evict':
+      if (1 !== args.cacheArgs.length) {
+        throw Error('Expected url or pattern after cache evict');
+      }
+      removed = fileCache.evict(args.cacheArgs[0]);
+      break;
+
+    default:
+      throw Error(`Unknown cache command "${args.cacheCommand || ''}", expected list, prune or evict`);
+  }
+
+  const size = removed.reduce((total, entry) => total + entry.size, 0);
+  console.error(`Removed ${removed.length} cached file(s), ${formatSize(size)}`);
+}
+
+/**
+ * Format size in bytes for humans
+ * @param {number} size
+ * @return {string}
+ */
+function formatSize(size) {
+  const units = ['B', 'K', 'M', 'G'];
+  let unit = 0;
+
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+
+  return (unit ? size.toFixed(1) : size) + units[unit];
+}
+
+/**
+ * Format duration in ms for humans
+ * @param {number} duration
+ * @return {string}
+ */
+function formatDuration(duration) {
+  const units = [[86400000, 'd'], [3600000, 'h'], [60000, 'm']];
+
+  for (const unit of units) {
+    if (duration >= unit[0]) {
+      return Math.floor(duration / unit[0]) + unit[1];
+    }
+  }
+
+  return Math.floor(duration / 1000) + 's';
+}
+
+/**
+ * Variables defined in the config file, with --defines-file and -D options
+ * Files of the config file and then of the options are applied after the config file variables, -D options override them.
+ *
+ * @param {{}} args
+ * @return {{}}
+ */
+function getDefines(args) {
+  const res = Object.assign({}, args.configDefines);
+
+  for (const file of args.configDefinesFiles.concat(args.definesFiles)) {
+    Object.assign(res, defines.load(file));
+  }
+
+  return Object.assign(res, args.defines);
+}
+
+/**
+ * Source including the input file
+ * @param {{}} args
+ * @return {string}
+ */
+function getEntrySource(args) {
+  return `@include "${args.input.replace(/\"/g, `'`)}"`;
+}
+
+/**
+ * Write build results
+ * @param {Builder} builder
+ * @param {{}} args
+ * @param {string} res - output
+ * @param {{}} outputs - named outputs
+ */
+function writeResults(builder, args, res, outputs) {
+  // @output blocks are written next to the output file
+  const outputDir = path.resolve(args.output ? path.dirname(args.output) : '.');
+  const outputFiles = Object.keys(outputs).map(name => {
+    const file = path.resolve(outputDir, name);
+
+    if (file.indexOf(outputDir + path.sep) !== 0) {
+      throw new Error(`Output "${name}" is outside of the output directory "${outputDir}"`);
+    }
+
+    return file;
+  });
+
+  if (builder.machine.lockfile) {
+    builder.machine.lockfile.save();
+  }
+
+  if (args.output) {
+    fs.writeFileSync(args.output, res);
+  } else {
+    process.stdout.write(res);
+  }
+
+  Object.keys(outputs).forEach((name, i) => fs.writeFileSync(outputFiles[i], outputs[name]));
+
+  if (args.sourceMap) {
+    fs.writeFileSync(args.sourceMap, JSON.stringify(builder.machine.sourceMap));
+  }
+
+  if (args.deps) {
+    const deps = builder.machine.dependencies;
+    fs.writeFileSync(args.deps, /\.json$/i.test(args.deps) ?
+      JSON.stringify(deps, null, 2) :
+      deps.toMakefile(args.depsTarget || args.output || args.input)
+    );
+  }
+}
+
+/**
+ * Rebuild output file on changes of the local sources and libraries
+ * @param {{}} args
+ */
+function watch(args) {
+  let builder = null;
+  let libFiles = [];
+
+  const rebuild = () => {
+    // reload changed libraries
+    for (const file of libFiles) {
+      delete require.cache[file];
+    }
+
+    builder = null;
+
+    return new Promise(resolve => {
+      builder = createBuilder(args);
+      libFiles = builder.libFiles.concat(builder.pluginFiles, builder.readerFiles);
+      resolve(build(builder, args));
+    })
+      .then(() => {
+        console.error(`\u001b[32mBuilt "${args.output}"\u001b[39m`);
+      }, (e) => {
+        console.error('\u001b[31m' + (e.message || e) + '\u001b[39m');
+        throw e;
+      });
+  };
+
+  const getFiles = () => {
+    // sources included before a failure are watched too
+    const files = builder ? builder.machine.dependencies.getLocations('file').concat(libFiles) : libFiles.slice();
+
+    // the input file and defines files are always watched
+    files.push(path.resolve(args.input));
+    return files.concat(args.configDefinesFiles, args.definesFiles.map(file => path.resolve(file)));
+  };
+
+  new Watcher(rebuild, getFiles).start();
+  console.error(`Watching for changes...`);
+}
+
 try {
   // read args
   const args = readArgs();
+  applyConfig(args);
+
+  if ('cache' === args.command) {
+    cache(args);
+    process.exit(0);
+  }
+
+  // build targets of the config file when the input file is not given
+  const batch = !args.input && !args.command && (args.targets.length > 0 || args.targetNames.length > 0);
 
-  if (!args.input) {
+  if (!args.input && !batch) {
     usageInfo();
     process.exit(1);
   }
 
-// create builder
-  const builder = new Builder({ libs: args.libs });
-  builder.machine.generateLineControlStatements = args.lineControl;
-  builder.machine.useCache = args.cache;
-  builder.logger = new NullLogger();
+  if (args.input && args.targetNames.length) {
+    throw Error('--target can not be used with the input file');
+  }
+
+  if (batch && (args.output || args.sourceMap || args.deps || args.watch)) {
+    throw Error('-o, --source-map, --deps and --watch options can not be used when building targets of the config file');
+  }
+
+  if (args.watch && !args.output) {
+    throw Error('Output file (-o) is required in watch mode');
+  }
+
+  if ('vendor' === args.command && (args.offline || args.watch)) {
+    throw Error('vendor command can not be used with --offline or --watch');
+  }
+
+  if (args.frozenLockfile && args.updateLockfile) {
+    throw Error('--frozen-lockfile and --update-lockfile can not be used together');
+  }
+
   if (args.clean) {
-    builder.machine.clearCache();
+    createBuilder(args).machine.clearCache();
   }
 
-  // set the directory of the input file as first search dir
-  builder.machine.readers.file.searchDirs.unshift(path.dirname(path.resolve(args.input)));
+  if (args.watch) {
+    watch(args);
+  } else {
+    const res = batch ? buildTargets(args) : ('vendor' === args.command ? vendor : build)(createBuilder(args), args);
 
-  // set GH credentials
-  builder.machine.readers.github.username = args.gh.user;
-  builder.machine.readers.github.token = args.gh.token;
-  //set cache settings
-  builder.machine.excludeList = args.excludeFile;
-  // go
-  const res = builder.machine.execute(`@include "${args.input.replace(/\"/g, `'`)}"`, args.defines);
-  process.stdout.write(res);
+    res.catch((e) => {
+      console.error('\u001b[31m' + (e.message || e) + '\u001b[39m');
+      process.exit(1);
+    });
+  }
 
 } catch (e) {
   console.error('\u001b[31m' + ( e.message || e) + '\u001b[39m');
   process.exit(1);
 }
-
@@ -0,0 +1,321 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FileCache = require('./FileCache');
+
+// config file names, in the order they are looked up in each directory
+const FILE_NAMES = ['builder.config.json', '.builderrc'];
+
+// settings that can be set at the top level and in profiles
+const SETTINGS = ['searchDirs', 'libs', 'plugins', 'readers', 'defines', 'definesFiles', 'cache', 'github', 'gitlab', 'bitbucket', 'timeouts', 'targets'];
+
+// settings merged with the top-level ones when a profile is selected
+const MERGED_SETTINGS = ['readers', 'defines', 'cache', 'github', 'gitlab', 'bitbucket', 'timeouts'];
+
+// keys of the object settings
+const CACHE_KEYS = ['enabled', 'dir', 'excludeList', 'ttl'];
+const GITHUB_KEYS = ['user', 'token'];
+const GITLAB_KEYS = ['url', 'token'];
+const BITBUCKET_KEYS = ['url', 'user', 'token'];
+const TIMEOUT_KEYS = ['http', 'github', 'git', 'gitlab', 'bitbucket'];
+const READER_KEYS = ['module', 'priority', 'schemes', 'cacheable'];
+const TARGET_KEYS = ['input', 'output', 'defines', 'definesFiles', 'sourceMap', 'deps', 'depsTarget'];
+
+/**
+ * Find config file in the directory or its parents
+ * @param {string} dir
+ * @return {string|null}
+ */
+module.exports.find = function(dir) {
+  dir = path.resolve(dir);
+
+  for (;;) {
+    for (const name of FILE_NAMES) {
+      const file = path.join(dir, name);
+
+      if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+        return file;
+      }
+    }
+
+    const parent = path.dirname(dir);
+
+    if (parent === dir) {
+      return null;
+    }
+
+    dir = parent;
+  }
+};
+
+/**
+ * Load config file
+ * Settings of the profile override the top-level ones, relative paths are resolved against the config file directory.
+ *
+ * @param {string} file
+ * @param {string=} profile
+ * @return {{file: string, searchDirs: string[], libs: string[], plugins: string[], readers: {name, reader, priority, schemes, cacheable}[], defines: {}, definesFiles: string[], cache: {enabled: boolean|null, dir: string|null, excludeList: string|null, lifetime: number|null, lifetimes: {pattern, lifetime}[]}, github: {user: string|null, token: string|null}, gitlab: {url: string|null, token: string|null}, bitbucket: {url: string|null, user: string|null, token: string|null}, timeouts: {http: number|null, github: number|null, git: number|null, gitlab: number|null, bitbucket: number|null}, targets: {name, input, output, defines, definesFiles, sourceMap, deps, depsTarget}[]}}
+ */
+module.exports.load = function(file, profile) {
+  let data;
+
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Failed to load config file "${file}": ${e.message}`);
+  }
+
+  try {
+    checkObject(data, 'config', SETTINGS.concat('profiles'));
+    checkObject(data.profiles || {}, 'profiles');
+
+    let settings = data;
+
+    if (profile) {
+      if (!data.profiles || !Object.prototype.hasOwnProperty.call(data.profiles, profile)) {
+        throw new Error(`unknown profile "${profile}"`);
+      }
+
+      checkObject(data.profiles[profile], `profile "${profile}"`, SETTINGS);
+      settings = applyProfile(data, data.profiles[profile]);
+    }
+
+    return Object.assign({file: path.resolve(file)}, normalize(settings, path.dirname(path.resolve(file))));
+  } catch (e) {
+    throw new Error(`Invalid config file "${file}": ${e.message}`);
+  }
+};
+
+/**
+ * Override settings with the profile ones
+ * @param {{}} settings
+ * @param {{}} profile
+ * @return {{}}
+ * @private
+ */
+function applyProfile(settings, profile) {
+  const res = Object.assign({}, settings);
+
+  for (const key of Object.keys(profile)) {
+    res[key] = MERGED_SETTINGS.indexOf(key) !== -1 && settings[key] ?
+      Object.assign({}, settings[key], profile[key]) :
+      profile[key];
+  }
+
+  return res;
+}
+
+/**
+ * Validate settings and resolve paths
+ * @param {{}} settings
+ * @param {string} dir - config file directory
+ * @return {{}}
+ * @private
+ */
+function normalize(settings, dir) {
+  const cache = settings.cache || {};
+  const github = settings.github || {};
+  const gitlab = settings.gitlab || {};
+  const bitbucket = settings.bitbucket || {};
+  const timeouts = settings.timeouts || {};
+  const defines = settings.defines || {};
+  const targets = settings.targets || {};
+  const readers = settings.readers || {};
+
+  checkObject(cache, 'cache', CACHE_KEYS);
+  checkObject(github, 'github', GITHUB_KEYS);
+  checkObject(gitlab, 'gitlab', GITLAB_KEYS);
+  checkObject(bitbucket, 'bitbucket', BITBUCKET_KEYS);
+  checkObject(timeouts, 'timeouts', TIMEOUT_KEYS);
+  checkObject(defines, 'defines');
+  checkObject(targets, 'targets');
+  checkObject(readers, 'readers');
+
+  const res = {
+    searchDirs: paths(settings.searchDirs, 'searchDirs', dir),
+    libs: paths(settings.libs, 'libs', dir),
+    plugins: paths(settings.plugins, 'plugins', dir),
+    readers: Object.keys(readers).map(name => normalizeReader(name, readers[name], dir)),
+    defines: defines,
+    definesFiles: paths(settings.definesFiles, 'definesFiles', dir),
+    cache: {
+      enabled: undefined === cache.enabled ? null : !!cache.enabled,
+      dir: cache.dir ? path.resolve(dir, cache.dir) : null,
+      excludeList: cache.excludeList ? path.resolve(dir, cache.excludeList) : null,
+      lifetime: null,
+      lifetimes: []
+    },
+    github: {
+      user: github.user || null,
+      token: github.token || null
+    },
+    gitlab: {
+      url: gitlab.url || null,
+      token: gitlab.token || null
+    },
+    bitbucket: {
+      url: bitbucket.url || null,
+      user: bitbucket.user || null,
+      token: bitbucket.token || null
+    },
+    timeouts: {
+      http: timeout(timeouts.http),
+      github: timeout(timeouts.github),
+      git: timeout(timeouts.git),
+      gitlab: timeout(timeouts.gitlab),
+      bitbucket: timeout(timeouts.bitbucket)
+    },
+    targets: Object.keys(targets).map(name => normalizeTarget(name, targets[name], dir))
+  };
+
+  // "ttl": "12h" or "ttl": {"<pattern>": "7d", ...}
+  if ('object' === typeof cache.ttl && null !== cache.ttl) {
+    for (const pattern of Object.keys(cache.ttl)) {
+      res.cache.lifetimes.push({pattern, lifetime: FileCache.parseDuration(cache.ttl[pattern])});
+    }
+  } else if (undefined !== cache.ttl) {
+    res.cache.lifetime = FileCache.parseDuration(cache.ttl);
+  }
+
+  return res;
+}
+
+/**
+ * Validate reader module settings, given as the module path or an object
+ * @param {string} name
+ * @param {string|{}} reader
+ * @param {string} dir - config file directory
+ * @return {{name, reader, priority, schemes, cacheable}}
+ * @private
+ */
+function normalizeReader(name, reader, dir) {
+  if ('string' === typeof reader) {
+    reader = {module: reader};
+  }
+
+  checkObject(reader, `reader "${name}"`, READER_KEYS);
+
+  if ('string' !== typeof reader.module) {
+    throw new Error(`expected module path in reader "${name}"`);
+  }
+
+  if (undefined !== reader.priority && 'number' !== typeof reader.priority) {
+    throw new Error(`expected number in priority of reader "${name}"`);
+  }
+
+  return {
+    name,
+    reader: path.resolve(dir, reader.module),
+    priority: undefined === reader.priority ? null : reader.priority,
+    schemes: [].concat(reader.schemes || []),
+    cacheable: !!reader.cacheable
+  };
+}
+
+/**
+ * Validate build target and resolve its paths
+ * @param {string} name
+ * @param {{}} target
+ * @param {string} dir - config file directory
+ * @return {{name, input, output, defines, definesFiles, sourceMap, deps, depsTarget}}
+ * @private
+ */
+function normalizeTarget(name, target, dir) {
+  const optionalPath = value => value ? path.resolve(dir, value) : null;
+
+  checkObject(target, `target "${name}"`, TARGET_KEYS);
+  checkObject(target.defines || {}, `defines of target "${name}"`);
+
+  if ('string' !== typeof target.input || 'string' !== typeof target.output) {
+    throw new Error(`expected input and output files in target "${name}"`);
+  }
+
+  return {
+    name,
+    input: path.resolve(dir, target.input),
+    output: path.resolve(dir, target.output),
+    defines: target.defines || {},
+    definesFiles: paths(target.definesFiles, `definesFiles of target "${name}"`, dir),
+    sourceMap: optionalPath(target.sourceMap),
+    deps: optionalPath(target.deps),
+    depsTarget: target.depsTarget || null
+  };
+}
+
+/**
+ * Check that the value is an object with known keys
+ * @param {*} value
+ * @param {string} name
+ * @param {string[]=} keys - allowed keys, any if not set
+ * @private
+ */
+function checkObject(value, name, keys) {
+  if (null === value || 'object' !== typeof value || Array.isArray(value)) {
+    throw new Error(`expected object in ${name}`);
+  }
+
+  for (const key of keys ? Object.keys(value) : []) {
+    if (keys.indexOf(key) === -1) {
+      throw new Error(`unknown setting "${key}" in ${name}`);
+    }
+  }
+}
+
+/**
+ * Resolve list of paths
+ * @param {string|string[]|undefined} value
+ * @param {string} name
+ * @param {string} dir
+ * @return {string[]}
+ * @private
+ */
+function paths(value, name, dir) {
+  value = undefined === value ? [] : [].concat(value);
+
+  for (const item of value) {
+    if ('string' !== typeof item) {
+      throw new Error(`expected paths in ${name}`);
+    }
+  }
+
+  return value.map(item => path.resolve(dir, item));
+}
+
+/**
+ * Parse reader timeout
+ * Like all the durations in the config, numbers without unit are seconds.
+ *
+ * @param {number|string|undefined} value - number or duration like "10s"
+ * @return {number|null} ms
+ * @private
+ */
+function timeout(value) {
+  return undefined === value ? null : FileCache.parseDuration(value);
+}
+
+module.exports.FILE_NAMES = FILE_NAMES;
@@ -0,0 +1,124 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// KEY=value line of .env file
+const ENV_LINE = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/;
+
+/**
+ * Convert command line value to number, boolean, null, array or object
+ * Values that are not valid JSON are kept as strings, and so are numbers that would be written
+ * differently, like "1.0" or "1e3", so versions are not changed.
+ *
+ * @param {string} value
+ * @return {*}
+ */
+module.exports.parseValue = function(value) {
+  if (String(Number(value)) === value || 'true' === value || 'false' === value || 'null' === value || /^[\[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      // not JSON
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Parse .env file content
+ * Quoted values are strings, unquoted values are typed like the command line ones.
+ * Double-quoted values expand \n, \\ and \" escapes, other backslashes are kept.
+ *
+ * @param {string} content
+ * @return {{}}
+ */
+module.exports.parseEnv = function(content) {
+  const res = {};
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (/^\s*(#.*)?$/.test(line)) {
+      return;
+    }
+
+    const m = line.match(ENV_LINE);
+
+    if (!m) {
+      throw new Error(`Invalid line ${index + 1}: "${line}"`);
+    }
+
+    let value = m[2];
+
+    if (/^"(.*)"$/.test(value)) {
+      // like dotenv, only \n, \\ and \" are escapes, so Windows paths keep their backslashes
+      value = value.substr(1, value.length - 2).replace(/\\([n\\"])/g, (escape, char) => 'n' === char ? '\n' : char);
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.substr(1, value.length - 2);
+    } else {
+      // inline comments
+      value = module.exports.parseValue(value.replace(/\s+#.*$/, ''));
+    }
+
+    res[m[1]] = value;
+  });
+
+  return res;
+};
+
+/**
+ * Load variables from JSON, YAML or .env file
+ * @param {string} file
+ * @return {{}}
+ */
+module.exports.load = function(file) {
+  const ext = path.extname(file).toLowerCase();
+  let res;
+
+  try {
+    const content = fs.readFileSync(file, 'utf-8');
+
+    if ('.json' === ext) {
+      res = JSON.parse(content);
+    } else if ('.yaml' === ext || '.yml' === ext) {
+      res = yaml.safeLoad(content, {filename: file});
+    } else if ('.env' === ext || '.env' === path.basename(file)) {
+      res = module.exports.parseEnv(content);
+    } else {
+      throw new Error('Unsupported file type, expected .json, .yaml, .yml or .env');
+    }
+  } catch (e) {
+    throw new Error(`Failed to load defines file "${file}": ${e.message}`);
+  }
+
+  if (null === res || 'object' !== typeof res || Array.isArray(res)) {
+    throw new Error(`Failed to load defines file "${file}": expected variable names and values`);
+  }
+
+  return res;
+};
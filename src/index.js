@@ -33,17 +33,34 @@ const Expression = require('./Expression');
 const FileReader = require('./Readers/FileReader');
 const HttpReader = require('./Readers/HttpReader');
 const GithubReader = require('./Readers/GithubReader');
+const GitReader = require('./Readers/GitReader');
+const GitlabReader = require('./Readers/GitlabReader');
+const BitbucketReader = require('./Readers/BitbucketReader');
+
+// priorities of the built-in readers, the local files are the fallback for the sources not supported by others
+const READER_PRIORITIES = {git: 30, github: 20, gitlab: 20, bitbucket: 20, http: 10, file: -10};
+
+// export of the libraries with custom directives, not added to the globals
+const LIB_DIRECTIVES = '__DIRECTIVES__';
+
+// plugin hooks
+const PLUGIN_HOOKS = ['beforeInclude', 'afterRead', 'transformOutput', 'afterBuild'];
 
 /**
  * Main Builder class
  */
 class Builder {
 
+  /**
+   * @param {{libs: string[], plugins: ({}|function|string)[], readers: {name, reader: {}|function|string, priority, schemes, cacheable}[]}=} opts
+   */
   constructor(opts) {
     opts = opts || {};
     this._libs = [ path.resolve(__dirname + '/libs') + '/*.js' ].concat(opts.libs || []);
     this._initGlobals();
     this._initMachine();
+    this._initReaders(opts.readers || []);
+    this._initPlugins(opts.plugins || []);
   }
 
   /**
@@ -75,12 +92,22 @@ class Builder {
       newFiles.sort();
       libFiles = libFiles.concat(newFiles);
     }
-    const libs = libFiles.map(p => require(path.resolve(process.cwd(), p)));
+    this._libFiles = libFiles.map(p => path.resolve(process.cwd(), p));
+    const libs = this._libFiles.map(p => require(p));
 
     // global context
     this._globals = {};
+    this._directives = {};
     for (let lib of libs) {
-      Object.assign(this._globals, lib);
+      const globals = Object.assign({}, lib);
+
+      // custom directives
+      if (lib[LIB_DIRECTIVES]) {
+        Object.assign(this._directives, lib[LIB_DIRECTIVES]);
+        delete globals[LIB_DIRECTIVES];
+      }
+
+      Object.assign(this._globals, globals);
     }
 
     // arithmetic functions
@@ -109,25 +136,162 @@ class Builder {
     const fileReader = new FileReader();
     const httpReader = new HttpReader();
     const githubReader = new GithubReader();
+    const gitReader = new GitReader();
+    const gitlabReader = new GitlabReader();
+    const bitbucketReader = new BitbucketReader();
 
     const parser = new AstParser();
     const machine = new Machine();
     const expression = new Expression(machine);
 
-    machine.readers.github = githubReader;
-    machine.readers.http = httpReader;
-    machine.readers.file = fileReader;
+    machine.registerReader('git', gitReader, {priority: READER_PRIORITIES.git, schemes: GitReader.SCHEMES, cacheable: true});
+    machine.registerReader('github', githubReader, {priority: READER_PRIORITIES.github, cacheable: true});
+    machine.registerReader('gitlab', gitlabReader, {priority: READER_PRIORITIES.gitlab, schemes: [GitlabReader.scheme], cacheable: true});
+    machine.registerReader('bitbucket', bitbucketReader, {priority: READER_PRIORITIES.bitbucket, schemes: [BitbucketReader.scheme], cacheable: true});
+    machine.registerReader('http', httpReader, {priority: READER_PRIORITIES.http, cacheable: true});
+    machine.registerReader('file', fileReader, {priority: READER_PRIORITIES.file});
 
     machine.globals = this._globals;
 
     machine.expression = expression;
     machine.parser = parser;
+
+    for (const name of Object.keys(this._directives)) {
+      machine.registerDirective(name, this._directives[name]);
+    }
+
     machine.logger = this.logger;
     machine.generateLineControlStatements = false;
+    machine.generateSourceMap = false;
 
     this._machine = machine;
   }
 
+  /**
+   * Init custom readers
+   * Readers are objects, reader classes, factory functions called with the builder
+   * or paths to the modules exporting any of them.
+   *
+   * @param {{name: string, reader: {}|function|string, priority: number, schemes: string[], cacheable: boolean}[]} readers
+   * @private
+   */
+  _initReaders(readers) {
+    this._readerFiles = [];
+
+    for (const options of readers) {
+      let reader = options.reader;
+
+      if ('string' === typeof reader) {
+        const file = this._resolveModule(reader, `Reader module "${reader}" is not found`);
+        this._readerFiles.push(file);
+        reader = require(file);
+      }
+
+      if ('function' === typeof reader) {
+        // reader class or factory
+        reader = this._isClass(reader, ['read']) ? new reader() : reader(this);
+      }
+
+      this._machine.registerReader(options.name, reader, options);
+    }
+  }
+
+  /**
+   * Check, is function a class, rather than a factory
+   * @param {function} fn
+   * @param {string[]} methods - methods of the class instances
+   * @return {boolean}
+   * @private
+   */
+  _isClass(fn, methods) {
+    return /^class\b/.test(Function.prototype.toString.call(fn))
+      || (!!fn.prototype && methods.some(method => 'function' === typeof fn.prototype[method]));
+  }
+
+  /**
+   * Init plugins
+   * Plugins are objects with hook methods and custom directives, classes and factory functions
+   * receiving the builder or paths to the modules exporting any of them.
+   *
+   * @param {({}|function|string)[]} plugins
+   * @private
+   */
+  _initPlugins(plugins) {
+    this._pluginFiles = [];
+
+    this._machine.plugins = plugins.map((plugin) => {
+      if ('string' === typeof plugin) {
+        const file = this._resolveModule(plugin, `Plugin "${plugin}" is not found`);
+        this._pluginFiles.push(file);
+        plugin = require(file);
+      }
+
+      if ('function' === typeof plugin) {
+        // plugin class or factory
+        plugin = this._isClass(plugin, PLUGIN_HOOKS) ? new plugin(this) : plugin(this);
+      }
+
+      if (null === plugin || 'object' !== typeof plugin) {
+        throw new Error(`Plugin must be an object with hook methods, got ${plugin === null ? 'null' : typeof plugin}`);
+      }
+
+      for (const name of Object.keys(plugin.directives || {})) {
+        this.registerDirective(name, plugin.directives[name]);
+      }
+
+      return plugin;
+    });
+  }
+
+  /**
+   * Register custom directive
+   * @see Machine#registerDirective
+   * @param {string} name
+   * @param {{block: boolean, parse: function, execute: function}} directive
+   */
+  registerDirective(name, directive) {
+    this._machine.registerDirective(name, directive);
+  }
+
+  /**
+   * Resolve module path against the working directory
+   * @param {string} module
+   * @param {string} notFoundMessage
+   * @return {string}
+   * @private
+   */
+  _resolveModule(module, notFoundMessage) {
+    try {
+      return require.resolve(path.resolve(process.cwd(), module));
+    } catch (e) {
+      throw new Error(notFoundMessage);
+    }
+  }
+
+  /**
+   * Resolved paths of the plugin modules
+   * @return {string[]}
+   */
+  get pluginFiles() {
+    return this._pluginFiles.slice();
+  }
+
+  /**
+   * Resolved paths of the reader modules
+   * @return {string[]}
+   */
+  get readerFiles() {
+    return this._readerFiles.slice();
+  }
+
+  /**
+   * Resolved paths of the JavaScript library files
+   * @return {string[]}
+   */
+  get libFiles() {
+    return this._libFiles.slice();
+  }
+
   /**
    * @return {Machine}
    */
@@ -0,0 +1,217 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+const jsep = require('jsep');
+
+// object literals are replaced with identifiers starting with this
+// private use character before parsing with jsep, which doesn't support them
+const PLACEHOLDER = '\uE000';
+
+// characters opening and closing nested blocks
+const OPENING = {'(': ')', '[': ']', '{': '}'};
+const CLOSING = {')': true, ']': true, '}': true};
+
+// unquoted object literal keys
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Skip string literal
+ * @param {string} text
+ * @param {number} start - position of the opening quote
+ * @return {number} position of the closing quote
+ */
+function skipString(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if ('\\' === text[i]) {
+      i++; // skip escaped character
+    } else if (text[start] === text[i]) {
+      return i;
+    }
+  }
+
+  throw new Error(`Unclosed quote after "${text.substr(start)}"`);
+}
+
+/**
+ * Find the end of the block
+ * @param {string} text
+ * @param {number} start - position of the opening bracket
+ * @return {number} position of the matching closing bracket
+ */
+function findClosing(text, start) {
+  const expected = [OPENING[text[start]]];
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+
+    if ('"' === char || '\'' === char) {
+      i = skipString(text, i);
+    } else if (OPENING[char]) {
+      expected.push(OPENING[char]);
+    } else if (CLOSING[char]) {
+      if (expected.pop() !== char) {
+        throw new Error(`Unexpected "${char}" at character ${i}`);
+      }
+
+      if (0 === expected.length) {
+        return i;
+      }
+    }
+  }
+
+  throw new Error(`Unclosed "${text[start]}" at character ${start}`);
+}
+
+/**
+ * Split text at the separator found outside of strings and nested blocks
+ * @param {string} text
+ * @param {string} separator
+ * @param {number=} limit - maximum number of parts
+ * @return {string[]}
+ */
+function splitTopLevel(text, separator, limit) {
+  const parts = [];
+  let start = 0;
+
+  for (let i = 0; i < text.length && parts.length < (limit || Infinity) - 1; i++) {
+    const char = text[i];
+
+    if ('"' === char || '\'' === char) {
+      i = skipString(text, i);
+    } else if (OPENING[char]) {
+      i = findClosing(text, i);
+    } else if (separator === char) {
+      parts.push(text.substring(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.substr(start));
+  return parts;
+}
+
+/**
+ * Parse object literal
+ * @param {string} text - literal without braces
+ * @return {{type: string, properties: {key: {}, value: {}, computed: boolean}[]}}
+ */
+function parseObject(text) {
+  const properties = [];
+  const parts = splitTopLevel(text, ',');
+
+  // trailing comma
+  if (parts.length > 1 && '' === parts[parts.length - 1].trim()) {
+    parts.pop();
+  }
+
+  for (const part of parts) {
+    if ('' === part.trim() && 1 === parts.length) {
+      break; // empty object
+    }
+
+    const property = splitTopLevel(part, ':', 2);
+    const key = property[0].trim();
+
+    if (2 !== property.length || '' === property[1].trim()) {
+      throw new Error(`Expected "key: value" in object literal, got "${part.trim()}"`);
+    }
+
+    const value = parseExpression(property[1]);
+
+    if ('[' === key[0] && ']' === key[key.length - 1]) {
+      properties.push({key: parseExpression(key.substr(1, key.length - 2)), value, computed: true});
+    } else if (IDENTIFIER.test(key)) {
+      properties.push({key: {type: 'Literal', value: key, raw: key}, value, computed: false});
+    } else {
+      const literal = jsep(key);
+
+      if ('Literal' !== literal.type) {
+        throw new Error(`Invalid object literal key "${key}"`);
+      }
+
+      properties.push({key: literal, value, computed: false});
+    }
+  }
+
+  return {type: 'ObjectExpression', properties};
+}
+
+/**
+ * Replace placeholders with object literal nodes
+ * @param {{}} node
+ * @param {{}[]} objects
+ * @return {{}}
+ */
+function substitute(node, objects) {
+  if ('Identifier' === node.type && PLACEHOLDER === node.name[0]) {
+    return objects[parseInt(node.name.substr(1), 10)];
+  }
+
+  for (const key of Object.keys(node)) {
+    if (Array.isArray(node[key])) {
+      node[key] = node[key].map(v => v && 'object' === typeof v ? substitute(v, objects) : v);
+    } else if (node[key] && 'object' === typeof node[key] && node[key].type) {
+      node[key] = substitute(node[key], objects);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Parse expression into jsep AST
+ * Adds support for object literals: {key: value, "quoted key": value, [computed + "key"]: value}
+ *
+ * @param {string} text
+ * @return {{}} AST with ObjectExpression nodes
+ */
+function parseExpression(text) {
+  if (-1 === text.indexOf('{')) {
+    return jsep(text);
+  }
+
+  const objects = [];
+  let source = '';
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if ('"' === char || '\'' === char) {
+      i = skipString(text, i);
+    } else if ('{' === char) {
+      const end = findClosing(text, i);
+      source += text.substring(start, i) + ` ${PLACEHOLDER}${objects.length} `;
+      objects.push(parseObject(text.substring(i + 1, end)));
+      i = end;
+      start = end + 1;
+    }
+  }
+
+  return substitute(jsep(source + text.substr(start)), objects);
+}
+
+module.exports = parseExpression;
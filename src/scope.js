@@ -0,0 +1,218 @@
+// MIT License
+//
+// Copyright 2016-2017 Electric Imp
+//
+// SPDX-License-Identifier: MIT
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be
+// included in all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+// EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+// MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO
+// EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES
+// OR OTHER LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE,
+// ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+// OTHER DEALINGS IN THE SOFTWARE.
+
+'use strict';
+
+/**
+ * Execution contexts are chains of scopes
+ *
+ * Variables are looked up through the prototype chain, so nested scopes
+ * (included sources, macro calls, loop iterations) are created without
+ * copying the variables of the enclosing ones. Variables set in a scope
+ * shadow the enclosing ones and are never written back.
+ *
+ * Included sources and macro calls get isolated scopes: arrays and plain objects
+ * visible in them are copied on the first access, so changes made to them by
+ * functions don't leak into the including source or the global variables.
+ *
+ * The root scope has no prototype, so the "in" operator only sees context variables.
+ * Functions called from expressions get a plain object with the variables instead (see toObject()),
+ * with arrays and plain objects copied on access too.
+ */
+
+/**
+ * Create root scope
+ * @param {...{}} - variables
+ * @return {{}}
+ */
+module.exports.create = function() {
+  const args = Array.prototype.slice.call(arguments);
+  args.unshift(Object.create(null));
+  return Object.assign.apply(Object, args);
+};
+
+/**
+ * Create nested scope
+ * @param {{}} parent
+ * @param {{}=} variables
+ * @return {{}}
+ */
+module.exports.extend = function(parent, variables) {
+  return Object.assign(Object.create(parent), variables);
+};
+
+/**
+ * Plain object with the variables of the scope
+ * It's used as "this" of the functions called from expressions, so that Object.prototype methods,
+ * Object.keys() and JSON.stringify() work with it like with any other object.
+ * Arrays and plain objects are copied on the first access, like in isolated scopes,
+ * so functions can't change the variables through it.
+ *
+ * @param {{}} scope
+ * @param {{}=} variables - additional variables, not copied
+ * @return {{}}
+ */
+module.exports.toObject = function(scope, variables) {
+  const res = {};
+
+  // enumerates variables of the enclosing scopes too, shadowed ones only once
+  for (const name in scope) {
+    const descriptor = getDescriptor(scope, name);
+
+    if (descriptor.get || isCopied(descriptor.value)) {
+      defineCopy(res, name, () => scope[name]);
+    } else {
+      defineValue(res, name, descriptor.value);
+    }
+  }
+
+  for (const name of Object.keys(variables || {})) {
+    defineValue(res, name, variables[name]);
+  }
+
+  return res;
+};
+
+/**
+ * Create nested scope with private copies of arrays and plain objects
+ * @param {{}} parent
+ * @param {{}=} variables
+ * @return {{}}
+ */
+module.exports.isolate = function(parent, variables) {
+  const res = Object.create(parent);
+  const names = new Set();
+
+  for (let level = parent; level && level !== Object.prototype; level = Object.getPrototypeOf(level)) {
+    for (const name of Object.getOwnPropertyNames(level)) {
+      if (!names.has(name)) {
+        const descriptor = Object.getOwnPropertyDescriptor(level, name);
+        names.add(name);
+
+        // accessors are copies of the enclosing isolated scopes
+        if (descriptor.get || isCopied(descriptor.value)) {
+          defineCopy(res, name, () => parent[name]);
+        }
+      }
+    }
+  }
+
+  for (const name of Object.keys(variables || {})) {
+    if (isCopied(variables[name])) {
+      defineCopy(res, name, () => variables[name]);
+    } else {
+      defineValue(res, name, variables[name]);
+    }
+  }
+
+  return res;
+};
+
+/**
+ * Find descriptor of the property in the prototype chain
+ * @param {{}} target
+ * @param {string} name
+ * @return {{}|undefined}
+ * @private
+ */
+function getDescriptor(target, name) {
+  for (let level = target; level; level = Object.getPrototypeOf(level)) {
+    const descriptor = Object.getOwnPropertyDescriptor(level, name);
+
+    if (descriptor) {
+      return descriptor;
+    }
+  }
+}
+
+/**
+ * Define variable copied from the source value on the first access
+ * @param {{}} target
+ * @param {string} name
+ * @param {function} source
+ * @private
+ */
+function defineCopy(target, name, source) {
+  Object.defineProperty(target, name, {
+    configurable: true,
+    enumerable: true,
+    get: () => defineValue(target, name, copy(source(), new Map())),
+    set: function(value) {
+      defineValue(this, name, value);
+    }
+  });
+}
+
+/**
+ * @param {{}} target
+ * @param {string} name
+ * @param {*} value
+ * @return {*} value
+ * @private
+ */
+function defineValue(target, name, value) {
+  Object.defineProperty(target, name, {configurable: true, enumerable: true, writable: true, value});
+  return value;
+}
+
+/**
+ * Check, is value an array or a plain object
+ * @param {*} value
+ * @return {boolean}
+ * @private
+ */
+function isCopied(value) {
+  if (null === value || 'object' !== typeof value) {
+    return false;
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  return Array.isArray(value) || null === proto || Object.prototype === proto;
+}
+
+/**
+ * Deep copy of arrays and plain objects, other values are shared
+ * @param {*} value
+ * @param {Map} copies - copies of the visited values
+ * @return {*}
+ * @private
+ */
+function copy(value, copies) {
+  if (!isCopied(value)) {
+    return value;
+  }
+
+  if (copies.has(value)) {
+    return copies.get(value);
+  }
+
+  const res = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+  copies.set(value, res);
+
+  for (const key of Object.keys(value)) {
+    res[key] = copy(value[key], copies);
+  }
+
+  return res;
+}